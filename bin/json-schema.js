@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+/**
+ * Print the JSON Schema of the types and operation messages of a WSDL:
+ *
+ *   strong-soap-json-schema [--id <id>] [--message <name>] <wsdl>
+ */
+
+var soap = require('..').soap;
+
+var USAGE = 'Usage: strong-soap-json-schema [--id <id>] ' +
+  '[--message <service>.<port>.<operation>.<input|output>] <wsdl>';
+
+var args = process.argv.slice(2);
+var options = {};
+var wsdlURL;
+
+while (args.length) {
+  let arg = args.shift();
+  if (arg === '--id' || arg === '--message') {
+    options[arg.substring(2)] = args.shift();
+  } else if (arg === '-h' || arg === '--help') {
+    console.log(USAGE);
+    process.exit(0);
+  } else if (arg[0] === '-' || wsdlURL) {
+    fail(USAGE);
+  } else {
+    wsdlURL = arg;
+  }
+}
+if (!wsdlURL || Object.keys(options).some(function(name) {
+  return !options[name];
+})) {
+  fail(USAGE);
+}
+
+soap.WSDL.open(wsdlURL, {}, function(err, wsdl) {
+  if (err) return fail(err.message);
+  var schema;
+  try {
+    schema = soap.generateJSONSchema(wsdl, options);
+  } catch (err) {
+    return fail(err.message);
+  }
+  process.stdout.write(JSON.stringify(schema, null, 2) + '\n');
+});
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
@@ -0,0 +1,173 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var _ = require('lodash');
+var uuid = require('uuid').v4;
+var debug = require('debug')('strong-soap:addressing');
+
+/**
+ * WS-Addressing 1.0 namespaces
+ */
+var namespaces = {
+  wsa: 'http://www.w3.org/2005/08/addressing',
+  wsaw: 'http://www.w3.org/2006/05/addressing/wsdl',
+  wsam: 'http://www.w3.org/2007/05/addressing/metadata'
+};
+
+// Address of the endpoint that sent a request, the reply is sent back on the
+// same connection
+var ANONYMOUS = namespaces.wsa + '/anonymous';
+// Address of an endpoint that discards the messages
+var NONE = namespaces.wsa + '/none';
+// Action of the faults
+var FAULT_ACTION = namespaces.wsa + '/fault';
+
+/**
+ * Check if a binding declares `wsaw:UsingAddressing`
+ * @param {Binding} binding The WSDL binding
+ * @returns {Boolean}
+ */
+function isUsingAddressing(binding) {
+  return _.some(binding && binding.children, function(child) {
+    return child.name === 'UsingAddressing' &&
+      child.nsURI === namespaces.wsaw;
+  });
+}
+
+/**
+ * Get the action declared with `wsaw:Action` or `wsam:Action` on an input or
+ * output of a portType operation
+ * @param {Parameter} [parameter] The input or output
+ * @returns {String|undefined}
+ */
+function declaredAction(parameter) {
+  if (!parameter) return undefined;
+  for (var key in parameter) {
+    var match = /^\$([^:]+):Action$/.exec(key);
+    if (!match) continue;
+    var nsURI = parameter.getNamespaceURI(match[1]);
+    if (nsURI === namespaces.wsaw || nsURI === namespaces.wsam) {
+      return parameter[key];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Get the action of a request, declared on the portType input or else the
+ * soapAction of the binding operation
+ * @param {Operation} operation The binding operation
+ * @returns {String|undefined}
+ */
+function inputAction(operation) {
+  var portTypeOperation = operation.operation;
+  return declaredAction(portTypeOperation && portTypeOperation.input) ||
+    operation.soapAction || undefined;
+}
+
+/**
+ * Get the action of a response, declared on the portType output or else the
+ * action of the request followed by `Response`
+ * @param {Operation} operation The binding operation
+ * @returns {String|undefined}
+ */
+function outputAction(operation) {
+  var portTypeOperation = operation.operation;
+  var action = declaredAction(portTypeOperation && portTypeOperation.output);
+  if (action) return action;
+  action = inputAction(operation);
+  return action && action + 'Response';
+}
+
+/**
+ * Find the operation of a binding a request action is for
+ * @param {Binding} binding The WSDL binding
+ * @param {String} action The action
+ * @returns {Operation|undefined}
+ */
+function findOperation(binding, action) {
+  return _.find(binding.operations, function(operation) {
+    return inputAction(operation) === action;
+  });
+}
+
+/**
+ * Generate a message id
+ * @returns {String}
+ */
+function messageId() {
+  return 'urn:uuid:' + uuid();
+}
+
+/**
+ * Add WS-Addressing headers to a SOAP header
+ * @param {XMLElement} header The SOAP header
+ * @param {Object} headers The headers
+ * @param {String} [headers.messageID]
+ * @param {String} [headers.to]
+ * @param {String} [headers.action]
+ * @param {String} [headers.replyTo] The address of the reply endpoint
+ * @param {String} [headers.faultTo] The address of the fault endpoint
+ * @param {String} [headers.relatesTo] The id of the message replied to
+ */
+function addHeaders(header, headers) {
+  debug('add headers: %j', headers);
+  function add(name, value) {
+    return header.element('wsa:' + name, {'xmlns:wsa': namespaces.wsa}, value);
+  }
+  if (headers.action) add('Action', headers.action);
+  if (headers.messageID) add('MessageID', headers.messageID);
+  if (headers.to) add('To', headers.to);
+  if (headers.replyTo) {
+    add('ReplyTo').element('wsa:Address', headers.replyTo);
+  }
+  if (headers.faultTo) {
+    add('FaultTo').element('wsa:Address', headers.faultTo);
+  }
+  if (headers.relatesTo) add('RelatesTo', headers.relatesTo);
+}
+
+/**
+ * Read the WS-Addressing headers of a parsed SOAP header
+ * @param {Object} [header] The SOAP header
+ * @returns {Object|null} The headers, with the fields of `addHeaders`, or
+ * null if there are none
+ */
+function readHeaders(header) {
+  if (!header || (header.Action === undefined &&
+    header.MessageID === undefined && header.RelatesTo === undefined)) {
+    return null;
+  }
+  return _.omitBy({
+    messageID: text(header.MessageID),
+    to: text(header.To),
+    action: text(header.Action),
+    replyTo: text(header.ReplyTo && header.ReplyTo.Address),
+    faultTo: text(header.FaultTo && header.FaultTo.Address),
+    relatesTo: text(header.RelatesTo)
+  }, _.isUndefined);
+}
+
+function text(value) {
+  if (value !== null && typeof value === 'object') {
+    value = value.$value;
+  }
+  return value == null ? undefined : String(value).trim();
+}
+
+exports.namespaces = namespaces;
+exports.ANONYMOUS = ANONYMOUS;
+exports.NONE = NONE;
+exports.FAULT_ACTION = FAULT_ACTION;
+exports.isUsingAddressing = isUsingAddressing;
+exports.declaredAction = declaredAction;
+exports.inputAction = inputAction;
+exports.outputAction = outputAction;
+exports.findOperation = findOperation;
+exports.messageId = messageId;
+exports.addHeaders = addHeaders;
+exports.readHeaders = readHeaders;
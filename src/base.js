@@ -10,6 +10,7 @@ var NamespaceContext = require('./parser/nscontext');
 var SOAPElement = require('./soapModel').SOAPElement;
 var xmlBuilder = require('xmlbuilder');
 var XMLHandler = require('./parser/xmlHandler');
+var Stats = require('./stats');
   
 class Base extends EventEmitter {
   constructor(wsdl, options) {
@@ -19,6 +20,22 @@ class Base extends EventEmitter {
     this.soapHeaders = [];
     this.httpHeaders = {};
     this.bodyAttributes = [];
+    this.stats = new Stats(options && options.stats);
+  }
+
+  /**
+   * Get the call counters and latencies of the operations
+   * @returns {Object} The statistics keyed by operation name
+   */
+  getStats() {
+    return this.stats.snapshot();
+  }
+
+  /**
+   * Discard the statistics of the operations
+   */
+  resetStats() {
+    this.stats.reset();
   }
 
   addSoapHeader(value, qname) {
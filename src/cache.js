@@ -0,0 +1,159 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var g = require('./globalize');
+var crypto = require('crypto');
+var _ = require('lodash');
+
+/**
+ * In-memory store of cached responses, evicting the least recently used
+ * entries. Stores are asynchronous so that shared stores can be plugged in.
+ *
+ * @param {Object} [options] Options object
+ * @param {Number} [options.maxEntries=1000] The maximum number of entries
+ *
+ * @constructor
+ */
+class MemoryStore {
+  constructor(options) {
+    options = options || {};
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get an entry
+   * @param {String} key The key
+   * @param {Function} callback Called with (err, value), value is undefined if
+   * the entry does not exist or expired
+   */
+  get(key, callback) {
+    var entry = this.entries.get(key);
+    if (entry && entry.expires <= Date.now()) {
+      this.entries.delete(key);
+      entry = undefined;
+    }
+    if (entry) {
+      // Move the entry to the most recently used end
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    callback(null, entry && entry.value);
+  }
+
+  /**
+   * Set an entry
+   * @param {String} key The key
+   * @param {*} value The value
+   * @param {Number} ttl Time to live in milliseconds
+   * @param {Function} [callback] Called with (err)
+   */
+  set(key, value, ttl, callback) {
+    this.entries.delete(key);
+    this.entries.set(key, {value: value, expires: Date.now() + ttl});
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    if (callback) callback(null);
+  }
+
+  /**
+   * Remove all entries
+   * @param {Function} [callback] Called with (err)
+   */
+  clear(callback) {
+    this.entries.clear();
+    if (callback) callback(null);
+  }
+}
+
+/**
+ * Cache of operation results, keyed by endpoint, operation and arguments
+ *
+ * @param {Object} options Options object
+ * @param {Number} [options.ttl=60000] Default time to live in milliseconds
+ * @param {String[]|Object} options.operations The names of the operations to
+ * cache, or an object mapping operation names to their time to live (or
+ * `true` for the default one)
+ * @param {Object} [options.store] The store, defaults to a MemoryStore
+ * @param {Number} [options.maxEntries] maxEntries of the default MemoryStore
+ *
+ * @constructor
+ */
+class ResponseCache {
+  constructor(options) {
+    options = options || {};
+    this.ttl = options.ttl || 60000;
+    this.store = options.store || new MemoryStore(options);
+    if (typeof this.store.get !== 'function' ||
+      typeof this.store.set !== 'function') {
+      throw new TypeError(g.f('A cache store must have {{get}} and {{set}} methods'));
+    }
+    var operations = options.operations || [];
+    if (Array.isArray(operations)) {
+      operations = _.zipObject(operations, operations.map(_.constant(true)));
+    }
+    this.operations = operations;
+  }
+
+  /**
+   * Get the time to live of the results of an operation
+   * @param {String} name The operation name
+   * @returns {Number} The time to live in milliseconds, 0 if the operation is
+   * not cached
+   */
+  ttlFor(name) {
+    var ttl = this.operations[name];
+    if (ttl === true) return this.ttl;
+    return typeof ttl === 'number' && ttl > 0 ? ttl : 0;
+  }
+
+  /**
+   * Compute the key of a call
+   * @param {String} endpoint The endpoint url(s)
+   * @param {String} operation The qualified operation name
+   * @param {Object} args The arguments
+   * @param {Object} [headers] The SOAP and HTTP headers of the call
+   * @returns {String}
+   */
+  key(endpoint, operation, args, headers) {
+    var text = JSON.stringify([endpoint, operation, canonicalize(args),
+      canonicalize(headers)]);
+    return crypto.createHash('sha256').update(text).digest('hex');
+  }
+}
+
+/**
+ * Convert a value into a form that serializes the same way regardless of the
+ * order of object properties
+ */
+function canonicalize(value) {
+  if (Buffer.isBuffer(value)) {
+    return {$buffer: value.toString('base64')};
+  }
+  if (value instanceof Date) {
+    return {$date: value.toISOString()};
+  }
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === 'object') {
+    var sorted = {};
+    Object.keys(value).sort().forEach(function(key) {
+      if (value[key] !== undefined) {
+        sorted[key] = canonicalize(value[key]);
+      }
+    });
+    return sorted;
+  }
+  return value;
+}
+
+ResponseCache.MemoryStore = MemoryStore;
+ResponseCache.canonicalize = canonicalize;
+
+module.exports = ResponseCache;
@@ -0,0 +1,158 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var _ = require('lodash');
+var selectn = require('selectn');
+var debug = require('debug')('strong-soap:circuit-breaker');
+
+const State = {
+  closed: 'closed',
+  open: 'open',
+  halfOpen: 'half-open'
+};
+
+var DEFAULTS = {
+  failureThreshold: 5,
+  cooldown: 30000,
+  halfOpenMaxCalls: 1
+};
+
+/**
+ * Circuit breaker guarding the calls to one endpoint
+ *
+ * @param {String} endpoint The endpoint url
+ * @param {Object} [options] Options object
+ * @param {Number} [options.failureThreshold=5] Consecutive failures that open
+ * the circuit
+ * @param {Number} [options.cooldown=30000] Time in ms the circuit stays open
+ * before trial calls are let through
+ * @param {Number} [options.halfOpenMaxCalls=1] Concurrent trial calls allowed
+ * while half-open
+ * @param {Function} [options.isFailure] Decide if an error counts as a failure
+ * of the endpoint, defaults to CircuitBreaker.isFailure
+ * @param {Function} [onStateChange] Called with (state, previousState)
+ *
+ * @constructor
+ */
+class CircuitBreaker {
+  constructor(endpoint, options, onStateChange) {
+    this.endpoint = endpoint;
+    this.options = _.defaults({}, options, DEFAULTS);
+    this.onStateChange = onStateChange;
+    this.state = State.closed;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialCalls = 0;
+  }
+
+  /**
+   * Check if a call may be sent to the endpoint. An open circuit becomes
+   * half-open once the cooldown has elapsed.
+   * @returns {Boolean}
+   */
+  allow() {
+    if (this.state === State.open) {
+      if (Date.now() - this.openedAt < this.options.cooldown) {
+        return false;
+      }
+      this._transition(State.halfOpen);
+    }
+    if (this.state === State.halfOpen) {
+      if (this.trialCalls >= this.options.halfOpenMaxCalls) {
+        return false;
+      }
+      this.trialCalls++;
+    }
+    return true;
+  }
+
+  /**
+   * Time in ms until an open circuit lets trial calls through
+   * @returns {Number}
+   */
+  retryAfter() {
+    if (this.state !== State.open) return 0;
+    return Math.max(0, this.openedAt + this.options.cooldown - Date.now());
+  }
+
+  /**
+   * Record the outcome of a call. Neutral outcomes, such as aborted calls,
+   * only release their trial slot.
+   * @param {Error} [err] The error of the call, if any
+   */
+  record(err) {
+    var isFailure = this.options.isFailure || CircuitBreaker.isFailure;
+    if (this.state === State.halfOpen) {
+      this.trialCalls = Math.max(0, this.trialCalls - 1);
+    }
+    if (err && CircuitBreaker.isNeutral(err)) {
+      debug('neutral outcome for %s: %s', this.endpoint, err.message);
+      return;
+    }
+    if (err && isFailure(err)) {
+      this.failures++;
+      debug('failure %d for %s: %s', this.failures, this.endpoint, err.message);
+      if (this.state === State.halfOpen ||
+        this.failures >= this.options.failureThreshold) {
+        this.openedAt = Date.now();
+        this._transition(State.open);
+      }
+    } else {
+      this.failures = 0;
+      if (this.state !== State.closed) {
+        this._transition(State.closed);
+      }
+    }
+  }
+
+  _transition(state) {
+    var previous = this.state;
+    if (previous === state) return;
+    this.state = state;
+    this.trialCalls = 0;
+    if (state === State.closed) {
+      this.openedAt = null;
+    }
+    debug('circuit for %s: %s -> %s', this.endpoint, previous, state);
+    if (typeof this.onStateChange === 'function') {
+      this.onStateChange(state, previous);
+    }
+  }
+
+  /**
+   * Check if the error of a call tells nothing about the health of the
+   * endpoint: the call was aborted by the caller, or not sent because a
+   * circuit is open
+   * @param {Error} err The error of a call
+   * @returns {Boolean}
+   */
+  static isNeutral(err) {
+    return err.name === 'AbortError' || err.name === 'CircuitOpenError';
+  }
+
+  /**
+   * By default network errors, timeouts and http 5xx responses that do not
+   * carry a SOAP fault count as failures. A SOAP fault is a valid answer of a
+   * healthy endpoint.
+   * @param {Error} err The error of a call
+   * @returns {Boolean}
+   */
+  static isFailure(err) {
+    if (err.name === 'AbortError' || err.name === 'CircuitOpenError') {
+      return false;
+    }
+    if (selectn('root.Envelope.Body.Fault', err)) {
+      return false;
+    }
+    var statusCode = selectn('response.statusCode', err);
+    return statusCode == null || statusCode >= 500;
+  }
+}
+
+CircuitBreaker.State = State;
+
+module.exports = CircuitBreaker;
@@ -7,6 +7,7 @@
 
 var g = require('./globalize');
 var HttpClient = require('./http'),
+  Transport = require('./transport'),
   assert = require('assert'),
   xmlBuilder = require('xmlbuilder'),
   XMLHandler = require('./parser/xmlHandler'),
@@ -14,20 +15,89 @@ var HttpClient = require('./http'),
   Operation = require('./parser/wsdl/operation'),
   SOAPElement = require('./soapModel').SOAPElement,
   Base = require('./base'),
+  errors = require('./errors'),
+  RetryPolicy = require('./retry'),
+  CircuitBreaker = require('./circuitBreaker'),
+  FailoverGroup = require('./failover'),
+  ResponseStream = require('./responseStream'),
+  ResponseCache = require('./cache'),
+  addressing = require('./addressing'),
+  httpBinding = require('./httpBinding'),
+  ReplyListener = require('./replyListener'),
+  ConcurrencyLimiter = require('./concurrency'),
+  diagnostics = require('./diagnostics'),
+  Stats = require('./stats'),
+  multipart = require('./multipart'),
+  PassThrough = require('stream').PassThrough,
   util = require('util'),
+  selectn = require('selectn'),
   _ = require('lodash'),
   debug = require('debug')('strong-soap:client'),
   debugDetail = require('debug')('strong-soap:client:detail'),
   debugSensitive = require('debug')('strong-soap:client:sensitive'),
   utils = require('./utils');
 
+// Options of the calls that are not passed on to the transport
+var invocationProperties = ['signal', 'callTimeout', 'retry', 'responseStream',
+  'cache', 'addressing', 'replyTimeout'];
+
 class Client extends Base {
   constructor(wsdl, endpoint, options) {
     super(wsdl, options);
     options = options || {};
     this.xmlHandler = new XMLHandler(wsdl.definitions.schemas, options);
+    this.failover = options.failover === true ? {} : options.failover;
     this._initializeServices(endpoint);
-    this.httpClient = options.httpClient || new HttpClient(options);
+    var transport = options.transport || options.httpClient;
+    if (transport && !Transport.isTransport(transport)) {
+      throw new TypeError(g.f('A transport must have a {{request}} method'));
+    }
+    this.httpClient = transport || new HttpClient(options);
+    this.callTimeout = options.callTimeout;
+    if (options.cache) {
+      this.cache = options.cache instanceof ResponseCache ? options.cache :
+        new ResponseCache(options.cache);
+    }
+    this.interceptors = [];
+    (options.interceptors || []).forEach(this.use, this);
+    if (options.mtom) {
+      this.mtom = _.defaults({}, typeof options.mtom === 'object' ?
+        options.mtom : {}, {threshold: 1024});
+    }
+    if (options.retry) {
+      this.retryPolicy = options.retry instanceof RetryPolicy ? options.retry :
+        new RetryPolicy(typeof options.retry === 'object' ? options.retry : {});
+    }
+    if (options.maxConcurrent) {
+      this._initializeConcurrency(options.maxConcurrent);
+    }
+    this.wsAddressing = options.wsAddressing;
+    if (options.circuitBreaker) {
+      this.circuitBreakerOptions = typeof options.circuitBreaker === 'object' ?
+        options.circuitBreaker : {};
+      this.circuitBreakers = {};
+    }
+  }
+
+  /**
+   * Create the limiters of the `maxConcurrent` option: a number limits the
+   * whole client, an object can also limit single operations with
+   * `operations`, with the queue settings applying to every limiter
+   */
+  _initializeConcurrency(maxConcurrent) {
+    var settings = typeof maxConcurrent === 'object' ? maxConcurrent :
+      {limit: maxConcurrent};
+    var queueSettings = _.pick(settings, ['maxQueue', 'queueTimeout']);
+    if (settings.limit) {
+      this.concurrencyLimiter = new ConcurrencyLimiter(
+        _.defaults({limit: settings.limit}, queueSettings));
+    }
+    this.operationLimiters = _.mapValues(settings.operations || {},
+      function(setting) {
+        return new ConcurrencyLimiter(_.defaults({},
+          typeof setting === 'object' ? setting : {limit: setting},
+          queueSettings));
+      });
   }
 
   setEndpoint(endpoint) {
@@ -50,6 +120,11 @@ class Client extends Base {
   _initializeServices(endpoint) {
     var definitions = this.wsdl.definitions;
     var services = definitions.services;
+    // The shortcuts of the HTTP bindings are bound again to the new endpoint
+    for (var shortcut in this._httpShortcuts) {
+      delete this[shortcut];
+    }
+    this._httpShortcuts = {};
     for (var name in services) {
       this[name] = this._defineService(services[name], endpoint);
     }
@@ -60,11 +135,43 @@ class Client extends Base {
     var def = {};
     for (var name in ports) {
       def[name] = this._definePort(ports[name],
-        endpoint ? endpoint : ports[name].location);
+        this._portLocation(service, ports[name], endpoint));
     }
     return def;
   }
 
+  /**
+   * Resolve where the operations of a port are sent: a single url, or a
+   * FailoverGroup when several endpoints are given or failover is enabled.
+   * With failover, the ports of the service sharing the same binding are
+   * equivalent, the port itself coming first.
+   */
+  _portLocation(service, port, endpoint) {
+    var failover = this.failover;
+    var locations;
+    if (Array.isArray(endpoint)) {
+      locations = endpoint;
+    } else if (endpoint) {
+      return endpoint;
+    } else if (failover && failover.endpoints) {
+      locations = failover.endpoints;
+    } else if (failover) {
+      locations = [port.location];
+      for (var name in service.ports) {
+        if (service.ports[name].binding === port.binding) {
+          locations.push(service.ports[name].location);
+        }
+      }
+    } else {
+      return port.location;
+    }
+    locations = _.uniq(_.compact(locations));
+    if (locations.length < 2) {
+      return locations[0];
+    }
+    return new FailoverGroup(locations, failover);
+  }
+
   _definePort(port, endpoint) {
     var location = endpoint;
     var binding = port.binding;
@@ -72,7 +179,14 @@ class Client extends Base {
     var def = {};
     for (var name in operations) {
       def[name] = this._defineOperation(operations[name], location);
-      this[name] = def[name];
+      // The operations of SOAP bindings keep their shortcut
+      if (!binding.verb) {
+        this[name] = def[name];
+        delete this._httpShortcuts[name];
+      } else if (!this[name]) {
+        this[name] = def[name];
+        this._httpShortcuts[name] = true;
+      }
     }
     return def;
   }
@@ -80,7 +194,7 @@ class Client extends Base {
   _defineOperation(operation, location) {
     var self = this;
     var temp;
-    return function(args, callback, options, extraHeaders) {
+    var method = function(args, callback, options, extraHeaders) {
       if (!args) args = {};
       if (typeof args === 'function') {
         callback = args;
@@ -100,14 +214,584 @@ class Client extends Base {
         callback = undefined;
       }
       callback = callback || utils.createPromiseCallback();
-      self._invoke(operation, args, location, callback, options, extraHeaders);
+      self._invokeWithDeadline(operation, args, location, callback, options, extraHeaders);
       return callback.promise;
     };
+    method.stream = function(args, options, extraHeaders) {
+      return self._invokeStream(operation, args || {}, location, options, extraHeaders);
+    };
+    return method;
+  }
+
+  /**
+   * Register an interceptor. Its methods named after the stages of a call are
+   * run with the context of the call, in the order of registration:
+   *
+   * - `beforeSerialize(context)`: `context.args` can be changed
+   * - `afterEnvelope(context)`: `context.envelope` has the `header` and `body`
+   * xmlbuilder nodes of the request
+   * - `beforeSend(context)`: `context.xml`, the http `context.headers` and
+   * `context.options` can be changed
+   * - `afterReceive(context)`: `context.response` and the raw `context.body`
+   * that can be changed
+   * - `afterParse(context)`: `context.result` and `context.soapHeader` can be
+   * changed
+   *
+   * An error thrown by an interceptor fails the call.
+   * @param {Object} interceptor The interceptor
+   * @returns {Client}
+   */
+  use(interceptor) {
+    if (interceptor == null || typeof interceptor !== 'object') {
+      throw new TypeError(g.f('An interceptor must be an object'));
+    }
+    this.interceptors.push(interceptor);
+    return this;
+  }
+
+  _intercept(stage, context) {
+    try {
+      for (var i = 0; i < this.interceptors.length; i++) {
+        var interceptor = this.interceptors[i];
+        if (typeof interceptor[stage] === 'function') {
+          debug('client interceptor %s: %s', stage, context.operation);
+          interceptor[stage](context);
+        }
+      }
+    } catch (err) {
+      return err;
+    }
+    return null;
+  }
+
+  /**
+   * Remove all the results of the response cache
+   * @param {Function} [callback] Called with (err)
+   */
+  clearCache(callback) {
+    callback = callback || _.noop;
+    if (!this.cache || typeof this.cache.store.clear !== 'function') {
+      return process.nextTick(callback, null);
+    }
+    this.cache.store.clear(callback);
+  }
+
+  /**
+   * Start a listener receiving the replies to the requests asynchronously.
+   * The requests then send the address of the listener as `wsa:ReplyTo`.
+   * @param {Object} [options] The options of the `ReplyListener`
+   * @param {Function} callback Called with (err, listener)
+   */
+  startReplyListener(options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    var self = this;
+    var listener = new ReplyListener(this.wsdl, options);
+    listener.listen(function(err) {
+      if (err) return callback(err);
+      self.replyListener = listener;
+      callback(null, listener);
+    });
+  }
+
+  /**
+   * Stop the reply listener, the calls waiting for a reply fail
+   * @param {Function} [callback]
+   */
+  stopReplyListener(callback) {
+    callback = callback || _.noop;
+    var listener = this.replyListener;
+    if (!listener) {
+      return process.nextTick(callback);
+    }
+    this.replyListener = undefined;
+    listener.close(callback);
+  }
+
+  /**
+   * Invoke an operation within the `callTimeout` deadline of the call. The
+   * deadline is set once for the whole call: the time spent in the queue, the
+   * retry and failover attempts and the parsing of the response. When it
+   * elapses, the call fails with a `TimeoutError` and the signal given to the
+   * inner layers is aborted to tear down the pending attempt.
+   */
+  _invokeWithDeadline(operation, args, location, callback, options, extraHeaders) {
+    callback = this._recordStats(operation.$name, callback);
+    var callTimeout = (options && options.callTimeout) || this.callTimeout;
+    if (!(callTimeout > 0)) {
+      return this._invokeCached(operation, args, location, callback, options, extraHeaders);
+    }
+    var signal = callSignal(options && options.signal);
+    var deadline = Date.now() + callTimeout;
+    var settled = false;
+    var timer = setTimeout(timeout, callTimeout);
+
+    function timeout() {
+      settled = true;
+      clearTimeout(timer);
+      var err = new errors.TimeoutError(callTimeout);
+      debug('client request. %s timed out after %d ms', operation.$name, callTimeout);
+      signal.abort(err);
+      callback(err);
+    }
+
+    options = _.assign({}, options, {signal: signal});
+    this._invokeCached(operation, args, location, function() {
+      if (settled) return;
+      // The deadline covers parsing, which runs synchronously before this point
+      if (Date.now() > deadline) {
+        return timeout();
+      }
+      settled = true;
+      clearTimeout(timer);
+      signal.dispose();
+      callback.apply(null, arguments);
+    }, options, extraHeaders);
+  }
+
+  /**
+   * Wrap the callback of a call to record its outcome and the time the caller
+   * waited in the statistics of the operation. A call is recorded once,
+   * whatever its retry and failover attempts or if it is served by the cache.
+   */
+  _recordStats(name, callback) {
+    var stats = this.stats;
+    var started = process.hrtime();
+    var recorded = function(err) {
+      stats.record(name, outcome(err), Stats.since(started));
+      callback.apply(null, arguments);
+    };
+    recorded.promise = callback.promise;
+    return recorded;
+  }
+
+  /**
+   * Invoke an operation through the response cache if it covers the operation.
+   * Only successful results are cached, a call can skip the cache with the
+   * `cache: false` option. Streamed calls are never cached.
+   */
+  _invokeCached(operation, args, location, callback, options, extraHeaders) {
+    var self = this;
+    var cache = this.cache;
+    var ttl = cache && !(options && (options.cache === false ||
+      options.responseStream)) ? cache.ttlFor(operation.$name) : 0;
+    if (!ttl || hasAsyncIterable(args, 0)) {
+      return this._invokeQueued(operation, args, location, callback, options, extraHeaders);
+    }
+
+    var qname = '{' + this.wsdl.definitions.$targetNamespace + '}' + operation.$name;
+    var endpoint = location instanceof FailoverGroup ?
+      location.locations.join(' ') : location;
+    var key = cache.key(endpoint, qname, args,
+      this._callHeaders(options, extraHeaders));
+    var info = {operation: operation.$name, endpoint: endpoint, key: key};
+    cache.store.get(key, function(err, entry) {
+      if (err) {
+        debug('client cache. lookup failed: %s', err.message);
+      } else if (entry) {
+        debug('client cache. hit for %s', operation.$name);
+        self.emit('cacheHit', info);
+        entry = _.cloneDeep(entry);
+        return process.nextTick(callback, null, entry.result, entry.envelope,
+          entry.soapHeader, entry.attachments);
+      }
+      self.emit('cacheMiss', info);
+      self._invokeQueued(operation, args, location,
+        function(err, result, envelope, soapHeader, attachments) {
+          if (!err) {
+            cache.store.set(key, _.cloneDeep({
+              result: result,
+              envelope: envelope,
+              soapHeader: soapHeader,
+              attachments: attachments
+            }), ttl, function(err) {
+              if (err) debug('client cache. store failed: %s', err.message);
+            });
+          }
+          callback.apply(null, arguments);
+        }, options, extraHeaders);
+    });
+  }
+
+  /**
+   * Collect the SOAP and HTTP headers a call is sent with, so that calls
+   * differing only by their headers do not share a cached result
+   */
+  _callHeaders(options, extraHeaders) {
+    var soapHeaders = [].concat(this.soapHeaders,
+      _.get(extraHeaders, 'soapHeaders', []), _.get(options, 'soapHeaders', []));
+    var httpHeaders = _.assign({}, this.httpHeaders,
+      _.omit(extraHeaders, ['soapHeaders']), _.get(options, 'headers'));
+    return _.omitBy({soapHeaders: soapHeaders, httpHeaders: httpHeaders},
+      _.isEmpty);
+  }
+
+  /**
+   * Invoke an operation, parsing the response as it is received. The outermost
+   * repeated (`isMany`) elements of the response are emitted as records by the
+   * returned stream, the rest of the response is set as `result` and `header`
+   * and emitted with the `result` event before the stream ends.
+   * @returns {ResponseStream}
+   */
+  _invokeStream(operation, args, location, options, extraHeaders) {
+    var responseStream = new ResponseStream();
+    options = _.assign({}, options, {responseStream: responseStream});
+    this._invokeWithDeadline(operation, args, location, function(err, result, body, header) {
+      if (err) {
+        return responseStream.destroy(err);
+      }
+      responseStream.result = result;
+      responseStream.header = header;
+      responseStream.emit('result', result, header);
+      responseStream.push(null);
+    }, options, extraHeaders);
+    return responseStream;
+  }
+
+  /**
+   * Invoke an operation once a slot of the client and operation concurrency
+   * limiters is free. The slots are held until the call completes, including
+   * its retries.
+   */
+  _invokeQueued(operation, args, location, callback, options, extraHeaders) {
+    var limiters = _.compact([
+      this.operationLimiters && this.operationLimiters[operation.$name],
+      this.concurrencyLimiter
+    ]);
+    if (!limiters.length) {
+      return this._invokeWithRetry(operation, args, location, callback, options, extraHeaders);
+    }
+    var self = this;
+    var signal = options && options.signal;
+    var releases = [];
+    var queuedAt = null;
+
+    function release() {
+      releases.forEach(function(releaseSlot) {
+        releaseSlot();
+      });
+    }
+
+    function acquire(index) {
+      if (index === limiters.length) {
+        if (queuedAt !== null) {
+          self.emit('dequeued', {
+            operation: operation.$name,
+            waited: Date.now() - queuedAt
+          });
+        }
+        return self._invokeWithRetry(operation, args, location, function() {
+          release();
+          callback.apply(null, arguments);
+        }, options, extraHeaders);
+      }
+      var limiter = limiters[index];
+      var queued = limiter.acquire(signal, function(err, releaseSlot) {
+        if (err) {
+          debug('client request. %s not queued: %s', operation.$name, err.message);
+          release();
+          return callback(err);
+        }
+        releases.push(releaseSlot);
+        acquire(index + 1);
+      });
+      if (queued && queuedAt === null) {
+        queuedAt = Date.now();
+        self.emit('queued', {
+          operation: operation.$name,
+          active: limiter.active,
+          queueLength: limiter.queue.length
+        });
+      }
+    }
+
+    acquire(0);
+  }
+
+  /**
+   * Invoke an operation, replaying failed attempts as allowed by the retry
+   * policy of the client or the `retry` option of the call
+   */
+  _invokeWithRetry(operation, args, location, callback, options, extraHeaders) {
+    var self = this;
+    var override = options && options.retry;
+    var policy = this.retryPolicy || (override ? new RetryPolicy() : null);
+    var settings = policy && policy.forOperation(operation.$name, override);
+    if (!settings) {
+      return this._invokeWithFailover(operation, args, location, callback, options, extraHeaders);
+    }
+
+    var signal = options && options.signal;
+    var attempt = 0;
+    var timer = null;
+
+    function onAbort() {
+      clearTimeout(timer);
+      callback(new errors.AbortError(signal.reason));
+    }
+
+    function tryInvoke() {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      attempt++;
+      self._invokeWithFailover(operation, args, location, function(err) {
+        if (err && attempt < settings.maxAttempts &&
+          policy.isRetryable(settings, err) && !(signal && signal.aborted)) {
+          var delay = policy.delay(settings, attempt);
+          debug('client request. retrying %s after attempt %d: %s',
+            operation.$name, attempt, err.message);
+          if (signal) signal.addEventListener('abort', onAbort);
+          timer = setTimeout(tryInvoke, delay);
+          self.emit('retry', {
+            operation: operation.$name,
+            attempt: attempt,
+            delay: delay,
+            error: err
+          });
+          return;
+        }
+        callback.apply(null, arguments);
+      }, options, extraHeaders);
+    }
+
+    tryInvoke();
+  }
+
+  /**
+   * Send a single attempt, moving on to the next endpoint of a failover group
+   * on connection errors
+   */
+  _invokeWithFailover(operation, args, location, callback, options, extraHeaders) {
+    if (!(location instanceof FailoverGroup)) {
+      return this._invokeEndpoint(operation, args, location, callback, options, extraHeaders);
+    }
+    var self = this;
+    var signal = options && options.signal;
+    var candidates = location.candidates();
+    var index = 0;
+
+    function tryEndpoint() {
+      var endpoint = candidates[index];
+      self._invokeEndpoint(operation, args, endpoint, function(err) {
+        if (index + 1 < candidates.length && location.shouldFailover(err) &&
+          !(signal && signal.aborted)) {
+          index++;
+          debug('client request. failing over %s from %s to %s: %s',
+            operation.$name, endpoint, candidates[index], err.message);
+          self.emit('failover', {
+            operation: operation.$name,
+            from: endpoint,
+            to: candidates[index],
+            error: err
+          });
+          return tryEndpoint();
+        }
+        callback.apply(null, arguments);
+      }, options, extraHeaders);
+    }
+
+    tryEndpoint();
+  }
+
+  /**
+   * Get the circuit breaker guarding an endpoint
+   * @param {String} location The endpoint url
+   * @returns {CircuitBreaker|undefined} The breaker, or undefined if the
+   * client is not configured with the `circuitBreaker` option
+   */
+  getCircuitBreaker(location) {
+    if (!this.circuitBreakers) return undefined;
+    var self = this;
+    var breaker = this.circuitBreakers[location];
+    if (!breaker) {
+      breaker = this.circuitBreakers[location] = new CircuitBreaker(location,
+        this.circuitBreakerOptions, function(state, previousState) {
+          self.emit('circuitStateChange', {
+            endpoint: location,
+            state: state,
+            previousState: previousState
+          });
+        });
+    }
+    return breaker;
+  }
+
+  /**
+   * Send a single attempt to an endpoint through its circuit breaker
+   */
+  _invokeEndpoint(operation, args, location, callback, options, extraHeaders) {
+    var breaker = this.getCircuitBreaker(location);
+    if (!breaker) {
+      return this._invoke(operation, args, location, callback, options, extraHeaders);
+    }
+    if (!breaker.allow()) {
+      debug('client request. circuit open for %s', location);
+      var err = new errors.CircuitOpenError(location, breaker.retryAfter());
+      return process.nextTick(function() {
+        callback(err);
+      });
+    }
+    this._invoke(operation, args, location, function(err) {
+      breaker.record(err);
+      callback.apply(null, arguments);
+    }, options, extraHeaders);
+  }
+
+  /**
+   * Build the WS-Addressing headers of a request. Addressing is enabled by
+   * the `wsAddressing` option, by the `addressing` call option or else by
+   * the `wsaw:UsingAddressing` of the binding or a reply listener.
+   */
+  _addressingHeaders(operation, location, soapAction, callSettings) {
+    var settings = this.wsAddressing;
+    var listener = operation.output && this.replyListener;
+    if (settings === undefined) {
+      settings = !!listener || addressing.isUsingAddressing(operation.parent);
+    }
+    if (!settings && !callSettings) {
+      return null;
+    }
+    settings = _.assign({}, typeof settings === 'object' ? settings : {},
+      callSettings);
+    var portTypeOperation = operation.operation;
+    return _.omitBy({
+      action: settings.action || addressing.declaredAction(
+        portTypeOperation && portTypeOperation.input) || soapAction,
+      messageID: settings.messageID || addressing.messageId(),
+      to: settings.to || location,
+      replyTo: settings.replyTo ||
+        (listener ? listener.address : addressing.ANONYMOUS),
+      faultTo: settings.faultTo,
+      relatesTo: settings.relatesTo
+    }, _.isUndefined);
   }
 
+  /**
+   * Invoke an operation of a WSDL 1.1 `http:binding`: the arguments are sent
+   * in the url or a form, and the response is a plain XML document
+   */
+  _invokeHttp(operation, args, location, callback, options, extraHeaders) {
+    var self = this;
+    var name = operation.$name;
+    options = options || {};
+    var signal = options.signal;
+    if (signal && signal.aborted) {
+      return callback(abortError(signal));
+    }
+    var operationDescriptor = operation.describe(this.wsdl.definitions);
+
+    var trace = diagnostics.start('client', {
+      operation: name,
+      endpoint: location
+    });
+    callback = traced(callback, trace);
+
+    var headers = _.assign({}, this.httpHeaders,
+      _.omit(extraHeaders, ['soapHeaders']));
+    options = _.omit(options, ['soapHeaders'].concat(invocationProperties));
+    if (self.security && self.security.addHttpHeaders) {
+      self.security.addHttpHeaders(headers);
+    }
+    if (self.security && self.security.addOptions) {
+      self.security.addOptions(options);
+    }
+
+    var context = {
+      client: self,
+      operation: name,
+      args: args,
+      headers: headers,
+      options: options,
+      location: location
+    };
+    var interceptError = self._intercept('beforeSerialize', context);
+    if (interceptError) {
+      return callback(interceptError);
+    }
+
+    var request;
+    try {
+      request = httpBinding.encodeRequest(operationDescriptor, context.args,
+        location, self.xmlHandler);
+    } catch (err) {
+      return callback(err);
+    }
+    if (request.contentType) {
+      headers['Content-Type'] = request.contentType;
+    }
+    context.xml = request.body;
+    interceptError = self._intercept('beforeSend', context);
+    if (interceptError) {
+      return callback(interceptError);
+    }
+    // A form without fields is still posted
+    options = _.assign({}, context.options, {method: operationDescriptor.verb});
+    callback = cancellable(callback, signal);
+
+    self.lastMessage = context.xml;
+    self.lastRequest = context.xml;
+    self.lastEndpoint = request.url;
+    self.emit('request', context.xml, request.url);
+    trace.mark('serialize');
+
+    var req = self.httpClient.request(request.url, context.xml, function(err, response, body) {
+      self.lastResponse = body;
+      self.lastResponseAttachments = undefined;
+      self.lastResponseHeaders = response && response.headers;
+      self.lastElapsedTime = response && response.elapsedTime;
+      trace.mark('network');
+      trace.set({statusCode: response && response.statusCode});
+      self.emit('response', body, response);
+
+      if (err) {
+        return callback(err);
+      }
+      context.response = response;
+      context.body = body;
+      var error = self._intercept('afterReceive', context);
+      if (error) {
+        return callback(error);
+      }
+      body = context.body;
+      if (response.statusCode >= 400) {
+        error = new Error(g.f('HTTP status %s', response.statusCode));
+        error.response = response;
+        error.body = body;
+        self.emit('soapError', error);
+        return callback(error, response, body);
+      }
+
+      // The document is the element of the output part
+      var outputBodyDescriptor = operationDescriptor.output.body;
+      var obj;
+      try {
+        obj = self.xmlHandler.xmlToJson(null, body, outputBodyDescriptor);
+      } catch (err) {
+        err.response = response;
+        err.body = body;
+        return callback(err, response, body);
+      }
+      var element = outputBodyDescriptor.elements[0];
+      context.result = element ? obj[element.qname.name] : obj;
+      error = self._intercept('afterParse', context);
+      if (error) {
+        return callback(error);
+      }
+      callback(null, context.result, body);
+    }, headers, options, self);
 
+    if (req != null) {
+      self.lastRequestHeaders = req.headers;
+    }
+    callback.setRequest(req);
+  }
 
   _invoke(operation, args, location, callback, options, extraHeaders) {
+    if (operation.verb) {
+      return this._invokeHttp(operation, args, location, callback, options,
+        extraHeaders);
+    }
     var self = this,
       name = operation.$name,
       input = operation.input,
@@ -128,6 +812,14 @@ class Client extends Base {
 
     debug('client request. operation: %s args: %j options: %j extraHeaders: %j', operation.name, args, options, extraHeaders);
 
+    var signal = options && options.signal;
+    var responseStream = options && options.responseStream;
+    var addressingOptions = options && options.addressing;
+    var replyTimeout = options && options.replyTimeout;
+    if (signal && signal.aborted) {
+      return callback(abortError(signal));
+    }
+
     var soapNsURI = 'http://schemas.xmlsoap.org/soap/envelope/';
     var soapNsPrefix = this.wsdl.options.envelopeKey || 'soap';
 
@@ -154,6 +846,14 @@ class Client extends Base {
 
     debug('client request. soapAction: %s', soapAction);
 
+    var trace = diagnostics.start('client', {
+      operation: name,
+      endpoint: location,
+      soapVersion: soapVersion === '1.2' ? '1.2' : '1.1',
+      soapAction: soapAction
+    });
+    callback = traced(callback, trace);
+
     options = options || {};
     debugSensitive('client request. options: %j', options);
 
@@ -163,7 +863,7 @@ class Client extends Base {
     debug('Soap xml payload extra headers: %j', dynamicSoapHeaders);
 
     extraHeaders = _.omit(extraHeaders, dynamicSoapHeaderProperty);
-    options = _.omit(options, dynamicSoapHeaderProperty);
+    options = _.omit(options, dynamicSoapHeaderProperty.concat(invocationProperties));
 
     //Add extra headers to http request
     for (var header in this.httpHeaders) {
@@ -211,6 +911,13 @@ class Client extends Base {
     //add soapHeaders to envelope. Header can be xml, or JSON object which may or may not be described in WSDL/XSD.
     this.addSoapHeadersToEnvelope(soapHeaderElement, this.xmlHandler);
 
+    var addressingHeaders = this._addressingHeaders(operation, location,
+      soapAction, addressingOptions);
+    if (addressingHeaders) {
+      addressing.addHeaders(soapHeaderElement, addressingHeaders);
+      self.lastMessageID = addressingHeaders.messageID;
+    }
+
     if (self.security && self.security.addSoapHeaders) {
       xml = self.security.addSoapHeaders(envelope.header);
     }
@@ -245,13 +952,41 @@ class Client extends Base {
     var inputHeadersDescriptor = operationDescriptor.input.headers;
 
 
+    var context = {
+      client: self,
+      operation: name,
+      args: args,
+      headers: headers,
+      options: options,
+      location: location,
+      envelope: envelope
+    };
+    var interceptError = self._intercept('beforeSerialize', context);
+    if (interceptError) {
+      return callback(interceptError);
+    }
+    args = context.args;
+
     debug('client request, calling jsonToXml. args: %j', args);
-    xmlHandler.jsonToXml(soapBodyElement, nsContext, inputBodyDescriptor, args);
+    // Streamed requests cannot have MIME parts, their binary values are inlined
+    var xop = self.mtom && !hasAsyncIterable(args, 0) &&
+      {threshold: self.mtom.threshold, parts: []};
+    var deferred = xmlHandler.jsonToXmlDeferred(soapBodyElement, nsContext,
+      inputBodyDescriptor, args, xop);
+    if (xop && xop.parts.length) {
+      // MTOM, the binary values are sent as attachments
+      options.attachments = (options.attachments || []).concat(xop.parts);
+    }
 
     if (self.security && self.security.postProcess) {
       self.security.postProcess(envelope.header, envelope.body);
     }
 
+    interceptError = self._intercept('afterEnvelope', context);
+    if (interceptError) {
+      return callback(interceptError);
+    }
+
     //Bydefault pretty print is true and request envelope is created with newlines and indentations
     var prettyPrint = true;
     //some web services don't accept request envelope with newlines and indentations in which case user has to set {prettyPrint: false} as client option
@@ -262,8 +997,78 @@ class Client extends Base {
     message = envelope.body.toString({pretty: prettyPrint});
     xml = envelope.doc.end({pretty: prettyPrint});
 
+    context.xml = xml;
+    interceptError = self._intercept('beforeSend', context);
+    if (interceptError) {
+      return callback(interceptError);
+    }
+    xml = context.xml;
+    headers = context.headers;
+    options = context.options;
+
     debug('Request envelope: %s', xml);
 
+    var payload = xml;
+    if (deferred.length) {
+      // Repeated elements given as async iterables are serialized while the
+      // request is sent. The logged envelope goes without them.
+      payload = xmlHandler.createXmlStream(xml, deferred, {pretty: prettyPrint});
+      deferred.forEach(function(placeholder) {
+        xml = xml.replace(placeholder.marker, '');
+        message = message.replace(placeholder.marker, '');
+      });
+      var settle = callback;
+      callback = function(err) {
+        if (err) {
+          // The values cannot be replayed by retries or failover
+          err.requestStreamed = true;
+        }
+        payload.destroy();
+        settle.apply(null, arguments);
+      };
+      callback.promise = settle.promise;
+    }
+    var recordsEmitted = false;
+    if (responseStream) {
+      var emitted = callback;
+      callback = function(err) {
+        if (err && recordsEmitted) {
+          // A new attempt would emit the same records again
+          err.responseStreamed = true;
+        }
+        emitted.apply(null, arguments);
+      };
+      callback.promise = emitted.promise;
+    }
+    // With a reply listener, the service can reply asynchronously to the
+    // wsa:ReplyTo of the request
+    var awaitingReply = null;
+    var replyListener = self.replyListener;
+    if (output && !responseStream && addressingHeaders && replyListener &&
+      addressingHeaders.replyTo === replyListener.address) {
+      awaitingReply = replyListener.expect(addressingHeaders.messageID,
+        replyTimeout, function(err, body, message) {
+          if (err) {
+            return callback(err);
+          }
+          debug('client reply. message: %s body: %j', addressingHeaders.messageID, body);
+          self.lastResponse = body;
+          self.lastResponseHeaders = message.headers;
+          self.emit('response', body, message);
+          receive(message, body);
+        });
+      var unanswered = callback;
+      callback = function() {
+        awaitingReply.cancel();
+        unanswered.apply(null, arguments);
+      };
+      callback.promise = unanswered.promise;
+    }
+    callback = cancellable(callback, signal);
+    if (deferred.length) {
+      payload.on('error', callback.cancel);
+    }
+
     self.lastMessage = message;
     self.lastRequest = xml;
     self.lastEndpoint = location;
@@ -271,6 +1076,9 @@ class Client extends Base {
     self.emit('message', message);
     self.emit('request', xml);
 
+    trace.set({requestBytes: deferred.length ? undefined : Buffer.byteLength(xml)});
+    trace.mark('serialize');
+
     var tryJSONparse = function(body) {
       try {
         return JSON.parse(body);
@@ -280,95 +1088,356 @@ class Client extends Base {
       }
     };
 
-    req = self.httpClient.request(location, xml, function(err, response, body) {
+    var parseError = function(error, response, body) {
+      //  When the output element cannot be looked up in the wsdl and the body is JSON
+      //  instead of sending the error, we pass the body in the response.
+      debug('client response. error message: %s', error.message);
+
+      if (!output) {
+        debug('client response. output not present');
+        //  If the response is JSON then return it as-is.
+        var json = _.isObject(body) ? body : tryJSONparse(body);
+        if (json) {
+          return callback(null, response, json);
+        }
+      }
+      //Reaches here for Fault processing as well since Fault is thrown as an error in xmlHandler.xmlToJson(..) function.
+      if (error instanceof errors.SOAPFault) {
+        error.identify(operation.describeNamedFaults(defs));
+      }
+      error.response = response;
+      error.body = body;
+      self.emit('soapError', error);
+      return callback(error, response, body);
+    };
+
+    var processEnvelope = function(obj, response, body, attachments) {
       var result;
-      var obj;
-      self.lastResponse = body;
-      self.lastResponseHeaders = response && response.headers;
-      self.lastElapsedTime = response && response.elapsedTime;
-      self.emit('response', body, response);
+      if (response && response.statusCode >= 400) {
+        // SOAP 1.1 and 1.2 answer a request with a 4xx or 5xx status only to
+        // send a fault, any other message with such a status is an HTTP error,
+        // including for one-way operations
+        var httpError = new Error(g.f('HTTP status %s without a SOAP fault',
+          response.statusCode));
+        httpError.response = response;
+        httpError.body = body;
+        self.emit('soapError', httpError);
+        return callback(httpError, response, body);
+      }
+      if (!output) {
+        // one-way, no output expected
+        return intercepted(null, body, obj.Header, attachments);
+      }
+      if (typeof obj.Body !== 'object') {
+        var error = new Error(g.f('Cannot parse response'));
+        error.response = response;
+        error.body = body;
+        return callback(error, obj, body);
+      }
 
-      debug('client response. response: %j body: %j', response, body);
+      var outputBodyDescriptor = operationDescriptor.output.body;
+      var outputHeadersDescriptor = operationDescriptor.output.headers;
 
-      if (err) {
-        callback(err);
-      } else {
-
-        //figure out if this is a Fault response or normal output from the server.
-        //There seem to be no good way to figure this out other than
-        //checking for <Fault> element in server response.
-        if (body.indexOf('<soap:Fault>') > -1  || body.indexOf('<Fault>') > -1) {
-          var outputEnvDescriptor = operationDescriptor.faultEnvelope;
-        } else  {
-          var outputEnvDescriptor = operationDescriptor.outputEnvelope;
-        }
-        try {
-          debugDetail('client response. outputEnvDescriptor: %j', outputEnvDescriptor);
-          obj = xmlHandler.xmlToJson(nsContext, body, outputEnvDescriptor);
-        } catch (error) {
-          //  When the output element cannot be looked up in the wsdl and the body is JSON
-          //  instead of sending the error, we pass the body in the response.
-          debug('client response. error message: %s', error.message);
-
-          if (!output) {
-            debug('client response. output not present');
-            //  If the response is JSON then return it as-is.
-            var json = _.isObject(body) ? body : tryJSONparse(body);
-            if (json) {
-              return callback(null, response, json);
-            }
+      if (outputBodyDescriptor.elements.length) {
+        result = obj.Body[outputBodyDescriptor.elements[0].qname.name];
+      }
+      // RPC/literal response body may contain elements with added suffixes I.E.
+      // 'Response', or 'Output', or 'Out'
+      // This doesn't necessarily equal the ouput message name. See WSDL 1.1 Section 2.4.5
+      if (!result) {
+        var outputName = output.$name &&
+          output.$name.replace(/(?:Out(?:put)?|Response)$/, '');
+        result = obj.Body[outputName];
+      }
+      if (!result) {
+        ['Response', 'Out', 'Output', '.Response', '.Out', '.Output'].forEach(function(term) {
+          if (obj.Body.hasOwnProperty(name + term)) {
+            return result = obj.Body[name + term];
           }
-          //Reaches here for Fault processing as well since Fault is thrown as an error in xmlHandler.xmlToJson(..) function.
-          error.response = response;
-          error.body = body;
-          self.emit('soapError', error);
-          return callback(error, response, body);
-        }
+        });
+      }
+      debug('client response. result: %j body: %j obj.Header: %j', result, body, obj.Header);
 
-        if (!output) {
-          // one-way, no output expected
-          return callback(null, null, body, obj.Header);
-        }
-        if (typeof obj.Body !== 'object') {
-          var error = new Error(g.f('Cannot parse response'));
-          error.response = response;
-          error.body = body;
-          return callback(error, obj, body);
-        }
+      intercepted(result, body, obj.Header, attachments);
+    };
+
+    var intercepted = function(result, body, header, attachments) {
+      context.result = result;
+      context.soapHeader = header;
+      var error = self._intercept('afterParse', context);
+      if (error) {
+        return callback(error);
+      }
+      callback(null, context.result, body, context.soapHeader, attachments);
+    };
 
-        var outputBodyDescriptor = operationDescriptor.output.body;
-        var outputHeadersDescriptor = operationDescriptor.output.headers;
+    var receive = function(response, body) {
+      var obj;
+      context.response = response;
+      context.body = body;
+      var error = self._intercept('afterReceive', context);
+      if (error) {
+        return callback(error);
+      }
+      body = context.body;
 
-        if (outputBodyDescriptor.elements.length) {
-          result = obj.Body[outputBodyDescriptor.elements[0].qname.name];
-        }
-        // RPC/literal response body may contain elements with added suffixes I.E.
-        // 'Response', or 'Output', or 'Out'
-        // This doesn't necessarily equal the ouput message name. See WSDL 1.1 Section 2.4.5
-        if (!result) {
-          var outputName = output.$name &&
-            output.$name.replace(/(?:Out(?:put)?|Response)$/, '');
-          result = obj.Body[outputName];
+      //the response envelope describes both the output and the <Fault>, the parser
+      //reports a fault when the first child of the <Body> is a SOAP 1.1 or 1.2 <Fault>
+      var outputEnvDescriptor = operationDescriptor.responseEnvelope;
+      var attachments = response && response.attachments;
+      var included = [];
+      try {
+        debugDetail('client response. outputEnvDescriptor: %j', outputEnvDescriptor);
+        obj = xmlHandler.xmlToJson(nsContext, body, outputEnvDescriptor,
+          multipart.xopResolver(attachments, included));
+      } catch (error) {
+        return parseError(error, response, body);
+      }
+      if (attachments) {
+        // Parts included with XOP are part of the result
+        attachments = _.difference(attachments, included);
+      }
+      self.lastResponseAttachments = attachments;
+      processEnvelope(obj, response, body, attachments);
+    };
+
+    if (responseStream) {
+      req = requestStream(self.httpClient, location, payload, function(err, response, bodyStream) {
+        self.lastResponse = undefined;
+        self.lastResponseAttachments = undefined;
+        self.lastResponseHeaders = response && response.headers;
+        self.lastElapsedTime = response && response.elapsedTime;
+        trace.mark('network');
+        trace.set({statusCode: response && response.statusCode});
+
+        if (err) {
+          return callback(err);
         }
-        if (!result) {
-          ['Response', 'Out', 'Output', '.Response', '.Out', '.Output'].forEach(function(term) {
-            if (obj.Body.hasOwnProperty(name + term)) {
-              return result = obj.Body[name + term];
+        debug('client response stream. status: %s', response.statusCode);
+        responseStream._source = bodyStream;
+        xmlHandler.xmlToJsonStream(nsContext, bodyStream,
+          operationDescriptor.responseEnvelope,
+          function(name, value) {
+            recordsEmitted = true;
+            responseStream.pushRecord(name, value);
+          }, function(error, obj) {
+            responseStream._source = null;
+            if (error) {
+              return parseError(error, response);
             }
+            processEnvelope(obj, response);
           });
-        }
-        debug('client response. result: %j body: %j obj.Header: %j', result, body, obj.Header);
+      }, headers, options, self);
+      responseStream._request = req;
+    } else {
+      req = self.httpClient.request(location, payload, function(err, response, body) {
+        self.lastResponse = body;
+        self.lastResponseAttachments = undefined;
+        self.lastResponseHeaders = response && response.headers;
+        self.lastElapsedTime = response && response.elapsedTime;
+        trace.mark('network');
+        trace.set({
+          statusCode: response && response.statusCode,
+          responseBytes: typeof body === 'string' ? Buffer.byteLength(body) : undefined
+        });
+        self.emit('response', body, response);
 
-        callback(null, result, body, obj.Header);
-      }
-    }, headers, options, self);
+        debug('client response. response: %j body: %j', response, body);
+
+        if (err) {
+          return callback(err);
+        }
+        if (awaitingReply && isAccepted(response, body)) {
+          debug('client response. waiting for the reply to %s', addressingHeaders.messageID);
+          return;
+        }
+        receive(response, body);
+      }, headers, options, self);
+    }
 
     // Added mostly for testability, but possibly useful for debugging
     if (req != null) {
       self.lastRequestHeaders = req.headers;
     }
+    callback.setRequest(req);
     debug('client response. lastRequestHeaders: %j', self.lastRequestHeaders);
   }
 }
 
+/**
+ * Check if a service accepted a request without replying, the reply is then
+ * sent to the wsa:ReplyTo of the request
+ */
+function isAccepted(response, body) {
+  return response.statusCode === 202 ||
+    (response.statusCode >= 200 && response.statusCode < 300 && !body);
+}
+
+/**
+ * Classify the result of a call for the statistics
+ */
+/**
+ * Wrap the callback of an attempt to end its diagnostics trace, the time after
+ * the response is received being spent parsing it
+ */
+function traced(callback, trace) {
+  var complete = function(err) {
+    if (trace.has('network')) {
+      trace.mark('parse');
+    }
+    trace.end(err);
+    callback.apply(null, arguments);
+  };
+  complete.promise = callback.promise;
+  return complete;
+}
+
+function outcome(err) {
+  if (!err) return Stats.Outcome.ok;
+  return selectn('root.Envelope.Body.Fault', err) ? Stats.Outcome.fault :
+    Stats.Outcome.transportError;
+}
+
+/**
+ * Check if the arguments of a call have values to stream
+ */
+function hasAsyncIterable(val, depth) {
+  if (val == null || typeof val !== 'object' || Buffer.isBuffer(val) ||
+    depth > 32) {
+    return false;
+  }
+  if (typeof val[Symbol.asyncIterator] === 'function') {
+    return true;
+  }
+  return _.some(val, function(child) {
+    return hasAsyncIterable(child, depth + 1);
+  });
+}
+
+/**
+ * Send a request through the streaming interface of the http client, or
+ * stream the buffered body of http clients that only implement `request()`
+ */
+function requestStream(httpClient, location, xml, callback, headers, options, client) {
+  if (typeof httpClient.requestStream === 'function') {
+    return httpClient.requestStream(location, xml, callback, headers, options, client);
+  }
+  return httpClient.request(location, xml, function(err, response, body) {
+    if (err) {
+      return callback(err, response);
+    }
+    var bodyStream = new PassThrough();
+    bodyStream.end(body);
+    callback(null, response, bodyStream);
+  }, headers, options, client);
+}
+
+/**
+ * Wrap the callback of an attempt so that it settles at most once, honouring
+ * an optional AbortSignal. When the attempt is cancelled the in-flight http
+ * request is aborted to release its socket.
+ * @param {Function} callback The operation callback
+ * @param {AbortSignal} [signal] Signal to cancel the attempt
+ * @returns {Function} The guarded callback
+ */
+function cancellable(callback, signal) {
+  var settled = false;
+  var req = null;
+
+  function settle() {
+    if (settled) return false;
+    settled = true;
+    if (signal) signal.removeEventListener('abort', onAbort);
+    return true;
+  }
+
+  function cancel(err) {
+    if (!settle()) return;
+    debug('client request cancelled: %s', err.message);
+    if (req && typeof req.abort === 'function') {
+      req.abort();
+    } else if (req && typeof req.destroy === 'function') {
+      req.destroy();
+    }
+    callback(err);
+  }
+
+  function onAbort() {
+    cancel(abortError(signal));
+  }
+
+  var guarded = function() {
+    if (settle()) {
+      callback.apply(null, arguments);
+    }
+  };
+  guarded.promise = callback.promise;
+  guarded.setRequest = function(request) {
+    req = request;
+  };
+  guarded.cancel = cancel;
+
+  if (signal) {
+    signal.addEventListener('abort', onAbort);
+  }
+  return guarded;
+}
+
+/**
+ * The error of an attempt cancelled by a signal. The deadline of the call
+ * aborts its attempt with the `TimeoutError`, so that the attempt counts as a
+ * failure of the endpoint.
+ * @param {AbortSignal} signal The aborted signal
+ * @returns {Error}
+ */
+function abortError(signal) {
+  return signal.reason instanceof errors.TimeoutError ? signal.reason :
+    new errors.AbortError(signal.reason);
+}
+
+/**
+ * Create the signal that the layers of a call with a deadline listen to. It is
+ * aborted by the deadline, or when the signal of the caller is aborted.
+ * @param {AbortSignal} [parent] The signal of the caller
+ * @returns {Object} The signal, with `abort(reason)` and `dispose()` methods
+ */
+function callSignal(parent) {
+  var listeners = [];
+  var signal = {
+    aborted: false,
+    reason: undefined,
+    addEventListener: function(type, listener) {
+      if (type === 'abort') listeners.push(listener);
+    },
+    removeEventListener: function(type, listener) {
+      var index = listeners.indexOf(listener);
+      if (type === 'abort' && index !== -1) listeners.splice(index, 1);
+    },
+    abort: function(reason) {
+      if (signal.aborted) return;
+      signal.aborted = true;
+      signal.reason = reason;
+      signal.dispose();
+      listeners.splice(0).forEach(function(listener) {
+        listener.call(signal, {type: 'abort'});
+      });
+    },
+    dispose: function() {
+      if (parent) parent.removeEventListener('abort', onParentAbort);
+    }
+  };
+
+  function onParentAbort() {
+    signal.abort(parent.reason);
+  }
+
+  if (parent && parent.aborted) {
+    signal.aborted = true;
+    signal.reason = parent.reason;
+  } else if (parent) {
+    parent.addEventListener('abort', onParentAbort);
+  }
+  return signal;
+}
+
 module.exports = Client;
@@ -0,0 +1,124 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var g = require('./globalize');
+var _ = require('lodash');
+var errors = require('./errors');
+var debug = require('debug')('strong-soap:concurrency');
+
+var DEFAULTS = {
+  maxQueue: Infinity,
+  queueTimeout: 0
+};
+
+/**
+ * Limit of the calls in flight at the same time. Calls beyond the limit wait
+ * in a FIFO queue for a slot to be released.
+ *
+ * @param {Object} options Options object
+ * @param {Number} options.limit Maximum number of calls in flight
+ * @param {Number} [options.maxQueue=Infinity] Maximum number of waiting calls,
+ * further calls fail with a QueueFullError
+ * @param {Number} [options.queueTimeout=0] Time in ms a call may wait for a
+ * slot before failing with a QueueTimeoutError, 0 to wait forever
+ *
+ * @constructor
+ */
+class ConcurrencyLimiter {
+  constructor(options) {
+    this.options = _.defaults({}, options, DEFAULTS);
+    if (!(this.options.limit > 0)) {
+      throw new TypeError(g.f('The concurrency limit must be a positive number'));
+    }
+    this.active = 0;
+    this.queue = [];
+  }
+
+  /**
+   * Acquire a slot, waiting in the queue if all the slots are taken
+   * @param {AbortSignal} [signal] Signal removing the call from the queue
+   * @param {Function} callback Called with (err, release, waited) once a slot
+   * is acquired. `release` must be called when the call completes and
+   * `waited` is the time in ms spent in the queue, undefined if the slot was
+   * free.
+   * @returns {Boolean} true if the call waits in the queue
+   */
+  acquire(signal, callback) {
+    var self = this;
+    if (this.active < this.options.limit) {
+      this.active++;
+      callback(null, this._releaser());
+      return false;
+    }
+    if (signal && signal.aborted) {
+      process.nextTick(callback, new errors.AbortError(signal.reason));
+      return false;
+    }
+    if (this.queue.length >= this.options.maxQueue) {
+      debug('queue full with %d calls', this.queue.length);
+      process.nextTick(callback, new errors.QueueFullError(this.options.maxQueue));
+      return false;
+    }
+
+    var entry = {callback: callback, queuedAt: Date.now()};
+    if (this.options.queueTimeout > 0) {
+      entry.timer = setTimeout(function() {
+        self._remove(entry);
+        callback(new errors.QueueTimeoutError(self.options.queueTimeout));
+      }, this.options.queueTimeout);
+    }
+    if (signal) {
+      entry.signal = signal;
+      entry.onAbort = function() {
+        self._remove(entry);
+        callback(new errors.AbortError(signal.reason));
+      };
+      signal.addEventListener('abort', entry.onAbort);
+    }
+    this.queue.push(entry);
+    debug('call queued, %d waiting', this.queue.length);
+    return true;
+  }
+
+  _releaser() {
+    var self = this;
+    var released = false;
+    return function release() {
+      if (released) return;
+      released = true;
+      self.active--;
+      self._next();
+    };
+  }
+
+  _next() {
+    while (this.queue.length && this.active < this.options.limit) {
+      var entry = this.queue.shift();
+      this._cleanup(entry);
+      this.active++;
+      debug('call dequeued, %d waiting', this.queue.length);
+      // Let the completed call finish before the next one starts
+      process.nextTick(entry.callback, null, this._releaser(),
+        Date.now() - entry.queuedAt);
+    }
+  }
+
+  _remove(entry) {
+    var index = this.queue.indexOf(entry);
+    if (index !== -1) this.queue.splice(index, 1);
+    this._cleanup(entry);
+  }
+
+  _cleanup(entry) {
+    clearTimeout(entry.timer);
+    if (entry.signal) {
+      entry.signal.removeEventListener('abort', entry.onAbort);
+    }
+  }
+}
+
+module.exports = ConcurrencyLimiter;
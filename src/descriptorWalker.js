@@ -0,0 +1,299 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var debug = require('debug')('strong-soap:descriptorWalker');
+var helper = require('./parser/helper');
+var Style = require('./parser/wsdl/operation').Style;
+
+var namespaces = helper.namespaces;
+
+/**
+ * Walk the types of a WSDL and the descriptors of its operations to generate
+ * declarations of their values, such as TypeScript types or JSON schemas.
+ * The walker names the declarations of the named types and of the global
+ * elements with an anonymous complex type, and resolves what an element
+ * descriptor refers to. Generators extend it with:
+ *
+ * - `builtin(name)`: the declaration of an XML schema type
+ * - `jsType(type)`: the declaration of a `jsType` of a descriptor
+ * - `reference(name)`: a reference to a named declaration
+ * - `any()`: the declaration of any value
+ * - `object(descriptor, context)`: the declaration of the child elements and
+ * attributes of a descriptor
+ * - `restriction(restriction, type)` and `union(members)`: the declarations
+ * of simple types
+ */
+class DescriptorWalker {
+  /**
+   * @param {Definitions} definitions The definitions of the WSDL
+   * @param {String[]} [reserved] The names that are not available
+   */
+  constructor(definitions, reserved) {
+    this.definitions = definitions;
+    this.names = {};
+    (reserved || []).forEach(function(name) {
+      this.names[name] = true;
+    }, this);
+    // Declared names by {nsURI}name of the named types
+    this.types = {};
+    // Declared names of the descriptors of global elements
+    this.elements = new Map();
+  }
+
+  /**
+   * Name the types and the global elements with an anonymous complex type,
+   * then declare them. Named types are declared first so that they keep their
+   * names.
+   * @param {Function} declare Called with (name, declaration, isSimple) for
+   * each of them
+   * @param {*} [context] The context of the declarations, see `object()`
+   */
+  walkTypes(declare, context) {
+    var self = this;
+    var schemas = this.definitions.schemas;
+    for (let ns in schemas) {
+      let schema = schemas[ns];
+      for (let name in schema.simpleTypes) {
+        this.types[key(schema.simpleTypes[name])] = this.declare(name, 'Type');
+      }
+      for (let name in schema.complexTypes) {
+        this.types[key(schema.complexTypes[name])] = this.declare(name, 'Type');
+      }
+    }
+    for (let ns in schemas) {
+      let schema = schemas[ns];
+      for (let name in schema.elements) {
+        let element = schema.elements[name];
+        if (element.$type || element.$ref || !element.complexType) continue;
+        this.elements.set(element.describe(this.definitions),
+          this.declare(name, 'Element'));
+      }
+    }
+
+    for (let ns in schemas) {
+      let schema = schemas[ns];
+      for (let name in schema.simpleTypes) {
+        let type = schema.simpleTypes[name];
+        declare(this.types[key(type)], this.simpleType(type, true), true);
+      }
+      for (let name in schema.complexTypes) {
+        let type = schema.complexTypes[name];
+        declare(this.types[key(type)],
+          this.object(type.describe(this.definitions), context), false);
+      }
+    }
+    this.elements.forEach(function(name, descriptor) {
+      declare(name, self.object(descriptor, context), false);
+    });
+  }
+
+  /**
+   * Reserve a unique name
+   * @param {String} name The name in the WSDL
+   * @param {String} suffix The suffix to tell apart the same names
+   * @returns {String}
+   */
+  declare(name, suffix) {
+    var base = this.identifier(name);
+    var candidate = base;
+    if (this.names[candidate]) candidate = base + suffix;
+    for (var i = 2; this.names[candidate]; i++) {
+      candidate = base + suffix + i;
+    }
+    this.names[candidate] = true;
+    return candidate;
+  }
+
+  /**
+   * The name of a declaration for a name in the WSDL
+   * @param {String} name
+   * @returns {String}
+   */
+  identifier(name) {
+    return String(name);
+  }
+
+  /**
+   * The declarations of the arguments and of the result of an operation, as
+   * the methods of the client take and return them
+   * @param {Operation} operation The operation of a binding
+   * @param {*} [context] The context of the declarations, see `object()`
+   * @returns {{input: *, output: *}}
+   */
+  operation(operation, context) {
+    var descriptor;
+    try {
+      descriptor = operation.describe(this.definitions);
+    } catch (err) {
+      // Such as unsupported document/encoded operations
+      debug('Cannot describe operation %s: %s', operation.$name, err.message);
+      return {input: this.any(), output: this.any()};
+    }
+    var input = descriptor.input.body;
+    var output = descriptor.output.body;
+    switch (descriptor.style) {
+      case Style.documentLiteralWrapped:
+        // The content of the wrapper elements
+        return {
+          input: input ? this.content(input, context) : this.any(),
+          output: output ? this.content(output, context) : this.any()
+        };
+      case Style.rpcLiteral:
+      case Style.rpcEncoded:
+        return {
+          input: this.object(input, context),
+          output: this.object(output, context)
+        };
+      default:
+        // The elements (or the parts of http bindings) keyed by name, and the
+        // content of the first element of the result
+        return {
+          input: this.object(input, context),
+          output: output.elements.length ?
+            this.content(output.elements[0], context) : this.any()
+        };
+    }
+  }
+
+  /**
+   * The declaration of the value of an element
+   * @param {ElementDescriptor} descriptor
+   * @param {*} [context] The context of the declaration, see `object()`
+   */
+  content(descriptor, context) {
+    var type = descriptor.type;
+    if (type && type.anonymous) {
+      return this.simpleType(type.anonymous, false);
+    }
+    if (type && type.nsURI === namespaces.xsd) {
+      return this.builtin(type.name);
+    }
+    if (type && this.types[key(type)]) {
+      return this.reference(this.types[key(type)]);
+    }
+    for (var d = descriptor; d; d = d.refOriginal) {
+      if (this.elements.has(d)) return this.reference(this.elements.get(d));
+    }
+    if (descriptor.isSimple && !descriptor.attributes.length) {
+      return descriptor.jsType ? this.jsType(descriptor.jsType) :
+        this.builtin('string');
+    }
+    return this.object(descriptor, context);
+  }
+
+  /**
+   * The child elements of a descriptor, without the references to unknown
+   * global elements which have no name
+   * @param {TypeDescriptor} descriptor
+   * @returns {ElementDescriptor[]}
+   */
+  elementsOf(descriptor) {
+    return descriptor.elements.filter(named);
+  }
+
+  /**
+   * The attributes of a descriptor, without the references to unknown global
+   * attributes which have no name
+   * @param {TypeDescriptor} descriptor
+   * @returns {AttributeDescriptor[]}
+   */
+  attributesOf(descriptor) {
+    return descriptor.attributes.filter(named);
+  }
+
+  /**
+   * The declaration of the simple content of a descriptor, if any
+   * @param {TypeDescriptor} descriptor
+   */
+  simpleContent(descriptor) {
+    var extension = descriptor.extension || descriptor.typeDescriptor &&
+      descriptor.typeDescriptor.extension;
+    return extension && extension.isSimple ?
+      this.typeByName(extension.name) : undefined;
+  }
+
+  /**
+   * The declaration of the value of an attribute
+   * @param {AttributeDescriptor} attribute
+   */
+  attributeType(attribute) {
+    var type = attribute.type;
+    if (!type) return this.builtin('string');
+    if (type.nsURI === namespaces.xsd) return this.builtin(type.name);
+    var name = this.types[key(type)];
+    return name ? this.reference(name) : this.builtin('string');
+  }
+
+  /**
+   * The declaration of a simple type by name, for simple contents
+   * @param {String} name
+   */
+  typeByName(name) {
+    if (name in helper.schemaTypes) return this.builtin(name);
+    var schemas = this.definitions.schemas;
+    for (let ns in schemas) {
+      let type = schemas[ns].simpleTypes[name];
+      if (type) return this.reference(this.types[key(type)]);
+    }
+    return this.builtin('string');
+  }
+
+  /**
+   * The declaration of the values of a simple type
+   * @param {SimpleType} type
+   * @param {Boolean} expand Expand a named type instead of referring to it
+   */
+  simpleType(type, expand) {
+    var self = this;
+    if (type.targetNamespace === namespaces.xsd) {
+      return this.builtin(type.$name);
+    }
+    if (!expand && this.types[key(type)]) {
+      return this.reference(this.types[key(type)]);
+    }
+    if (type.restriction) {
+      return this.restriction(type.restriction, type);
+    }
+    if (type.union && type.union.memberTypes) {
+      return this.union(type.union.memberTypes.map(function(member) {
+        return self.simpleType(member, false);
+      }));
+    }
+    return this.builtin('string');
+  }
+
+  /**
+   * Check if a simple type has a declaration of its own
+   * @param {SimpleType} type
+   * @returns {Boolean}
+   */
+  isDeclared(type) {
+    return !!this.types[key(type)];
+  }
+}
+
+/**
+ * The key of a named type in `types`
+ */
+function key(type) {
+  if (type.getQName) {
+    type = type.getQName();
+  }
+  return '{' + type.nsURI + '}' + type.name;
+}
+
+/**
+ * Check if the element or attribute of a descriptor has a name, which is not
+ * the case of references that cannot be resolved
+ */
+function named(descriptor) {
+  if (descriptor.qname && descriptor.qname.name) return true;
+  debug('Skipped an element or attribute without name');
+  return false;
+}
+
+module.exports = DescriptorWalker;
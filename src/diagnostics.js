@@ -0,0 +1,186 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var _ = require('lodash');
+var selectn = require('selectn');
+var debug = require('debug')('strong-soap:diagnostics');
+
+var diagnosticsChannel;
+try {
+  diagnosticsChannel = require('diagnostics_channel');
+} catch (err) {
+  // Node versions before 14.17 have no diagnostics_channel
+  diagnosticsChannel = null;
+}
+
+/**
+ * Names of the channels, `strong-soap:<side>:<event>`
+ */
+var CHANNELS = {
+  client: {
+    start: 'strong-soap:client:start',
+    end: 'strong-soap:client:end',
+    error: 'strong-soap:client:error'
+  },
+  server: {
+    start: 'strong-soap:server:start',
+    end: 'strong-soap:server:end',
+    error: 'strong-soap:server:error'
+  }
+};
+
+var channels = diagnosticsChannel && _.mapValues(CHANNELS, function(names) {
+  return _.mapValues(names, function(name) {
+    return diagnosticsChannel.channel(name);
+  });
+});
+
+/**
+ * Trace of one SOAP exchange. The same record is published on the `start`
+ * channel and, once the exchange completes, on the `end` or `error` channel
+ * with the rest of its fields.
+ *
+ * @param {String} side `client` or `server`
+ * @param {Object} fields The initial fields of the record
+ *
+ * @constructor
+ */
+class Trace {
+  constructor(side, fields) {
+    this.channels = channels[side];
+    this.record = _.assign({side: side, startTime: Date.now(), timings: {}},
+      fields);
+    this.started = process.hrtime();
+    this.marked = this.started;
+    this.ended = false;
+    this.error = null;
+    publish(this.channels.start, this.record);
+  }
+
+  /**
+   * Set fields of the record
+   * @param {Object} fields The fields
+   */
+  set(fields) {
+    _.assign(this.record, fields);
+  }
+
+  /**
+   * Record the duration of a phase, from the end of the previous phase
+   * @param {String} phase The name of the phase
+   */
+  mark(phase) {
+    var now = process.hrtime();
+    this.record.timings[phase] = elapsed(this.marked, now);
+    this.marked = now;
+  }
+
+  /**
+   * Check if a phase has been recorded
+   * @param {String} phase The name of the phase
+   * @returns {Boolean}
+   */
+  has(phase) {
+    return this.record.timings[phase] !== undefined;
+  }
+
+  /**
+   * Record the error of the exchange before it completes, such as the fault
+   * a server sends back
+   * @param {Error|Object} err The error
+   */
+  fail(err) {
+    this.error = err;
+  }
+
+  /**
+   * Complete the exchange, publishing the record on the `error` channel if
+   * there is an error and on the `end` channel otherwise
+   * @param {Error|Object} [err] The error
+   */
+  end(err) {
+    if (this.ended) return;
+    this.ended = true;
+    err = err || this.error;
+    var record = this.record;
+    record.timings.total = elapsed(this.started, process.hrtime());
+    if (err) {
+      record.error = err;
+      if (record.faultCode === undefined) {
+        record.faultCode = faultCode(selectn('root.Envelope.Body.Fault', err) ||
+          err.Fault);
+      }
+      if (record.statusCode === undefined) {
+        record.statusCode = selectn('response.statusCode', err);
+      }
+    }
+    publish(err ? this.channels.error : this.channels.end, record);
+  }
+}
+
+/**
+ * Trace used when no one subscribes to the channels of a side
+ */
+var NOOP_TRACE = {
+  set: _.noop,
+  mark: _.noop,
+  has: _.constant(false),
+  fail: _.noop,
+  end: _.noop
+};
+
+/**
+ * Start the trace of an exchange
+ * @param {String} side `client` or `server`
+ * @param {Object} fields The initial fields of the record
+ * @returns {Trace} The trace, a no-op one if no one subscribes
+ */
+function start(side, fields) {
+  if (!isObserved(side)) {
+    return NOOP_TRACE;
+  }
+  return new Trace(side, fields);
+}
+
+/**
+ * Check if anyone subscribes to the channels of a side
+ * @param {String} side `client` or `server`
+ * @returns {Boolean}
+ */
+function isObserved(side) {
+  return !!channels && _.some(channels[side], 'hasSubscribers');
+}
+
+/**
+ * Extract the code of a parsed or serialized SOAP 1.1 or 1.2 fault
+ * @param {Object} [fault] The fault
+ * @returns {String|undefined}
+ */
+function faultCode(fault) {
+  if (!fault) return undefined;
+  var code = selectn('faultcode.$value', fault) || fault.faultcode ||
+    selectn('Code.Value.$value', fault) || selectn('Code.Value', fault);
+  return typeof code === 'string' ? code : undefined;
+}
+
+function elapsed(from, to) {
+  return (to[0] - from[0]) * 1e3 + (to[1] - from[1]) / 1e6;
+}
+
+function publish(channel, record) {
+  if (channel.hasSubscribers) {
+    debug('publish %s', channel.name);
+    channel.publish(record);
+  }
+}
+
+exports.CHANNELS = CHANNELS;
+exports.Trace = Trace;
+exports.NOOP_TRACE = NOOP_TRACE;
+exports.start = start;
+exports.isObserved = isObserved;
+exports.faultCode = faultCode;
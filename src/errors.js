@@ -0,0 +1,183 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var g = require('./globalize');
+var selectn = require('selectn');
+
+/**
+ * Error reported when an operation is cancelled through its `AbortSignal`
+ */
+class AbortError extends Error {
+  constructor(reason) {
+    super(g.f('The operation was aborted'));
+    this.name = 'AbortError';
+    this.code = 'ABORT_ERR';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Error reported when an operation does not complete within its
+ * `callTimeout`, including the time spent parsing the response
+ */
+class TimeoutError extends Error {
+  constructor(timeout) {
+    super(g.f('The operation timed out after %s ms', timeout));
+    this.name = 'TimeoutError';
+    this.code = 'ETIMEDOUT';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Error reported without sending the request when the circuit breaker of the
+ * endpoint is open
+ */
+class CircuitOpenError extends Error {
+  constructor(endpoint, retryAfter) {
+    super(g.f('The circuit for %s is open', endpoint));
+    this.name = 'CircuitOpenError';
+    this.code = 'ECIRCUITOPEN';
+    this.endpoint = endpoint;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Error reported without sending the request when the queue of calls waiting
+ * for a concurrency slot is full
+ */
+class QueueFullError extends Error {
+  constructor(maxQueue) {
+    super(g.f('The call queue is full with %s waiting calls', maxQueue));
+    this.name = 'QueueFullError';
+    this.code = 'EQUEUEFULL';
+    this.maxQueue = maxQueue;
+  }
+}
+
+/**
+ * Error reported without sending the request when a call waits for a
+ * concurrency slot longer than the `queueTimeout`
+ */
+class QueueTimeoutError extends Error {
+  constructor(timeout) {
+    super(g.f('The call waited in the queue for more than %s ms', timeout));
+    this.name = 'QueueTimeoutError';
+    this.code = 'EQUEUETIMEOUT';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Error reported when no reply related to a request comes to the reply
+ * listener within the correlation timeout
+ */
+class ReplyTimeoutError extends Error {
+  constructor(messageID, timeout) {
+    super(g.f('No reply to the message %s within %s ms', messageID, timeout));
+    this.name = 'ReplyTimeoutError';
+    this.code = 'EREPLYTIMEOUT';
+    this.messageID = messageID;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Error reported when the response is a SOAP fault. The fields of SOAP 1.1
+ * and 1.2 faults are normalized:
+ *
+ * - `code`: the fault code, such as `soap:Server` or `soap:Receiver`
+ * - `localCode` and `codeNsURI`: the local name of the fault code and the
+ * namespace of its prefix, such as `Server` and
+ * `http://schemas.xmlsoap.org/soap/envelope/`
+ * - `subcodes`: the SOAP 1.2 subcodes, or the dotted suffixes of a SOAP 1.1
+ * code (`soap:Client.Authentication`)
+ * - `reason`: the `faultstring` or the first `Reason` text
+ * - `role` (and `actor`): the `faultactor` or `Role`
+ * - `node`: the SOAP 1.2 `Node`
+ * - `detail`: the parsed `detail` or `Detail`
+ * - `faultName` and `faultDetail`: the name of the `wsdl:fault` declared by the
+ * operation whose element is in the detail, and the value of that element
+ *
+ * @param {Object} fault The parsed `Fault` element
+ * @param {String} message The error message
+ * @param {String} [codeNsURI] The namespace of the prefix of the fault code
+ */
+class SOAPFault extends Error {
+  constructor(fault, message, codeNsURI) {
+    super(message);
+    this.name = 'SOAPFault';
+    var code = text(selectn('faultcode', fault));
+    if (code !== undefined) {
+      this.soapVersion = '1.1';
+      var parts = String(code).split('.');
+      this.code = parts.shift();
+      this.subcodes = parts;
+      this.reason = text(selectn('faultstring', fault));
+      this.role = text(selectn('faultactor', fault));
+      this.detail = text(selectn('detail', fault));
+    } else {
+      this.soapVersion = '1.2';
+      this.code = text(selectn('Code.Value', fault));
+      this.subcodes = [];
+      var subcode = selectn('Code.Subcode', fault);
+      while (subcode) {
+        var value = text(selectn('Value', subcode));
+        if (value !== undefined) this.subcodes.push(value);
+        subcode = selectn('Subcode', subcode);
+      }
+      var reason = selectn('Reason.Text', fault);
+      this.reason = text(Array.isArray(reason) ? reason[0] : reason);
+      this.role = text(selectn('Role', fault));
+      this.node = text(selectn('Node', fault));
+      this.detail = text(selectn('Detail', fault));
+    }
+    if (this.code !== undefined) {
+      var qualified = String(this.code);
+      this.localCode = qualified.substring(qualified.indexOf(':') + 1);
+      this.codeNsURI = codeNsURI;
+    }
+    this.actor = this.role;
+  }
+
+  /**
+   * Find the fault declared by the operation whose element is in the detail
+   * @param {Object} faults The element descriptors of the declared faults
+   * keyed by fault name, see `Operation.describeNamedFaults()`
+   */
+  identify(faults) {
+    var detail = this.detail;
+    if (detail == null || typeof detail !== 'object') return;
+    for (var name in faults) {
+      var element = faults[name].qname.name;
+      if (detail[element] !== undefined) {
+        this.faultName = name;
+        this.faultDetail = detail[element];
+        return;
+      }
+    }
+  }
+}
+
+/**
+ * The text of a parsed element, which is an object when it has attributes
+ */
+function text(value) {
+  if (value != null && typeof value === 'object' && value.$value !== undefined) {
+    return value.$value;
+  }
+  return value;
+}
+
+exports.AbortError = AbortError;
+exports.TimeoutError = TimeoutError;
+exports.CircuitOpenError = CircuitOpenError;
+exports.QueueFullError = QueueFullError;
+exports.QueueTimeoutError = QueueTimeoutError;
+exports.ReplyTimeoutError = ReplyTimeoutError;
+exports.SOAPFault = SOAPFault;
@@ -0,0 +1,74 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var g = require('./globalize');
+var _ = require('lodash');
+var debug = require('debug')('strong-soap:failover');
+
+var CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH',
+  'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'ESOCKETTIMEDOUT',
+  'ECIRCUITOPEN'];
+
+var STRATEGIES = ['priority', 'round-robin'];
+
+/**
+ * Group of equivalent endpoints an operation can fail over to
+ *
+ * @param {String[]} locations The endpoint urls, in priority order
+ * @param {Object} [options] Options object
+ * @param {String} [options.strategy=priority] `priority` always starts with
+ * the first location, `round-robin` rotates the starting location per call
+ * @param {String[]} [options.errorCodes] Error codes that move the call to the
+ * next location, defaults to connection errors and open circuits
+ *
+ * @constructor
+ */
+class FailoverGroup {
+  constructor(locations, options) {
+    options = options || {};
+    this.locations = _.uniq(locations);
+    this.strategy = options.strategy || 'priority';
+    if (STRATEGIES.indexOf(this.strategy) === -1) {
+      throw new Error(g.f('Invalid failover strategy: %s', this.strategy));
+    }
+    this.errorCodes = options.errorCodes || CONNECTION_ERROR_CODES;
+    this.next = 0;
+  }
+
+  /**
+   * Locations to try for one call, in order
+   * @returns {String[]}
+   */
+  candidates() {
+    if (this.strategy === 'round-robin' && this.locations.length > 1) {
+      var start = this.next;
+      this.next = (this.next + 1) % this.locations.length;
+      return this.locations.slice(start).concat(this.locations.slice(0, start));
+    }
+    return this.locations.slice();
+  }
+
+  /**
+   * Check if a failed call can move on to the next location. Errors with an
+   * http response come from a reachable endpoint and are returned as is.
+   * @param {Error} err The error of the call
+   * @returns {Boolean}
+   */
+  shouldFailover(err) {
+    if (!err || err.response || err.requestStreamed || err.responseStreamed ||
+      err.name === 'TimeoutError') {
+      return false;
+    }
+    var failover = this.errorCodes.indexOf(err.code) !== -1;
+    debug('error %s %s failover', err.code, failover ? 'triggers' : 'skips');
+    return failover;
+  }
+}
+
+FailoverGroup.CONNECTION_ERROR_CODES = CONNECTION_ERROR_CODES;
+
+module.exports = FailoverGroup;
@@ -5,27 +5,52 @@
 
 'use strict';
 
+var g = require('./globalize');
 var url = require('url');
 var requestModule = require('request');
 var debug = require('debug')('strong-soap:http');
 var debugSensitive = require('debug')('strong-soap:http:sensitive');
 var httpntlm = require('httpntlm-maa');
 var uuid = require('uuid').v4;
+var zlib = require('zlib');
+var _ = require('lodash');
+var PassThrough = require('stream').PassThrough;
+var multipart = require('./multipart');
+var Transport = require('./transport');
 
 
 var VERSION = require('../package.json').version;
 
+var ENCODERS = {
+  gzip: zlib.createGzip,
+  deflate: zlib.createDeflate,
+  br: zlib.createBrotliCompress
+};
+
+var DECODERS = {
+  gzip: zlib.createGunzip,
+  'x-gzip': zlib.createGunzip,
+  deflate: zlib.createInflate,
+  br: zlib.createBrotliDecompress
+};
+
+var ACCEPT_ENCODING = Object.keys(DECODERS).filter(function(encoding) {
+  return encoding !== 'x-gzip' && typeof DECODERS[encoding] === 'function';
+}).join(', ');
+
 /**
- * A class representing the http client
+ * A class representing the http client, the default transport
  * @param {Object} [options] Options object. It allows the customization of
  * `request` module
  *
  * @constructor
  */
-class HttpClient {
+class HttpClient extends Transport {
   constructor(options) {
-    this.options = options || {};
+    super(options);
+    options = this.options;
     this._request = options.request || requestModule;
+    this.compression = compressionOptions(this.options.compression);
   }
 
   /**
@@ -64,6 +89,10 @@ class HttpClient {
       headers['Content-Type'] = 'application/x-www-form-urlencoded';
     }
 
+    if (this.compression && this.compression.decompress) {
+      headers['Accept-Encoding'] = ACCEPT_ENCODING;
+    }
+
     exheaders = exheaders || {};
     for (attr in exheaders) {
       headers[attr] = exheaders[attr];
@@ -78,10 +107,13 @@ class HttpClient {
 
     if (attachments.length > 0) {
       const start = uuid();
+      // SOAP 1.2 envelopes keep their media type in the root part
+      const soapType = /application\/soap\+xml/.test(headers['Content-Type']) ?
+        'application/soap+xml' : 'text/xml';
       headers['Content-Type'] =
-        'multipart/related; type="application/xop+xml"; start="<' + start + '>"; start-info="text/xml"; boundary=' + uuid();
+        'multipart/related; type="application/xop+xml"; start="<' + start + '>"; start-info="' + soapType + '"; boundary=' + uuid();
       const multipart = [{
-        'Content-Type': 'application/xop+xml; charset=UTF-8; type="text/xml"',
+        'Content-Type': 'application/xop+xml; charset=UTF-8; type="' + soapType + '"',
         'Content-ID': '<' + start + '>',
         'body': data,
       }];
@@ -96,7 +128,7 @@ class HttpClient {
         });
       });
       options.multipart = multipart;
-    } else {
+    } else if (!isStream(data)) {
       options.body = data;
     }
 
@@ -115,6 +147,115 @@ class HttpClient {
     return options;
   }
 
+  /**
+   * Compress the payload as configured by the `compression` option. Payloads
+   * smaller than the threshold, with attachments or for NTLM authenticated
+   * services are sent as is.
+   * @param {String|stream.Readable} data The payload
+   * @param {Object} exheaders Extra http headers
+   * @param {Object} exoptions Extra options
+   * @returns {Object} The payload and extra headers to send,
+   * `{data, exheaders}`
+   */
+  compressRequest(data, exheaders, exoptions) {
+    var compression = this.compression;
+    var attachments = exoptions && exoptions.attachments;
+    var unchanged = {data: data, exheaders: exheaders};
+    if (!data || !compression || !compression.encoding ||
+      (attachments && attachments.length) ||
+      this.isNtlmAuthRequired(this.options.NTLMSecurity, 'POST')) {
+      return unchanged;
+    }
+    if (!isStream(data) && Buffer.byteLength(data) < compression.threshold) {
+      return unchanged;
+    }
+    debug('Http request compressed with %s', compression.encoding);
+    var encoder = ENCODERS[compression.encoding]();
+    if (isStream(data)) {
+      data.on('error', function(err) {
+        encoder.destroy(err);
+      });
+      data.pipe(encoder);
+    } else {
+      encoder.end(data);
+    }
+    return {
+      data: encoder,
+      exheaders: _.assign({}, exheaders,
+        {'Content-Encoding': compression.encoding})
+    };
+  }
+
+  /**
+   * Check if responses to a request are decompressed by this client. It is
+   * left to the `request` module if its `gzip` option is set.
+   * @param {Object} options The http request object
+   * @returns {Boolean}
+   */
+  decompresses(options) {
+    return !!(this.compression && this.compression.decompress &&
+      !options.gzip);
+  }
+
+  /**
+   * Decode a buffered response body according to its `Content-Encoding`
+   * @param {Object} res The response
+   * @param {String|Buffer} body The body
+   * @param {Object} options The http request object
+   * @param {Function} callback Called with (err, body)
+   */
+  decodeBody(res, body, options, callback) {
+    var encoding = contentEncoding(res);
+    if (!Buffer.isBuffer(body) || !this.decompresses(options) ||
+      !DECODERS[encoding]) {
+      return callback(null, body);
+    }
+    var chunks = [];
+    var decoder = DECODERS[encoding]();
+    decoder.on('data', function(chunk) {
+      chunks.push(chunk);
+    });
+    decoder.on('error', callback);
+    decoder.on('end', function() {
+      callback(null, Buffer.concat(chunks));
+    });
+    decoder.end(body);
+  }
+
+  /**
+   * Decode a streamed response body according to its `Content-Encoding`
+   * @param {Object} res The response
+   * @param {stream.Readable} body The body stream
+   * @param {Object} options The http request object
+   * @returns {stream.Readable} The decoded stream
+   */
+  decodeStream(res, body, options) {
+    var encoding = contentEncoding(res);
+    if (!this.decompresses(options) || !DECODERS[encoding]) {
+      return body;
+    }
+    var decoder = DECODERS[encoding]();
+    body.on('error', function(err) {
+      decoder.destroy(err);
+    });
+    return body.pipe(decoder);
+  }
+
+  /**
+   * The text of a raw response body, once decompressed: the SOAP envelope of
+   * a multipart response, or the body decoded as UTF-8
+   * @param {Object} res The response
+   * @param {String|Buffer} body The body
+   * @returns {String}
+   */
+  bodyText(res, body) {
+    if (Buffer.isBuffer(body)) {
+      body = this.handleMultipart(res, body) || body.toString('utf8');
+      res.body = body;
+    }
+    return body;
+  }
+
   /**
    * Handle the http response
    * @param {Object} The req object
@@ -136,6 +277,29 @@ class HttpClient {
     return body;
   }
 
+  /**
+   * Split a multipart response (SOAP with attachments or MTOM/XOP). The parts
+   * other than the SOAP envelope are set as `res.attachments`.
+   * @param {Object} res The response
+   * @param {Buffer} body The raw body
+   * @returns {String} The SOAP envelope, or `undefined` if the response is not
+   * a valid multipart message
+   */
+  handleMultipart(res, body) {
+    if (!multipart.isMultipart(res.headers)) {
+      return undefined;
+    }
+    var message;
+    try {
+      message = multipart.parse(body, res.headers['content-type']);
+    } catch (err) {
+      debug('Invalid multipart response: %s', err.message);
+      return undefined;
+    }
+    res.attachments = message.parts;
+    return message.root.body.toString('utf8');
+  }
+
   //check if NTLM authentication needed
   isNtlmAuthRequired(ntlmSecurity, methodName) {
     //if ntlmSecurity is not set, then remote web service is not NTLM authenticated Web Service
@@ -151,9 +315,18 @@ class HttpClient {
 
   request(rurl, data, callback, exheaders, exoptions) {
     var self = this;
+    var payload = self.compressRequest(data, exheaders, exoptions);
+    data = payload.data;
+    exheaders = payload.exheaders;
     var options = self.buildRequest(rurl, data, exheaders, exoptions);
     var headers = options.headers;
     var req;
+    // Get the raw body, to decompress it or to keep binary MIME parts, unless
+    // an encoding of the body is set in the options
+    var raw = options.encoding === undefined;
+    if (raw) {
+      options.encoding = null;
+    }
 
     //typically clint.js would do addOptions() if security is set in order to get all security options added to options{}. But client.js
     //addOptions() code runs after this code is trying to contact server to load remote WSDL, hence we have NTLM authentication
@@ -165,8 +338,23 @@ class HttpClient {
         if (err) {
           return callback(err);
         }
-        body = self.handleResponse(req, res, body);
-        callback(null, res, body);
+        self.decodeBody(res, body, options, function(err, body) {
+          if (err) {
+            return callback(err);
+          }
+          if (raw) {
+            body = self.bodyText(res, body);
+          }
+          body = self.handleResponse(req, res, body);
+          callback(null, res, body);
+        });
+      });
+      if (isStream(data)) {
+        data.pipe(req);
+      }
+    } else if (isStream(data)) {
+      process.nextTick(function() {
+        callback(new Error(g.f('Streamed requests are not supported with {{NTLM}}')));
       });
     } else {
         //httpntlm code needs 'url' in options{}. It should be plain string, not parsed uri
@@ -185,13 +373,132 @@ class HttpClient {
           if (err) {
             return callback(err);
           }
-          var body = self.handleResponse(req, res, res.body);
-          callback(null, res, body);
+          self.decodeBody(res, res.body, options, function(err, body) {
+            if (err) {
+              return callback(err);
+            }
+            if (raw) {
+              body = self.bodyText(res, body);
+            }
+            body = self.handleResponse(req, res, body);
+            callback(null, res, body);
+          });
         });
       }
 
     return req;
   }
+
+  /**
+   * Send a request and hand over the response body as a stream instead of
+   * buffering it
+   * @param {String} rurl The resource url
+   * @param {Object|String} data The payload
+   * @param {Function} callback Called with (err, res, body) once the response
+   * headers are received, `body` being a readable stream of the content
+   * @param {Object} exheaders Extra http headers
+   * @param {Object} exoptions Extra options
+   * @returns {Object} The request
+   */
+  requestStream(rurl, data, callback, exheaders, exoptions) {
+    var self = this;
+    var payload = self.compressRequest(data, exheaders, exoptions);
+    data = payload.data;
+    exheaders = payload.exheaders;
+    var options = self.buildRequest(rurl, data, exheaders, exoptions);
+    var responded = false;
+
+    //httpntlm buffers the response
+    if (self.isNtlmAuthRequired(this.options.NTLMSecurity, options.method)) {
+      return self.request(rurl, data, function(err, res, body) {
+        if (err) {
+          return callback(err);
+        }
+        var bodyStream = new PassThrough();
+        bodyStream.end(body);
+        callback(null, res, bodyStream);
+      }, exheaders, exoptions);
+    }
+
+    var req = self._request(options);
+    if (isStream(data)) {
+      data.pipe(req);
+    }
+    req.on('error', function(err) {
+      if (!responded) {
+        responded = true;
+        callback(err);
+      }
+    });
+    req.on('response', function(res) {
+      responded = true;
+      debug('Http response stream: %s', res.statusCode);
+      callback(null, res, self.decodeStream(res, req, options));
+    });
+    return req;
+  }
+}
+
+/**
+ * Check if a payload is a readable stream
+ * @param {*} data The payload
+ * @returns {Boolean}
+ */
+function isStream(data) {
+  return data != null && typeof data === 'object' &&
+    typeof data.pipe === 'function';
+}
+
+/**
+ * Serialize the `multipart` parts produced by buildRequest() the way the
+ * request module does, using the boundary of the Content-Type header
+ * @param {Object} options The http request object
+ * @returns {Buffer}
+ */
+function multipartBody(options) {
+  var boundary = options.headers['Content-Type']
+    .replace(/.*boundary=([^\s;]+).*/, '$1');
+  var buffers = [];
+  options.multipart.forEach(function(part) {
+    var head = '--' + boundary + '\r\n';
+    for (var name in part) {
+      if (name === 'body') continue;
+      head += name + ': ' + part[name] + '\r\n';
+    }
+    buffers.push(Buffer.from(head + '\r\n'));
+    buffers.push(Buffer.isBuffer(part.body) ? part.body :
+      Buffer.from(String(part.body)));
+    buffers.push(Buffer.from('\r\n'));
+  });
+  buffers.push(Buffer.from('--' + boundary + '--'));
+  return Buffer.concat(buffers);
 }
 
+/**
+ * Normalize the `compression` option
+ * @param {Boolean|Object} [compression] `true` for the defaults, or an object
+ * @returns {Object|null}
+ */
+function compressionOptions(compression) {
+  if (!compression) return null;
+  compression = _.defaults({}, typeof compression === 'object' ? compression : {}, {
+    encoding: 'gzip',
+    threshold: 1024,
+    decompress: true
+  });
+  if (compression.encoding && typeof ENCODERS[compression.encoding] !== 'function') {
+    throw new Error(g.f('Unsupported compression encoding: %s',
+      compression.encoding));
+  }
+  return compression;
+}
+
+function contentEncoding(res) {
+  return String((res.headers && res.headers['content-encoding']) || '')
+    .trim().toLowerCase();
+}
+
+HttpClient.isStream = isStream;
+HttpClient.multipartBody = multipartBody;
+
 module.exports = HttpClient;
@@ -0,0 +1,126 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var g = require('./globalize');
+var querystring = require('querystring');
+var toXMLDate = require('./utils').toXMLDate;
+var debug = require('debug')('strong-soap:http-binding');
+
+var FORM_TYPE = 'application/x-www-form-urlencoded';
+var XML_TYPES = ['text/xml', 'application/xml'];
+
+/**
+ * Build the request of an operation of a WSDL 1.1 `http:binding`. The
+ * arguments are the parts of the input message:
+ *
+ * - `http:urlReplacement` replaces the `(part)` patterns of the operation
+ * location
+ * - `http:urlEncoded` and `mime:content` with a form type encode them as
+ * `part=value` pairs, in the query string of `GET` requests or the body of
+ * `POST` requests
+ * - `mime:mimeXml` and `mime:content` with an XML type post the XML document
+ * of the part
+ *
+ * @param {Object} descriptor The descriptor of the operation
+ * @param {Object} args The arguments keyed by part name
+ * @param {String} location The `http:address` of the port
+ * @param {XMLHandler} xmlHandler The serializer of XML documents
+ * @returns {Object} The `url` and the `body` of the request, `null` for `GET`
+ * requests
+ */
+function encodeRequest(descriptor, args, location, xmlHandler) {
+  var url = joinLocation(location, descriptor.location);
+  var encoding = descriptor.inputEncoding;
+  args = args || {};
+  if (XML_TYPES.indexOf(encoding) !== -1 && descriptor.verb !== 'GET') {
+    return encodeDocument(descriptor, args, url, xmlHandler);
+  }
+  if (encoding !== undefined && encoding !== 'urlEncoded' &&
+    encoding !== 'urlReplacement' && encoding !== FORM_TYPE) {
+    throw new Error(g.f('Unsupported input of the {{HTTP}} binding ' +
+      'operation %s: %s', descriptor.name, encoding));
+  }
+  var pairs = {};
+  descriptor.input.body.elements.forEach(function(element) {
+    var name = element.qname.name;
+    if (args[name] !== undefined) {
+      pairs[name] = encodeValue(name, args[name]);
+    }
+  });
+  if (encoding === 'urlReplacement') {
+    url = url.replace(/\(([^)]+)\)/g, function(pattern, name) {
+      var value = pairs[name];
+      return encodeURIComponent(Array.isArray(value) ? value[0] :
+        value === undefined ? '' : value);
+    });
+    pairs = {};
+  }
+  var query = querystring.stringify(pairs);
+  debug('http binding request: %s %s %s', descriptor.verb, url, query);
+  if (descriptor.verb === 'GET') {
+    if (query) {
+      url += (url.indexOf('?') === -1 ? '?' : '&') + query;
+    }
+    return {url: url, body: null};
+  }
+  return {url: url, body: query, contentType: FORM_TYPE};
+}
+
+/**
+ * Build the XML document of the part of the input message
+ * @param {Object} descriptor The descriptor of the operation
+ * @param {Object} args The arguments keyed by part name
+ * @param {String} url The url of the operation
+ * @param {XMLHandler} xmlHandler The serializer of XML documents
+ * @returns {Object} The `url`, the `body` and the `contentType`
+ */
+function encodeDocument(descriptor, args, url, xmlHandler) {
+  var element = descriptor.input.body.elements[0];
+  var body = '';
+  if (element) {
+    var doc = xmlHandler.jsonToXml(null, null, element,
+      args[element.qname.name]);
+    body = doc.end({pretty: false});
+  }
+  debug('http binding request: %s %s %s', descriptor.verb, url, body);
+  return {
+    url: url,
+    body: body,
+    contentType: descriptor.inputEncoding + '; charset=utf-8'
+  };
+}
+
+/**
+ * Append the location of an operation to the address of its port
+ * @param {String} address The `http:address` of the port
+ * @param {String} [location] The location of the `http:operation`
+ * @returns {String}
+ */
+function joinLocation(address, location) {
+  if (!location) return address;
+  if (/^[a-z][a-z0-9+.-]*:/i.test(location)) return location;
+  return address.replace(/\/$/, '') + (location[0] === '/' ? '' : '/') +
+    location;
+}
+
+function encodeValue(name, value) {
+  if (Array.isArray(value)) {
+    return value.map(function(item) {
+      return encodeValue(name, item);
+    });
+  }
+  if (value instanceof Date) {
+    return toXMLDate(value);
+  }
+  if (value !== null && typeof value === 'object') {
+    throw new TypeError(g.f('The part %s cannot be encoded in a {{URL}}', name));
+  }
+  return value === null ? '' : String(value);
+}
+
+exports.encodeRequest = encodeRequest;
+exports.joinLocation = joinLocation;
@@ -0,0 +1,112 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var _ = require('lodash');
+var HttpClient = require('./http');
+var debug = require('debug')('strong-soap:transport:in-process');
+
+/**
+ * A transport handing the messages of a client to a `Server` of the same
+ * process, without opening sockets. The messages are the ones sent over HTTP,
+ * with the same headers and MIME parts, and every request reaches the server
+ * whatever the path of its endpoint.
+ *
+ * @param {Server} server The server, as returned by `soap.listen()`
+ * @param {Object} [options] Options object, such as `prettyPrint`
+ *
+ * @constructor
+ */
+class InProcessTransport extends HttpClient {
+  constructor(server, options) {
+    super(options);
+    this.server = server;
+  }
+
+  request(rurl, data, callback, exheaders, exoptions) {
+    var self = this;
+    var options = self.buildRequest(rurl, data, exheaders, exoptions);
+    var aborted = false;
+    var handle = {
+      headers: options.headers,
+      abort: function() {
+        aborted = true;
+      }
+    };
+
+    function respond(statusCode, headers, body) {
+      if (aborted) return;
+      var res = {
+        statusCode: statusCode,
+        headers: _.mapKeys(_.omitBy(headers, _.isUndefined), function(value, name) {
+          return name.toLowerCase();
+        }),
+        request: {uri: options.uri, method: options.method, headers: options.headers}
+      };
+      debug('In-process response: %s', statusCode);
+      body = typeof body === 'string' ? Buffer.from(body) :
+        body || Buffer.alloc(0);
+      if (options.encoding !== null) {
+        body = self.bodyText(res, body);
+      }
+      body = self.handleResponse(handle, res, body);
+      // Errors thrown by the callback must not reach the server
+      process.nextTick(function() {
+        if (aborted) return;
+        callback(null, res, body);
+      });
+    }
+
+    readBody(options, data, function(err, body) {
+      if (aborted) return;
+      if (err) {
+        return callback(err);
+      }
+      var req = {
+        method: options.method,
+        url: options.uri.path,
+        headers: _.mapKeys(options.headers, function(value, name) {
+          return name.toLowerCase();
+        })
+      };
+      debug('In-process request: %s %s', req.method, rurl);
+      // The request is sent once the client holds the handle, as over a socket
+      process.nextTick(function() {
+        if (aborted) return;
+        self.server.dispatch(req, body, respond);
+      });
+    });
+    return handle;
+  }
+}
+
+/**
+ * Read the body of a request built by buildRequest()
+ * @param {Object} options The http request object
+ * @param {String|stream.Readable} data The payload
+ * @param {Function} callback Called with (err, body)
+ */
+function readBody(options, data, callback) {
+  if (options.method === 'GET') {
+    return callback(null, null);
+  }
+  if (options.multipart) {
+    return callback(null, HttpClient.multipartBody(options));
+  }
+  if (!HttpClient.isStream(data)) {
+    return callback(null, Buffer.from(String(data)));
+  }
+  var chunks = [];
+  data.on('data', function(chunk) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  });
+  data.once('error', callback);
+  data.once('end', function() {
+    callback(null, Buffer.concat(chunks));
+  });
+}
+
+module.exports = InProcessTransport;
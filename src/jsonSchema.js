@@ -0,0 +1,287 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var helper = require('./parser/helper');
+var DescriptorWalker = require('./descriptorWalker');
+var g = require('./globalize');
+
+var namespaces = helper.namespaces;
+
+var DRAFT = 'https://json-schema.org/draft/2020-12/schema';
+
+// XML schema types with a JSON Schema type other than string
+var BUILTINS = {
+  boolean: {type: 'boolean'},
+  decimal: {type: 'number'},
+  float: {type: 'number'},
+  double: {type: 'number'},
+  integer: {type: 'integer'},
+  long: {type: 'integer'},
+  int: {type: 'integer'},
+  short: {type: 'integer'},
+  byte: {type: 'integer'},
+  nonPositiveInteger: {type: 'integer', maximum: 0},
+  negativeInteger: {type: 'integer', maximum: -1},
+  nonNegativeInteger: {type: 'integer', minimum: 0},
+  positiveInteger: {type: 'integer', minimum: 1},
+  unsignedLong: {type: 'integer', minimum: 0},
+  unsignedInt: {type: 'integer', minimum: 0},
+  unsignedShort: {type: 'integer', minimum: 0},
+  unsignedByte: {type: 'integer', minimum: 0},
+  dateTime: {type: 'string', format: 'date-time'},
+  date: {type: 'string', format: 'date'},
+  time: {type: 'string', format: 'time'},
+  duration: {type: 'string', format: 'duration'},
+  anyURI: {type: 'string', format: 'uri-reference'},
+  base64Binary: {type: 'string', contentEncoding: 'base64'},
+  anyType: {},
+  anySimpleType: {}
+};
+
+/**
+ * Generate a JSON Schema (draft 2020-12) document for a loaded WSDL, with
+ * in `$defs`:
+ *
+ * - a schema for each simple and complex type, and for each global element
+ * with an anonymous complex type
+ * - a schema for the arguments and for the result of each operation, named
+ * `<service>.<port>.<operation>.input` and `<service>.<port>.<operation>.output`
+ *
+ * @param {WSDL} wsdl The WSDL, such as `client.wsdl`
+ * @param {Object} [options]
+ * @param {String} [options.id] The `$id` of the document
+ * @param {String} [options.message] The name of the operation input or output
+ * the document validates, such as `OrderService.OrderPort.PlaceOrder.input`
+ * @returns {Object} The JSON Schema document
+ */
+function generate(wsdl, options) {
+  options = options || {};
+  var generator = new Generator(wsdl.definitions);
+  var defs = generator.generate(wsdl);
+  var schema = {$schema: DRAFT};
+  if (options.id) schema.$id = options.id;
+  schema.$comment = 'Generated by strong-soap from ' + (wsdl.uri || 'a WSDL');
+  if (options.message) {
+    if (!defs[options.message] || !/\.(input|output)$/.test(options.message)) {
+      throw new Error(g.f('Unknown operation message: %s', options.message));
+    }
+    schema.$ref = ref(options.message).$ref;
+  }
+  schema.$defs = defs;
+  return schema;
+}
+
+class Generator extends DescriptorWalker {
+  constructor(definitions) {
+    super(definitions);
+    this.defs = {};
+  }
+
+  generate(wsdl) {
+    var defs = this.defs;
+    this.walkTypes(function(name, schema) {
+      defs[name] = schema;
+    });
+
+    var services = wsdl.services || this.definitions.services;
+    for (let serviceName in services) {
+      let service = services[serviceName];
+      for (let portName in service.ports) {
+        let binding = service.ports[portName].binding;
+        for (let name in binding.operations) {
+          let schemas = this.operation(binding.operations[name]);
+          let prefix = [serviceName, portName, name].join('.');
+          defs[this.declare(prefix + '.input', '')] = schemas.input;
+          defs[this.declare(prefix + '.output', '')] = schemas.output;
+        }
+      }
+    }
+    return defs;
+  }
+
+  builtin(name) {
+    return builtin(name);
+  }
+
+  jsType(type) {
+    return jsType(type);
+  }
+
+  reference(name) {
+    return ref(name);
+  }
+
+  any() {
+    return {};
+  }
+
+  /**
+   * The object schema of the child elements and attributes of a complex type:
+   * elements with `maxOccurs` greater than 1 are arrays, and elements without
+   * `minOccurs="0"` and not in a `choice` are required
+   * @param {TypeDescriptor} descriptor
+   * @returns {Object}
+   */
+  object(descriptor) {
+    var self = this;
+    if (!descriptor) return {};
+    var schema = {type: 'object', properties: {}};
+    var required = [];
+    var value = this.simpleContent(descriptor);
+    if (value !== undefined) {
+      schema.properties.$value = value;
+    }
+    this.elementsOf(descriptor).forEach(function(element) {
+      var name = element.qname.name;
+      var value = self.content(element);
+      if (element.isNillable) {
+        value = nullable(value);
+      }
+      schema.properties[name] = element.isMany ?
+        {type: 'array', items: value} : value;
+      if (!element.isOptional && required.indexOf(name) === -1) {
+        required.push(name);
+      }
+    });
+    var attributes = this.attributesOf(descriptor);
+    if (attributes.length) {
+      let properties = {};
+      attributes.forEach(function(attribute) {
+        properties[attribute.qname.name] = self.attributeType(attribute);
+      });
+      schema.properties.$attributes = {type: 'object', properties: properties};
+    }
+    if (required.length) {
+      schema.required = required;
+    }
+    return schema;
+  }
+
+  /**
+   * The schema of the base type with the facets of the restriction
+   */
+  restriction(restriction, type) {
+    var schema = restriction.base ?
+      Object.assign({}, this.simpleType(restriction.base, false)) :
+      {type: 'string'};
+    facets(schema, restriction, primitive(type));
+    return schema;
+  }
+
+  union(members) {
+    return {anyOf: members};
+  }
+}
+
+/**
+ * Add the JSON Schema keywords of the facets of a restriction
+ * @param {Object} schema The schema of the base type
+ * @param {Restriction} restriction
+ * @param {String} type The JSON type of the values
+ */
+function facets(schema, restriction, type) {
+  var numeric = type === 'number' || type === 'integer';
+  if (restriction.enumeration) {
+    schema.enum = restriction.enumeration.map(function(value) {
+      return convert(value, type);
+    });
+  }
+  if (restriction.pattern !== undefined) {
+    // XML schema patterns match the whole value
+    schema.pattern = '^(?:' + restriction.pattern + ')$';
+  }
+  if (restriction.length !== undefined) {
+    schema.minLength = Number(restriction.length);
+    schema.maxLength = Number(restriction.length);
+  }
+  if (restriction.minLength !== undefined) {
+    schema.minLength = Number(restriction.minLength);
+  }
+  if (restriction.maxLength !== undefined) {
+    schema.maxLength = Number(restriction.maxLength);
+  }
+  if (!numeric) return;
+  if (restriction.minInclusive !== undefined) {
+    schema.minimum = Number(restriction.minInclusive);
+  }
+  if (restriction.maxInclusive !== undefined) {
+    schema.maximum = Number(restriction.maxInclusive);
+  }
+  if (restriction.minExclusive !== undefined) {
+    schema.exclusiveMinimum = Number(restriction.minExclusive);
+  }
+  if (restriction.maxExclusive !== undefined) {
+    schema.exclusiveMaximum = Number(restriction.maxExclusive);
+  }
+  if (restriction.totalDigits !== undefined) {
+    // JSON Schema has no keyword for the number of digits, so bound the
+    // integer digits that remain after the fraction digits
+    let bound = Math.pow(10, Number(restriction.totalDigits) -
+      Number(restriction.fractionDigits || 0));
+    schema.exclusiveMaximum = Math.min(bound,
+      'exclusiveMaximum' in schema ? schema.exclusiveMaximum : bound);
+    schema.exclusiveMinimum = Math.max(-bound,
+      'exclusiveMinimum' in schema ? schema.exclusiveMinimum : -bound);
+  }
+}
+
+/**
+ * The JSON type of the values of a simple type, from the XML schema type it
+ * restricts
+ */
+function primitive(type) {
+  for (var t = type; t; t = t.restriction && t.restriction.base) {
+    if (t.targetNamespace === namespaces.xsd) {
+      return builtin(t.$name).type;
+    }
+  }
+  return 'string';
+}
+
+function convert(value, type) {
+  switch (type) {
+    case 'number':
+    case 'integer':
+      return Number(value);
+    case 'boolean':
+      return value === 'true' || value === '1';
+    default:
+      return value;
+  }
+}
+
+function nullable(schema) {
+  if (typeof schema.type === 'string' && !schema.enum) {
+    return Object.assign({}, schema, {type: [schema.type, 'null']});
+  }
+  return {anyOf: [schema, {type: 'null'}]};
+}
+
+function ref(name) {
+  return {$ref: '#/$defs/' + encodeURIComponent(name.replace(/~/g, '~0')
+    .replace(/\//g, '~1'))};
+}
+
+function builtin(name) {
+  if (BUILTINS[name]) return Object.assign({}, BUILTINS[name]);
+  return name in helper.schemaTypes ? {type: 'string'} : {};
+}
+
+function jsType(type) {
+  switch (type) {
+    case Number:
+      return {type: 'number'};
+    case Boolean:
+      return {type: 'boolean'};
+    case Date:
+      return {type: 'string', format: 'date-time'};
+    default:
+      return {type: 'string'};
+  }
+}
+
+exports.generate = generate;
@@ -0,0 +1,243 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var g = require('./globalize');
+var uuid = require('uuid').v4;
+var debug = require('debug')('strong-soap:multipart');
+
+/**
+ * Parse a `Content-Type` header value
+ * @param {String} value The header value, such as
+ * `multipart/related; type="application/xop+xml"; boundary=abc`
+ * @returns {Object} `{type, params}` with a lower cased type and parameter
+ * names
+ */
+function parseContentType(value) {
+  var params = {};
+  var segments = String(value || '').match(/(?:[^;"]+|"(?:\\.|[^"])*")+/g) || [];
+  var type = (segments.shift() || '').trim().toLowerCase();
+  segments.forEach(function(segment) {
+    var index = segment.indexOf('=');
+    if (index === -1) return;
+    var name = segment.substring(0, index).trim().toLowerCase();
+    var param = segment.substring(index + 1).trim();
+    if (param[0] === '"') {
+      param = param.substring(1, param.length - 1).replace(/\\(.)/g, '$1');
+    }
+    params[name] = param;
+  });
+  return {type: type, params: params};
+}
+
+/**
+ * Check if a response holds a MIME multipart message, such as a SOAP message
+ * with attachments or a MTOM/XOP package
+ * @param {Object} headers The http response headers
+ * @returns {Boolean}
+ */
+function isMultipart(headers) {
+  var type = parseContentType(headers && headers['content-type']).type;
+  return type.indexOf('multipart/') === 0;
+}
+
+/**
+ * Strip the angle brackets of a `Content-ID`, or decode a `cid:` url, so that
+ * both can be compared
+ * @param {String} id The content id or url
+ * @returns {String}
+ */
+function contentId(id) {
+  id = String(id || '').trim();
+  if (/^cid:/i.test(id)) {
+    return decodeURIComponent(id.substring(4));
+  }
+  return id.replace(/^<|>$/g, '');
+}
+
+function parseHeaders(text) {
+  var headers = {};
+  text.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(function(line) {
+    var index = line.indexOf(':');
+    if (index > 0) {
+      headers[line.substring(0, index).trim().toLowerCase()] =
+        line.substring(index + 1).trim();
+    }
+  });
+  return headers;
+}
+
+function parsePart(buffer) {
+  var separator = 0;
+  var length = 2;
+  if (buffer.indexOf('\r\n') !== 0) {
+    separator = buffer.indexOf('\r\n\r\n');
+    length = 4;
+  }
+  if (separator === -1) {
+    separator = buffer.indexOf('\n\n');
+    length = 2;
+  }
+  if (separator === -1) {
+    throw new Error(g.f('A multipart message part has no body'));
+  }
+  var headers = parseHeaders(buffer.slice(0, separator).toString('latin1'));
+  var body = buffer.slice(separator + length);
+  var transferEncoding = (headers['content-transfer-encoding'] || '').toLowerCase();
+  if (transferEncoding === 'base64') {
+    body = Buffer.from(body.toString('ascii'), 'base64');
+  }
+  var disposition = parseContentType(headers['content-disposition']);
+  return {
+    name: disposition.params.filename || disposition.params.name,
+    contentId: contentId(headers['content-id']),
+    mimetype: parseContentType(headers['content-type']).type,
+    headers: headers,
+    body: body
+  };
+}
+
+/**
+ * Find the next delimiter line, the boundary is followed by white space, the
+ * end of line or `--` for the last one
+ */
+function findDelimiter(body, delimiter, start) {
+  var index = body.indexOf(delimiter, start);
+  while (index !== -1) {
+    var next = body.toString('latin1', index + delimiter.length,
+      index + delimiter.length + 2);
+    if (next === '--' || /^[ \t\r\n]/.test(next)) {
+      return index;
+    }
+    index = body.indexOf(delimiter, index + 1);
+  }
+  return -1;
+}
+
+/**
+ * Split a MIME multipart message into its parts. The parts use the same
+ * properties as the `attachments` option of requests.
+ * @param {Buffer} body The message
+ * @param {String} contentType The `Content-Type` of the message
+ * @returns {Object} `{root, parts}`. The root part is the one named by the
+ * `start` parameter, or the first part. `parts` holds the other parts.
+ */
+function parse(body, contentType) {
+  var params = parseContentType(contentType).params;
+  if (!params.boundary) {
+    throw new Error(g.f('Missing {{boundary}} in the content type %s',
+      contentType));
+  }
+  var delimiter = '--' + params.boundary;
+  var parts = [];
+  var position = body.indexOf(delimiter);
+  while (position !== -1) {
+    var start = position + delimiter.length;
+    if (body.toString('latin1', start, start + 2) === '--') {
+      break;
+    }
+    // Skip the transport padding after the boundary
+    start = body.indexOf('\n', start);
+    if (start === -1) break;
+    start++;
+    var end = findDelimiter(body, '\n' + delimiter, start);
+    if (end === -1) {
+      throw new Error(g.f('The multipart message ends before its boundary %s',
+        params.boundary));
+    }
+    position = end + 1;
+    if (body[end - 1] === 0x0d) end--;
+    parts.push(parsePart(body.slice(start, end)));
+  }
+  if (!parts.length) {
+    throw new Error(g.f('The multipart message has no parts'));
+  }
+
+  var root = parts[0];
+  if (params.start) {
+    var startId = contentId(params.start);
+    for (var i = 0; i < parts.length; i++) {
+      if (parts[i].contentId === startId) {
+        root = parts[i];
+        break;
+      }
+    }
+  }
+  debug('multipart message with %d parts, root: %s', parts.length,
+    root.contentId);
+  return {
+    root: root,
+    parts: parts.filter(function(part) {
+      return part !== root;
+    })
+  };
+}
+
+/**
+ * Create the resolver of `xop:Include` references for XMLHandler.xmlToJson()
+ * @param {Object[]} parts The MIME parts
+ * @param {Object[]} included Receives the parts that are referenced
+ * @returns {Function}
+ */
+function xopResolver(parts, included) {
+  return function(href) {
+    var id = contentId(href);
+    for (var i = 0; parts && i < parts.length; i++) {
+      if (parts[i].contentId === id) {
+        included.push(parts[i]);
+        return parts[i].body;
+      }
+    }
+  };
+}
+
+/**
+ * Build a MTOM/XOP message
+ * @param {String} xml The SOAP envelope
+ * @param {Object[]} parts The parts, with the properties of request
+ * attachments
+ * @param {String} soapType The media type of the envelope, `text/xml` or
+ * `application/soap+xml`
+ * @returns {Object} `{contentType, body}`
+ */
+function createXopMessage(xml, parts, soapType) {
+  var boundary = uuid();
+  var start = uuid();
+  var buffers = [];
+  var addPart = function(headers, body) {
+    var head = '--' + boundary + '\r\n';
+    for (var name in headers) {
+      head += name + ': ' + headers[name] + '\r\n';
+    }
+    buffers.push(Buffer.from(head + '\r\n'), Buffer.from(body),
+      Buffer.from('\r\n'));
+  };
+  addPart({
+    'Content-Type': 'application/xop+xml; charset=UTF-8; type="' + soapType + '"',
+    'Content-Transfer-Encoding': 'binary',
+    'Content-ID': '<' + start + '>'
+  }, xml);
+  parts.forEach(function(part) {
+    addPart({
+      'Content-Type': part.mimetype,
+      'Content-Transfer-Encoding': 'binary',
+      'Content-ID': '<' + part.contentId + '>'
+    }, part.body);
+  });
+  buffers.push(Buffer.from('--' + boundary + '--'));
+  return {
+    contentType: 'multipart/related; type="application/xop+xml"; start="<' +
+      start + '>"; start-info="' + soapType + '"; boundary=' + boundary,
+    body: Buffer.concat(buffers)
+  };
+}
+
+exports.parse = parse;
+exports.xopResolver = xopResolver;
+exports.createXopMessage = createXopMessage;
+exports.parseContentType = parseContentType;
+exports.isMultipart = isMultipart;
+exports.contentId = contentId;
@@ -0,0 +1,245 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var g = require('./globalize');
+var http = require('http');
+var https = require('https');
+var url = require('url');
+var _ = require('lodash');
+var HttpClient = require('./http');
+var debug = require('debug')('strong-soap:http:native');
+
+// TLS settings that are passed on to https.request() when present in options
+var TLS_OPTIONS = ['ca', 'cert', 'key', 'pfx', 'passphrase', 'ciphers',
+  'rejectUnauthorized', 'servername', 'secureProtocol', 'minVersion',
+  'maxVersion', 'checkServerIdentity'];
+
+var REDIRECT_CODES = [301, 302, 303, 307, 308];
+
+/**
+ * A http client built on the node `http`/`https` modules instead of the
+ * `request` module. Connections are kept alive and pooled by a dedicated
+ * agent per endpoint (protocol, host and port). Like the `request` module,
+ * only the redirects of `GET` and `HEAD` requests are followed, unless the
+ * `followAllRedirects` option of a call is `true`.
+ *
+ * @param {Object} [options] Options object
+ * @param {Boolean} [options.keepAlive=true] Reuse sockets between calls
+ * @param {Object} [options.agentOptions] Options for each pooled agent such
+ * as `maxSockets`, `maxFreeSockets`, `keepAliveMsecs` and `timeout`
+ * @param {Number} [options.maxRedirects=10] Maximum number of redirects
+ *
+ * @constructor
+ */
+class NativeHttpClient extends HttpClient {
+  constructor(options) {
+    options = options || {};
+    super(options);
+    this.keepAlive = options.keepAlive !== false;
+    this.agentOptions = options.agentOptions || {};
+    this.maxRedirects = options.maxRedirects != null ? options.maxRedirects : 10;
+    this._agents = {};
+  }
+
+  /**
+   * Build the HTTP request (method, uri, headers, ...)
+   * @param {String} rurl The resource url
+   * @param {Object|String} data The payload
+   * @param {Object} exheaders Extra http headers
+   * @param {Object} exoptions Extra options
+   * @returns {Object} The http request object
+   */
+  buildRequest(rurl, data, exheaders, exoptions) {
+    var options = super.buildRequest(rurl, data, exheaders, exoptions);
+    if (this.keepAlive && !(exheaders && exheaders.Connection)) {
+      options.headers.Connection = 'keep-alive';
+    }
+    return options;
+  }
+
+  /**
+   * Get the pooled agent for an endpoint, creating it on first use
+   * @param {Object} curl The parsed url of the endpoint
+   * @returns {http.Agent|https.Agent}
+   */
+  getAgent(curl) {
+    var secure = curl.protocol === 'https:';
+    var key = curl.protocol + '//' + curl.host;
+    var agent = this._agents[key];
+    if (!agent) {
+      var agentOptions = _.assign({keepAlive: this.keepAlive},
+        this.agentOptions);
+      agent = secure ? new https.Agent(agentOptions) :
+        new http.Agent(agentOptions);
+      debug('Created agent for %s: %j', key, agentOptions);
+      this._agents[key] = agent;
+    }
+    return agent;
+  }
+
+  /**
+   * Close the sockets of every pooled agent
+   */
+  destroy() {
+    for (var key in this._agents) {
+      this._agents[key].destroy();
+    }
+    this._agents = {};
+  }
+
+  request(rurl, data, callback, exheaders, exoptions) {
+    return this._send(rurl, data, callback, exheaders, exoptions, false);
+  }
+
+  requestStream(rurl, data, callback, exheaders, exoptions) {
+    return this._send(rurl, data, callback, exheaders, exoptions, true);
+  }
+
+  _send(rurl, data, callback, exheaders, exoptions, streaming) {
+    var self = this;
+    var payload = self.compressRequest(data, exheaders, exoptions);
+    data = payload.data;
+    exheaders = payload.exheaders;
+    var options = self.buildRequest(rurl, data, exheaders, exoptions);
+    // buildRequest() always sets followAllRedirects for the request module,
+    // only the option of the call counts here
+    var followAllRedirects = !!exoptions &&
+      exoptions.followAllRedirects === true;
+
+    //NTLM handshakes are left to httpntlm as they need their own connection
+    //handling
+    var ntlmSecurity = this.options.NTLMSecurity;
+    if (self.isNtlmAuthRequired(ntlmSecurity, options.method)) {
+      return streaming ?
+        super.requestStream(rurl, data, callback, exheaders, exoptions) :
+        super.request(rurl, data, callback, exheaders, exoptions);
+    }
+
+    var body = options.multipart ? HttpClient.multipartBody(options) :
+      HttpClient.isStream(data) ? data : options.body;
+    var start = Date.now();
+    var redirects = 0;
+    var current = null;
+    var done = false;
+
+    var handle = {
+      headers: options.headers,
+      abort: function() {
+        done = true;
+        if (current) current.destroy();
+      }
+    };
+
+    function finish(err, res, body) {
+      if (done) return;
+      done = true;
+      callback(err, res, body);
+    }
+
+    function send(curl, method, body) {
+      var headers = _.clone(options.headers);
+      if (curl !== options.uri) {
+        headers.Host = curl.host;
+      }
+      if (HttpClient.isStream(body)) {
+        delete headers['Content-Length'];
+      } else if (body != null) {
+        headers['Content-Length'] = Buffer.byteLength(body);
+      } else {
+        delete headers['Content-Length'];
+        delete headers['Content-Type'];
+      }
+      var reqOptions = {
+        protocol: curl.protocol,
+        hostname: curl.hostname,
+        port: curl.port,
+        path: curl.path,
+        method: method,
+        headers: headers,
+        agent: options.agent || self.getAgent(curl)
+      };
+      TLS_OPTIONS.forEach(function(name) {
+        if (options[name] !== undefined) reqOptions[name] = options[name];
+      });
+
+      debug('Native http request: %s %s', method, curl.href);
+      var transport = curl.protocol === 'https:' ? https : http;
+      var req = current = transport.request(reqOptions, function(res) {
+        var location = res.headers.location;
+        if (REDIRECT_CODES.indexOf(res.statusCode) !== -1 && location &&
+          (followAllRedirects || method === 'GET' || method === 'HEAD')) {
+          res.resume();
+          if (++redirects > self.maxRedirects) {
+            return finish(new Error(g.f('Exceeded {{maxRedirects}} following ' +
+              'redirects from %s', rurl)));
+          }
+          var next = url.parse(url.resolve(curl.href, location));
+          debug('Native http redirect %s to %s', res.statusCode, next.href);
+          // Like the request module, only 307 and 308 replay the payload
+          if (res.statusCode === 307 || res.statusCode === 308) {
+            if (HttpClient.isStream(body)) {
+              return finish(new Error(g.f('Cannot replay a streamed request ' +
+                'to %s', next.href)));
+            }
+            return send(next, method, body);
+          }
+          return send(next, 'GET', null);
+        }
+
+        res.request = {uri: curl, method: method, headers: headers};
+        if (streaming) {
+          if (options.time) {
+            res.elapsedTime = Date.now() - start;
+          }
+          return finish(null, res, self.decodeStream(res, res, options));
+        }
+
+        var chunks = [];
+        res.on('data', function(chunk) {
+          chunks.push(chunk);
+        });
+        res.on('error', finish);
+        res.on('end', function() {
+          self.decodeBody(res, Buffer.concat(chunks), options, function(err, resBody) {
+            if (err) {
+              return finish(err);
+            }
+            if (options.time) {
+              res.elapsedTime = Date.now() - start;
+            }
+            if (options.encoding !== null) {
+              resBody = self.bodyText(res, resBody);
+            }
+            resBody = self.handleResponse(handle, res, resBody);
+            finish(null, res, resBody);
+          });
+        });
+      });
+
+      req.on('error', finish);
+      if (options.timeout) {
+        req.setTimeout(options.timeout, function() {
+          var err = new Error('ESOCKETTIMEDOUT');
+          err.code = 'ESOCKETTIMEDOUT';
+          req.destroy(err);
+        });
+      }
+      if (HttpClient.isStream(body)) {
+        return body.pipe(req);
+      }
+      if (body != null) {
+        req.write(body);
+      }
+      req.end();
+    }
+
+    send(options.uri, options.method, body);
+    return handle;
+  }
+}
+
+module.exports = NativeHttpClient;
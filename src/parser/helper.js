@@ -73,13 +73,17 @@ var namespaces = {
   soap12: 'http://schemas.xmlsoap.org/wsdl/soap12/',
   http: 'http://schemas.xmlsoap.org/wsdl/http/',
   mime: 'http://schemas.xmlsoap.org/wsdl/mime/',
+  wsdl2: 'http://www.w3.org/ns/wsdl',
+  wsoap: 'http://www.w3.org/ns/wsdl/soap',
   soapenc: 'http://schemas.xmlsoap.org/soap/encoding/',
   soapenv: 'http://schemas.xmlsoap.org/soap/envelope/',
+  soap12env: 'http://www.w3.org/2003/05/soap-envelope',
   xsi_rc: 'http://www.w3.org/2000/10/XMLSchema-instance',
   xsd_rc: 'http://www.w3.org/2000/10/XMLSchema',
   xsd: 'http://www.w3.org/2001/XMLSchema',
   xsi: 'http://www.w3.org/2001/XMLSchema-instance',
-  xml: 'http://www.w3.org/XML/1998/namespace'
+  xml: 'http://www.w3.org/XML/1998/namespace',
+  xop: 'http://www.w3.org/2004/08/xop/include'
 };
 
 function xmlEscape(obj) {
@@ -198,6 +198,17 @@ class NamespaceContext {
     return scope;
   }
 
+  /**
+   * Create a context inheriting the mappings of the current scope. Scopes
+   * pushed to the new context are not visible from this one.
+   * @returns {NamespaceContext}
+   */
+  fork() {
+    var context = new NamespaceContext();
+    context.currentScope.parent = this.currentScope;
+    return context;
+  }
+
   /**
    * Look up the namespace URI by prefix
    * @param {String} prefix Namespace prefix
@@ -81,6 +81,8 @@ var elementTypes = [
   './wsdl/service',
   './wsdl/types',
   './wsdl/documentation',
+  './wsdl2/description',
+  './wsdl2/types',
   './soap/body',
   './soap/header',
   './soap/headerFault',
@@ -116,11 +118,14 @@ function getElementType(qname) {
   if (!ElementType) {
     let XSDElement = require('./xsd/xsdElement');
     let WSDLElement = require('./wsdl/wsdlElement');
+    let WSDL2Element = require('./wsdl2/wsdl2Element');
     let SOAPElement = require('./soap/soapElement');
     let SOAP12Element = require('./soap12/soapElement');
     let Element = require('./element');
     if (qname.nsURI === helper.namespaces.wsdl) {
       ElementType = WSDLElement;
+    } else if (qname.nsURI === helper.namespaces.wsdl2) {
+      ElementType = WSDL2Element;
     } else if (qname.nsURI === helper.namespaces.xsd) {
       ElementType = XSDElement;
     } else if (qname.nsURI === helper.namespaces.soap) {
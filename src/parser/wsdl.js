@@ -22,6 +22,7 @@ var EMPTY_PREFIX = utils.EMPTY_PREFIX;
 
 var QName = require('./qname');
 var Definitions = require('./wsdl/definitions');
+var Description = require('./wsdl2/description');
 var Schema = require('./xsd/schema');
 var Types = require('./wsdl/types');
 var Element = require('./element');
@@ -166,8 +167,8 @@ class WSDL {
     this.options.wsdl_headers = options.wsdl_headers;
     this.options.wsdl_options = options.wsdl_options;
 
-    if (options.httpClient) {
-      this.options.httpClient = options.httpClient;
+    if (options.transport || options.httpClient) {
+      this.options.httpClient = options.transport || options.httpClient;
     }
     
     if (options.request) {
@@ -322,6 +323,10 @@ class WSDL {
         if (name === 'definitions') {
           root = new Definitions(nsName, attrs, options);
           stack.push(root);
+        } else if (name === 'description') {
+          // WSDL 2.0, converted to definitions once parsed
+          root = new Description(nsName, attrs, options);
+          stack.push(root);
         } else if (name === 'schema') {
           // Shim a structure in here to allow the proper objects to be
           // created when merging back.
@@ -356,6 +361,9 @@ class WSDL {
     debug('WSDL xml: %s', xml);
     p.write(xml).close();
 
+    if (root instanceof Description) {
+      root = root.toDefinitions(options);
+    }
     return root;
   };
 
@@ -473,7 +481,8 @@ class WSDL {
       });
     }
     else {
-      var httpClient = options.httpClient || new HttpClient(options);
+      var httpClient = options.transport || options.httpClient ||
+        new HttpClient(options);
       httpClient.request(uri, null /* options */,
         function(err, response, definition) {
           if (err) {
@@ -7,6 +7,7 @@
 
 var WSDLElement = require('./wsdlElement');
 var QName = require('../qname');
+var helper = require('../helper');
 
 class Binding extends WSDLElement {
   constructor(nsName, attrs, options) {
@@ -16,8 +17,11 @@ class Binding extends WSDLElement {
   }
 
   addChild(child) {
+    // http:binding
+    if (child.name === 'binding' && child.nsURI === helper.namespaces.http) {
+      this.verb = (child.$verb || 'GET').toUpperCase();
     // soap:binding
-    if (child.name === 'binding') {
+    } else if (child.name === 'binding') {
       this.transport = child.$transport;
       this.style = child.$style;
     }
@@ -63,6 +67,7 @@ class Binding extends WSDLElement {
               child.parameterOrder = operation.$parameterOrder.split(/\s+/);
             }
             child.style = child.style || style;
+            child.verb = this.verb;
             child.postProcess(definitions);
           }
         }
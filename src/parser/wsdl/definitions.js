@@ -43,8 +43,10 @@ class Definitions extends WSDLElement {
       self.portTypes[child.$name] = child;
     }
     else if (child instanceof Binding) {
+      // SOAP over HTTP, or http:binding
       if (child.transport === 'http://schemas.xmlsoap.org/soap/http' ||
-        child.transport === 'http://www.w3.org/2003/05/soap/bindings/HTTP/')
+        child.transport === 'http://www.w3.org/2003/05/soap/bindings/HTTP/' ||
+        child.verb)
         self.bindings[child.$name] = child;
     }
     else if (child instanceof Service) {
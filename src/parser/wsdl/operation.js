@@ -21,7 +21,8 @@ const Style = {
   documentLiteral: 'documentLiteral',
   rpcLiteral: 'rpcLiteral',
   rpcEncoded: 'rpcEncoded',
-  documentEncoded: 'documentEncoded'
+  documentEncoded: 'documentEncoded',
+  http: 'http'
 };
 
 class Operation extends WSDLElement {
@@ -44,7 +45,13 @@ class Operation extends WSDLElement {
       case 'fault':
         this.faults.push(child);
         break;
-      case 'operation': // soap:operation
+      case 'operation':
+        if (child.nsURI === helper.namespaces.http) {
+          // http:operation, relative to the http:address of the port
+          this.httpLocation = child.$location || '';
+          break;
+        }
+        // soap:operation
         this.soapAction = child.$soapAction || '';
         this.style = child.$style || '';
         this.soapActionRequired = child.$soapActionRequired === 'true' || child.$soapActionRequired === '1' || false;
@@ -110,9 +117,86 @@ class Operation extends WSDLElement {
     return faults;
   }
 
+  /**
+   * Describe the elements of the faults declared by the operation, once per
+   * operation
+   * @param {DefinitionsElement} definitions
+   * @returns {Object} The element descriptors keyed by fault name, or by
+   * message name for unnamed faults
+   */
+  describeNamedFaults(definitions) {
+    if (this.namedFaults) return this.namedFaults;
+    var described = this.describeFaults(definitions);
+    var faults = {};
+    for (var f in described) {
+      let fault = this.faults[f];
+      faults[fault.$name || fault.message.$name] = described[f];
+    }
+    this.namedFaults = faults;
+    return faults;
+  }
+
+  /**
+   * The media type of the `mime:content` or `mime:mimeXml` of an input or
+   * output of an http:binding operation
+   * @param {WSDLElement} [mime] The MIME element
+   * @returns {String}
+   */
+  static mimeType(mime) {
+    if (!mime) return undefined;
+    return mime.name === 'mimeXml' ? 'text/xml' : mime.$type;
+  }
+
+  /**
+   * Describe the parts of an input or output of an http:binding operation
+   * @param {Parameter} param The input or output
+   * @param {DefinitionsElement} definitions
+   * @returns {TypeDescriptor} The parts, elements or else unqualified
+   * elements named after the parts
+   */
+  static describeParts(param, definitions) {
+    var parts = new descriptor.TypeDescriptor();
+    for (let p in param && param.parts) {
+      let part = param.parts[p];
+      if (part.element) {
+        parts.addElement(part.element.describe(definitions));
+      } else if (part.type) {
+        let type = part.type instanceof SimpleType ?
+          new QName(part.type.targetNamespace, part.type.$name, part.type.prefix) :
+          part.type.qname;
+        parts.addElement(new descriptor.ElementDescriptor(
+          new QName('', p), type, 'unqualified', false));
+      }
+    }
+    return parts;
+  }
+
   describe(definitions) {
     if (this.descriptor) return this.descriptor;
     var input, output;
+    if (this.mode === Style.http) {
+      // No envelope, the messages are the url, a form or an XML document
+      this.descriptor = {
+        name: this.$name,
+        style: this.mode,
+        verb: this.verb,
+        location: this.httpLocation,
+        inputEncoding: this.input && (this.input.encoding ||
+          Operation.mimeType(this.input.mime)),
+        input: {
+          body: Operation.describeParts(this.input, definitions),
+          headers: new descriptor.TypeDescriptor()
+        },
+        output: {
+          body: Operation.describeParts(this.output, definitions),
+          headers: new descriptor.TypeDescriptor()
+        },
+        faults: {
+          body: {Fault: {faults: {}}}
+        }
+      };
+      return this.descriptor;
+    }
     switch (this.mode) {
       case Style.documentLiteralWrapped:
         if (this.input && this.input.body) {
@@ -239,6 +323,15 @@ class Operation extends WSDLElement {
       Operation.createEnvelopeDescriptor(this.descriptor.output, true, this.soapVersion);
     this.descriptor.faultEnvelope =
       Operation.createEnvelopeDescriptor(this.descriptor.faults, true, this.soapVersion);
+    //a response carries either the output or a <Fault>, the parser tells them apart
+    //by the namespace of the first child of the <Body>
+    this.descriptor.responseEnvelope =
+      Operation.createEnvelopeDescriptor(this.descriptor.output, true, this.soapVersion);
+    var faultBodyDescriptor = this.descriptor.faultEnvelope.elements[0].elements[1];
+    if (faultBodyDescriptor.elements.length) {
+      this.descriptor.responseEnvelope.elements[0].elements[1]
+        .addElement(faultBodyDescriptor.elements[0]);
+    }
 
     return this.descriptor;
   }
@@ -347,6 +440,10 @@ class Operation extends WSDLElement {
   }
 
   getMode() {
+    if (this.verb) {
+      this.mode = Style.http;
+      return this.mode;
+    }
     let use = this.input && this.input.body && this.input.body.use || 'literal';
     if (this.style === 'document' && use === 'literal') {
       // document literal
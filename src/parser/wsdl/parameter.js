@@ -5,8 +5,10 @@
 
 'use strict';
 
+var g = require('../../globalize');
 var WSDLElement = require('./wsdlElement');
 var QName = require('../qname');
+var helper = require('../helper');
 var debug = require('debug')('strong-soap:wsdl:parameter');
 
 /**
@@ -28,6 +30,14 @@ class Parameter extends WSDLElement {
     } else if (child.name === 'fault') {
       //Revisit. Never gets executed.
       this.fault = child;
+    } else if (child.nsURI === helper.namespaces.http &&
+      (child.name === 'urlEncoded' || child.name === 'urlReplacement')) {
+      // http:urlEncoded or http:urlReplacement
+      this.encoding = child.name;
+    } else if (child.nsURI === helper.namespaces.mime &&
+      (child.name === 'content' || child.name === 'mimeXml')) {
+      // mime:content or mime:mimeXml
+      this.mime = child;
     }
   }
 
@@ -60,6 +70,22 @@ class Parameter extends WSDLElement {
           }
         }
       }
+      if (this.encoding || this.mime) {
+        // http:binding, the parts are encoded in the url, a form or the
+        // XML document of the message
+        let partName = this.mime && this.mime.$part;
+        this.parts = {};
+        if (partName) {
+          let part = this.message && this.message.parts[partName];
+          if (!part) {
+            throw new Error(g.f('Unknown part %s in the %s of the {{WSDL}} ' +
+              'operation %s', partName, this.name, this.parent.$name));
+          }
+          this.parts[partName] = part;
+        } else if (this.message && this.message.parts) {
+          this.parts = this.message.parts;
+        }
+      }
       if (this.headers) {
         for (let i = 0, n = this.headers.length; i < n; i++) {
           let header = this.headers[i];
@@ -103,7 +129,11 @@ Parameter.allowedChildren = [
   'body',
   'SecuritySpecRef',
   'documentation',
-  'header'
+  'header',
+  'urlEncoded',
+  'urlReplacement',
+  'content',
+  'mimeXml'
 ];
 
 module.exports = Parameter;
@@ -0,0 +1,295 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var _ = require('lodash');
+var g = require('../../globalize');
+var debug = require('debug')('strong-soap:wsdl2');
+var WSDL2Element = require('./wsdl2Element');
+var Types = require('./types');
+var QName = require('../qname');
+var helper = require('../helper');
+var Definitions = require('../wsdl/definitions');
+var Message = require('../wsdl/message');
+var Part = require('../wsdl/part');
+var PortType = require('../wsdl/portType');
+var Operation = require('../wsdl/operation');
+var Input = require('../wsdl/input');
+var Output = require('../wsdl/output');
+var Fault = require('../wsdl/fault');
+var Binding = require('../wsdl/binding');
+var Service = require('../wsdl/service');
+var Port = require('../wsdl/port');
+var SOAPBody = require('../soap/body');
+var SOAP12Body = require('../soap12/body');
+
+var namespaces = helper.namespaces;
+
+// The wsoap:protocol of SOAP over HTTP, and the matching WSDL 1.1 transport
+var transports = {
+  'http://www.w3.org/2003/05/soap/bindings/HTTP/':
+    'http://www.w3.org/2003/05/soap/bindings/HTTP/',
+  'http://www.w3.org/2006/01/soap11/bindings/HTTP/':
+    'http://schemas.xmlsoap.org/soap/http'
+};
+
+/**
+ * The root of a WSDL 2.0 document. Once parsed, the description is converted
+ * to the WSDL 1.1 model:
+ *
+ * - an interface is a portType, with a message of a single `parameters` part
+ * for the element of each input, output and fault
+ * - a `wsoap` binding is a document/literal SOAP binding of all the
+ * operations of its interface
+ * - a service is a service with a port for each endpoint
+ */
+class Description extends WSDL2Element {
+  constructor(nsName, attrs, options) {
+    super(nsName, attrs, options);
+    this.schemas = {};
+    this.interfaces = {};
+    this.bindings = {};
+    this.services = {};
+  }
+
+  addChild(child) {
+    if (child instanceof Types) {
+      _.merge(this.schemas, child.schemas);
+      return;
+    }
+    switch (child.name) {
+      case 'interface':
+        this.interfaces[child.$name] = child;
+        break;
+      case 'binding':
+        this.bindings[child.$name] = child;
+        break;
+      case 'service':
+        this.services[child.$name] = child;
+        break;
+      case 'import':
+      case 'include':
+        // The components of other descriptions are not loaded, the ones of
+        // this description could refer to them
+        throw new Error(g.f('{{WSDL}} 2.0 %s elements are not supported: %s',
+          child.name, child.$location || child.$namespace));
+    }
+  }
+
+  /**
+   * Convert the description to WSDL 1.1 definitions
+   * @param {Object} options The options of the WSDL
+   * @returns {Definitions}
+   */
+  toDefinitions(options) {
+    var definitions = new Definitions('definitions',
+      {targetNamespace: this.$targetNamespace}, options);
+    definitions.xmlns = this.xmlns;
+    _.merge(definitions.schemas, this.schemas);
+    for (let name in this.interfaces) {
+      this._convertInterface(definitions, this.interfaces[name], options);
+    }
+    for (let name in this.bindings) {
+      this._convertBinding(definitions, this.bindings[name], options);
+    }
+    for (let name in this.services) {
+      this._convertService(definitions, this.services[name], options);
+    }
+    return definitions;
+  }
+
+  _convertInterface(definitions, source, options) {
+    var portType = create(PortType, 'portType', source,
+      {name: source.$name}, options);
+    var faults = {};
+    this._inherited(source, 'fault').forEach(function(fault) {
+      faults[fault.$name] = createMessage(definitions,
+        source.$name + '.' + fault.$name, fault, options);
+    });
+    this._inherited(source, 'operation').forEach(function(child) {
+      var operation = create(Operation, 'operation', child,
+        {name: child.$name}, options);
+      [['input', Input], ['output', Output]].forEach(function(pair) {
+        var param = find(child, pair[0]);
+        if (!param) return;
+        var message = createMessage(definitions,
+          [source.$name, child.$name, pair[0]].join('.'), param, options);
+        var attrs = attributes(param);
+        attrs.message = message.$name;
+        append(operation, create(pair[1], pair[0], param, attrs, options));
+      });
+      child.children.forEach(function(param) {
+        if (param.name !== 'infault' && param.name !== 'outfault') return;
+        var name = QName.parse(param.$ref).name;
+        if (!faults[name] || _.find(operation.faults, {$name: name})) return;
+        append(operation, create(Fault, 'fault', param,
+          {name: name, message: faults[name].$name}, options));
+      });
+      append(portType, operation);
+    });
+    append(definitions, portType);
+  }
+
+  _convertBinding(definitions, source, options) {
+    var intf = this.interfaces[QName.parse(source.$interface || '').name];
+    if (source.$type !== namespaces.wsoap || !intf) {
+      debug('Skipped binding %s of type %s', source.$name, source.$type);
+      return;
+    }
+    var version = attribute(source, namespaces.wsoap, 'version') || '1.2';
+    var protocol = attribute(source, namespaces.wsoap, 'protocol');
+    var Body = version === '1.2' ? SOAP12Body : SOAPBody;
+    var binding = create(Binding, 'binding', source,
+      {name: source.$name, type: source.$interface}, options);
+    binding.transport = transports[protocol];
+    binding.style = 'document';
+    // Extensions such as wsaw:UsingAddressing
+    binding.children = source.children.filter(function(child) {
+      return child.nsURI !== namespaces.wsdl2;
+    });
+    // All the operations of the interface are bound, binding operations
+    // only add properties
+    this._inherited(intf, 'operation').forEach(function(child) {
+      var bound = _.find(source.children, function(operation) {
+        return operation.name === 'operation' && operation.$ref &&
+          QName.parse(operation.$ref).name === child.$name;
+      });
+      var operation = create(Operation, 'operation', bound || source,
+        {name: child.$name}, options);
+      operation.soapAction =
+        (bound && attribute(bound, namespaces.wsoap, 'action')) || '';
+      operation.style = 'document';
+      operation.soapVersion = version;
+      operation.soapActionRequired = false;
+      [['input', Input], ['output', Output]].forEach(function(pair) {
+        if (!find(child, pair[0])) return;
+        var param = create(pair[1], pair[0], bound || source, {}, options);
+        append(param, new Body('body', {use: 'literal'}, options));
+        append(operation, param);
+      });
+      append(binding, operation);
+    });
+    append(definitions, binding);
+  }
+
+  _convertService(definitions, source, options) {
+    var service = create(Service, 'service', source,
+      {name: source.$name}, options);
+    source.children.forEach(function(endpoint) {
+      if (endpoint.name !== 'endpoint') return;
+      var port = create(Port, 'port', endpoint,
+        {name: endpoint.$name, binding: endpoint.$binding}, options);
+      port.location = endpoint.$address || null;
+      append(service, port);
+    });
+    append(definitions, service);
+  }
+
+  /**
+   * Get the children of an interface and of the interfaces it extends
+   * @param {WSDL2Element} intf The interface
+   * @param {String} name The name of the children
+   * @param {WSDL2Element[]} [visited] The interfaces already visited
+   * @returns {WSDL2Element[]}
+   */
+  _inherited(intf, name, visited) {
+    var self = this;
+    visited = visited || [];
+    if (visited.indexOf(intf) !== -1) return [];
+    visited.push(intf);
+    var children = intf.children.filter(function(child) {
+      return child.name === name && child.nsURI === namespaces.wsdl2;
+    });
+    (intf.$extends || '').split(/\s+/).forEach(function(ref) {
+      var base = ref && self.interfaces[QName.parse(ref).name];
+      if (base) {
+        children = children.concat(self._inherited(base, name, visited));
+      }
+    });
+    return children;
+  }
+}
+
+Description.elementName = 'description';
+Description.allowedChildren = ['documentation', 'import', 'include', 'types',
+  'interface', 'binding', 'service'];
+
+/**
+ * Create a WSDL 1.1 element for a WSDL 2.0 element, resolving the prefixes
+ * the same way
+ */
+function create(ElementType, name, source, attrs, options) {
+  var element = new ElementType(name, attrs, options);
+  element.nsURI = namespaces.wsdl;
+  element.xmlns = source.xmlns;
+  element.targetNamespace = source.getTargetNamespace();
+  return element;
+}
+
+/**
+ * Add a child the same way as the parser
+ */
+function append(parent, child) {
+  child.parent = parent;
+  parent.children.push(child);
+  parent.addChild(child);
+  return child;
+}
+
+/**
+ * Create the message of the `element` of an input, output or fault. The
+ * `#any`, `#none` and `#other` tokens give a message without parts.
+ */
+function createMessage(definitions, name, source, options) {
+  var message = create(Message, 'message', definitions, {name: name}, options);
+  var element = source.$element;
+  if (element && element[0] !== '#') {
+    let part = create(Part, 'part', source,
+      {name: 'parameters', element: element}, options);
+    let prefix = QName.parse(element).prefix;
+    part.xmlns = {};
+    if (prefix) {
+      part.xmlns[prefix] = source.getNamespaceURI(prefix);
+    }
+    append(message, part);
+  }
+  return append(definitions, message);
+}
+
+function find(element, name) {
+  return _.find(element.children, function(child) {
+    return child.name === name && child.nsURI === namespaces.wsdl2;
+  });
+}
+
+/**
+ * Get the value of an attribute in a namespace
+ */
+function attribute(element, nsURI, name) {
+  for (var key in element) {
+    var match = /^\$([^:]+):(.+)$/.exec(key);
+    if (match && match[2] === name &&
+      element.getNamespaceURI(match[1]) === nsURI) {
+      return element[key];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Get the attributes of an element, such as `wsam:Action`
+ */
+function attributes(element) {
+  var attrs = {};
+  for (var key in element) {
+    if (key[0] === '$' && key.indexOf(':') !== -1) {
+      attrs[key.substring(1)] = element[key];
+    }
+  }
+  return attrs;
+}
+
+module.exports = Description;
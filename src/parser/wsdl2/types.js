@@ -0,0 +1,30 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var WSDLTypes = require('../wsdl/types');
+var Schema = require('../xsd/schema');
+var helper = require('../helper');
+
+/**
+ * The types of a WSDL 2.0 description, the same as WSDL 1.1 types
+ */
+class Types extends WSDLTypes {
+  constructor(nsName, attrs, options) {
+    super(nsName, attrs, options);
+  }
+
+  addChild(child) {
+    // Skip wsdl:documentation, which is not a WSDL 1.1 element
+    if (child instanceof Schema) {
+      super.addChild(child);
+    }
+  }
+}
+
+Types.targetNamespace = helper.namespaces.wsdl2;
+
+module.exports = Types;
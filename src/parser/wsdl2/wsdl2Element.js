@@ -0,0 +1,23 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var Element = require('../element');
+
+/**
+ * Element of a WSDL 2.0 document, kept as is until the description is
+ * converted to WSDL 1.1 definitions
+ */
+class WSDL2Element extends Element {
+  constructor(nsName, attrs, options) {
+    super(nsName, attrs, options);
+  }
+}
+
+WSDL2Element.targetNamespace = Element.namespaces.wsdl2;
+WSDL2Element.allowedChildren = ['any'];
+
+module.exports = WSDL2Element;
@@ -4,9 +4,12 @@
 // License text available at https://opensource.org/licenses/MIT
 
 
+const g = require('../globalize');
 const xmlBuilder = require('xmlbuilder');
 const sax = require('sax');
 const stream = require('stream');
+const uuid = require('uuid').v4;
+const { StringDecoder } = require('string_decoder');
 const assert = require('assert');
 const selectn = require('selectn');
 const debug = require('debug')('strong-soap:xmlhandler');
@@ -18,6 +21,7 @@ const { TypeDescriptor } = descriptor;
 const QName = require('./qname');
 const helper = require('./helper');
 const NamespaceContext = require('./nscontext');
+const SOAPFault = require('../errors').SOAPFault;
 
 
 class XMLHandler {
@@ -68,6 +72,9 @@ class XMLHandler {
           }
           return node;
         }
+        if (isAsyncIterable(val)) {
+          return this._deferElements(node, nsContext, descriptor, val);
+        }
       }
       if (val !== null && typeof val === 'object') {
         // check for $attributes field
@@ -79,6 +86,9 @@ class XMLHandler {
           val = val[this.options.valueKey];
         }
       }
+      if (isSimple && Buffer.isBuffer(val) && this._isBinary(descriptor)) {
+        val = this._binaryValue(val);
+      }
       let element;
       let elementName;
       let xmlns;
@@ -223,6 +233,188 @@ class XMLHandler {
     return node;
   }
 
+  /**
+   * Map a JSON object into a XML tree like jsonToXml, except that repeated
+   * elements can be given an async iterable, such as an object mode Readable.
+   * A placeholder is added to the tree for each of them.
+   * @param {XMLElement} node The parent node
+   * @param {NamespaceContext} nsContext The namespace context
+   * @param {Object} descriptor The descriptor
+   * @param {*} val The value
+   * @param {Object} [xop] To optimize binary values with MTOM, `{threshold,
+   * parts}`. The MIME parts are added to `parts`.
+   * @returns {Object[]} The placeholders, to be filled by createXmlStream()
+   */
+  jsonToXmlDeferred(node, nsContext, descriptor, val, xop) {
+    this._deferred = [];
+    this._xop = xop || null;
+    try {
+      this.jsonToXml(node, nsContext, descriptor, val);
+      return this._deferred;
+    } finally {
+      this._deferred = null;
+      this._xop = null;
+    }
+  }
+
+  /**
+   * Map a JSON object into a XML tree like jsonToXml, moving the binary
+   * values of at least `threshold` bytes to MIME parts (MTOM)
+   * @param {XMLElement} node The parent node
+   * @param {NamespaceContext} nsContext The namespace context
+   * @param {Object} descriptor The descriptor
+   * @param {*} val The value
+   * @param {Number} threshold The minimal size of the optimized values
+   * @returns {Object[]} The MIME parts
+   */
+  jsonToXmlOptimized(node, nsContext, descriptor, val, threshold) {
+    this._xop = { threshold: threshold, parts: [] };
+    try {
+      this.jsonToXml(node, nsContext, descriptor, val);
+      return this._xop.parts;
+    } finally {
+      this._xop = null;
+    }
+  }
+
+  /**
+   * Check if the type of an element is xsd:base64Binary, or derives from it
+   * @param {ElementDescriptor} descriptor The element descriptor
+   * @returns {Boolean}
+   */
+  _isBinary(descriptor) {
+    const type = descriptor.type;
+    if (!type) return false;
+    if (type.nsURI === helper.namespaces.xsd) {
+      return type.name === 'base64Binary';
+    }
+    const schema = this.schemas[type.nsURI];
+    let typeObj = type.anonymous;
+    if (!typeObj && schema) {
+      typeObj = schema.simpleTypes[type.name] || schema.complexTypes[type.name];
+    }
+    return isBinaryType(typeObj, 0);
+  }
+
+  /**
+   * Serialize a Buffer of a base64Binary element. With MTOM, Buffers of at
+   * least `threshold` bytes are moved to a MIME part that the element
+   * references with `xop:Include`.
+   * @param {Buffer} buffer The value
+   * @returns {String|Object} The base64 text, or the xop:Include as `$xml`
+   */
+  _binaryValue(buffer) {
+    const xop = this._xop;
+    if (!xop || buffer.length < (xop.threshold || 0)) {
+      return buffer.toString('base64');
+    }
+    const contentId = uuid() + '@strong-soap';
+    xop.parts.push({
+      name: 'part' + xop.parts.length,
+      contentId: contentId,
+      mimetype: 'application/octet-stream',
+      body: buffer
+    });
+    const value = {};
+    value[this.options.xmlKey] = '<xop:Include xmlns:xop="' +
+      helper.namespaces.xop + '" href="cid:' + encodeURIComponent(contentId) +
+      '"/>';
+    return value;
+  }
+
+  _deferElements(node, nsContext, descriptor, values) {
+    if (!this._deferred) {
+      throw new Error(g.f('Streamed values of %s are only supported in ' +
+        'operation requests', descriptor.qname.name));
+    }
+    const marker = '<!--strong-soap-deferred-' + uuid() + '-->';
+    node.raw(marker);
+    this._deferred.push({
+      marker: marker,
+      nsContext: nsContext.fork(),
+      descriptor: descriptor,
+      values: values
+    });
+    return node;
+  }
+
+  /**
+   * Stream a serialized XML document, replacing the placeholders with the
+   * elements serialized from their iterables as they are consumed
+   * @param {String} xml The serialized document
+   * @param {Object[]} deferred The placeholders from jsonToXmlDeferred()
+   * @param {Object} [options] xmlbuilder serialization options
+   * @returns {stream.Readable}
+   */
+  createXmlStream(xml, deferred, options) {
+    const self = this;
+    const parts = [];
+    let rest = xml;
+    deferred.slice().sort((a, b) => xml.indexOf(a.marker) - xml.indexOf(b.marker))
+      .forEach((placeholder) => {
+        const index = rest.indexOf(placeholder.marker);
+        parts.push(rest.substring(0, index), placeholder);
+        rest = rest.substring(index + placeholder.marker.length);
+      });
+    parts.push(rest);
+
+    let index = 0;
+    let iterator = null;
+    let pulling = false;
+
+    const payload = new stream.Readable({
+      read() {
+        if (!pulling) pull();
+      },
+      destroy(err, cb) {
+        if (iterator && typeof iterator.return === 'function') {
+          Promise.resolve(iterator.return()).catch(() => {});
+        }
+        cb(err);
+      }
+    });
+
+    function pull() {
+      while (index < parts.length) {
+        const part = parts[index];
+        if (typeof part === 'string') {
+          index++;
+          if (part && !payload.push(part)) return;
+          continue;
+        }
+        if (!iterator) {
+          iterator = part.values[Symbol.asyncIterator]();
+        }
+        pulling = true;
+        iterator.next().then((result) => {
+          pulling = false;
+          if (payload.destroyed) return;
+          if (result.done) {
+            iterator = null;
+            index++;
+            return pull();
+          }
+          let text;
+          try {
+            const doc = xmlBuilder.begin();
+            self.jsonToXml(doc, part.nsContext, part.descriptor, result.value);
+            text = doc.end(options);
+          } catch (err) {
+            return payload.destroy(err);
+          }
+          if (payload.push(text) && !pulling) pull();
+        }, (err) => {
+          pulling = false;
+          payload.destroy(err);
+        });
+        return;
+      }
+      payload.push(null);
+    }
+
+    return payload;
+  }
+
   /**
    * Check if the attributes have xsi:type and return the xsi type descriptor if exists
    * @param {*} descriptor The current descriptor
@@ -550,7 +742,77 @@ class XMLHandler {
     }
   }
 
-  xmlToJson(nsContext, xml, descriptor) {
+  /**
+   * Parse XML into JSON
+   * @param {NamespaceContext} nsContext The namespace context
+   * @param {String} xml The XML
+   * @param {Object} descriptor The descriptor of the root
+   * @param {Function} [xopResolver] Called with the `href` of each
+   * `xop:Include` element, it returns the Buffer to use as the value of the
+   * including element
+   * @returns {Object}
+   */
+  xmlToJson(nsContext, xml, descriptor, xopResolver) {
+    const parser = this._createJsonParser(nsContext, descriptor, null,
+      xopResolver);
+    parser.sax.write(xml).close();
+    return parser.finish();
+  }
+
+  /**
+   * Parse a XML stream into JSON. The outermost elements whose descriptor is
+   * `isMany` are passed to `onRecord` as soon as they are complete instead of
+   * being added to the result, so that large repeated content does not have
+   * to be held in memory.
+   * @param {NamespaceContext} nsContext The namespace context
+   * @param {stream.Readable} xml The XML stream
+   * @param {Object} descriptor The descriptor of the root
+   * @param {Function} onRecord Called with (name, value) for each record
+   * @param {Function} cb Called with (err, result) once the stream ends. As
+   * with xmlToJson, a SOAP fault is reported as an error with `root` set.
+   */
+  xmlToJsonStream(nsContext, xml, descriptor, onRecord, cb) {
+    const parser = this._createJsonParser(nsContext, descriptor, onRecord);
+    const decoder = new StringDecoder('utf8');
+    let done = false;
+
+    function finish(err, result) {
+      if (done) return;
+      done = true;
+      cb(err, result);
+    }
+
+    function write(text) {
+      if (done || !text) return;
+      try {
+        parser.sax.write(text);
+      } catch (err) {
+        finish(err);
+      }
+    }
+
+    xml.on('data', (chunk) => {
+      write(typeof chunk === 'string' ? chunk : decoder.write(chunk));
+    });
+    xml.on('error', finish);
+    xml.on('close', () => {
+      finish(new Error(g.f('The response stream closed before its end')));
+    });
+    xml.on('end', () => {
+      write(decoder.end());
+      if (done) return;
+      let result;
+      try {
+        parser.sax.close();
+        result = parser.finish();
+      } catch (err) {
+        return finish(err);
+      }
+      finish(null, result);
+    });
+  }
+
+  _createJsonParser(nsContext, descriptor, onRecord, xopResolver) {
     const self = this;
     const p = sax.parser(true);
     nsContext = nsContext || new NamespaceContext();
@@ -559,6 +821,11 @@ class XMLHandler {
       id; // {id: {hrefs:[], obj:}, ...}
     const stack = [{ name: null, object: root, descriptor: descriptor }];
     const { options } = this;
+    // Qualified name of the first child of the SOAP <Body>, a SOAP <Fault>
+    // there makes the message a fault
+    let bodyEntry = null;
+    // Namespace of the prefix of the fault code, which is a qualified name
+    let faultCodeNsURI;
 
     p.onopentag = function(node) {
       nsContext.pushContext();
@@ -627,6 +894,25 @@ class XMLHandler {
       const elementQName = QName.parse(nsName);
       elementQName.nsURI = nsContext.getNamespaceURI(elementQName.prefix);
 
+      if (bodyEntry === null && stack.length === 3 &&
+        isEnvelopeElement(stack[1], 'Envelope') &&
+        isEnvelopeElement(top, 'Body')) {
+        bodyEntry = elementQName;
+      }
+
+      // MTOM/XOP, the binary content of the parent is in a MIME part
+      if (elementQName.nsURI === helper.namespaces.xop &&
+        elementQName.name === 'Include') {
+        const content = xopResolver && xopResolver(attrs.href);
+        if (content === undefined) {
+          throw new Error(g.f('Cannot resolve the {{XOP}} include %s',
+            attrs.href));
+        }
+        top.xop = content;
+        stack.push({ name: elementQName.name, xopInclude: true });
+        return;
+      }
+
       // SOAP href (#id)
       if (attrs.href != null) {
         id = attrs.href.substr(1);
@@ -642,11 +928,16 @@ class XMLHandler {
         if (refs[id] === undefined) { refs[id] = { hrefs: [], object: null }; }
       }
 
+      const elementDescriptor = descriptor &&
+        findElementDescriptor(descriptor, elementQName);
       stack.push({
         name: elementQName.name,
+        nsURI: elementQName.nsURI,
         object: obj,
-        descriptor: descriptor && descriptor.findElement(elementQName.name),
-        id: attrs.id
+        descriptor: elementDescriptor,
+        id: attrs.id,
+        inRecord: top.inRecord || !!(onRecord && elementDescriptor &&
+          elementDescriptor.isMany)
       });
     };
 
@@ -655,9 +946,27 @@ class XMLHandler {
       nsContext.popContext();
       const current = stack.pop();
       const top = stack[stack.length - 1];
+      if (current.xopInclude) {
+        return;
+      }
+      if (current.xop !== undefined) {
+        if (current.object && current.object.constructor === Object) {
+          current.object[self.options.valueKey] = current.xop;
+        } else {
+          current.object = current.xop;
+        }
+      }
       if (top.object === undefined) {
         top.object = {};
       }
+      if (current.inRecord && !top.inRecord) {
+        // A complete record in streaming mode, it is not kept in the result
+        if (current.id != null) {
+          refs[current.id].object = current.object;
+        }
+        onRecord(elementName, current.object);
+        return;
+      }
       if (top.object !== null) {
         if (typeof top.object === 'object' && elementName in top.object) {
           // The element exist already, let's create an array
@@ -703,51 +1012,111 @@ class XMLHandler {
       const top = stack[stack.length - 1];
       const { descriptor } = top;
       const value = parseValue(text, descriptor);
+      if (isFaultCode(stack)) {
+        faultCodeNsURI = nsContext.getNamespaceURI(QName.parse(text).prefix);
+      }
       self._processText(top, value);
     };
 
-    p.write(xml).close();
-
-    // merge obj with href
-    const merge = function(href, obj) {
-      for (const j in obj) {
-        if (obj.hasOwnProperty(j)) {
-          href.object[j] = obj[j];
+    const finish = function() {
+      // merge obj with href
+      const merge = function(href, obj) {
+        for (const j in obj) {
+          if (obj.hasOwnProperty(j)) {
+            href.object[j] = obj[j];
+          }
         }
-      }
-    };
+      };
 
-    // MultiRef support: merge objects instead of replacing
-    for (const n in refs) {
-      const ref = refs[n];
-      for (let i = 0; i < ref.hrefs.length; i++) {
-        merge(ref.hrefs[i], ref.object);
+      // MultiRef support: merge objects instead of replacing
+      for (const n in refs) {
+        const ref = refs[n];
+        for (let i = 0; i < ref.hrefs.length; i++) {
+          merge(ref.hrefs[i], ref.object);
+        }
       }
-    }
 
-    if (root.Envelope) {
-      const body = root.Envelope.Body;
-      if (root.Envelope.Body !== undefined && root.Envelope.Body !== null) {
-        if (body.Fault !== undefined && body.Fault !== null) {
-          // check if fault is soap 1.1 fault
-          let errorMessage = getSoap11FaultErrorMessage(body.Fault);
-          // check if fault is soap 1.2 fault
-          if (errorMessage == null) {
-            errorMessage = getSoap12FaultErrorMessage(body.Fault);
-          }
-          // couldn't process error message for neither soap 1.1 nor soap 1.2 fault. Nothing else can be done at this point. Send a generic error message.
-          if (errorMessage == null) {
-            errorMessage = 'Error occurred processing Fault response.';
+      if (root.Envelope) {
+        const body = root.Envelope.Body;
+        if (root.Envelope.Body !== undefined && root.Envelope.Body !== null) {
+          if (bodyEntry && isEnvelopeElement(bodyEntry, 'Fault') &&
+            body.Fault !== undefined && body.Fault !== null) {
+            // check if fault is soap 1.1 fault
+            let errorMessage = getSoap11FaultErrorMessage(body.Fault);
+            // check if fault is soap 1.2 fault
+            if (errorMessage == null) {
+              errorMessage = getSoap12FaultErrorMessage(body.Fault);
+            }
+            // couldn't process error message for neither soap 1.1 nor soap 1.2 fault. Nothing else can be done at this point. Send a generic error message.
+            if (errorMessage == null) {
+              errorMessage = 'Error occurred processing Fault response.';
+            }
+            const error = new SOAPFault(body.Fault, errorMessage,
+              faultCodeNsURI);
+            error.root = root;
+            throw error;
           }
-          const error = new Error(errorMessage);
-          error.root = root;
-          throw error;
         }
+        return root.Envelope;
       }
-      return root.Envelope;
+      return root;
+    };
+
+    return { sax: p, finish: finish };
+  }
+}
+
+/**
+ * Check if an element is the given element of the SOAP 1.1 or 1.2 envelope
+ * namespace
+ * @param {Object} element The element, with its `name` and `nsURI`
+ * @param {String} name The local name
+ * @returns {Boolean}
+ */
+function isEnvelopeElement(element, name) {
+  return element.name === name &&
+    (element.nsURI === helper.namespaces.soapenv ||
+    element.nsURI === helper.namespaces.soap12env);
+}
+
+/**
+ * Check if the top of the parser stack is the code of a SOAP fault: the
+ * SOAP 1.1 `faultcode` or the SOAP 1.2 `Code/Value`
+ * @param {Object[]} stack The parser stack, from the document to the element
+ * @returns {Boolean}
+ */
+function isFaultCode(stack) {
+  const n = stack.length;
+  if (n < 5 || !isEnvelopeElement(stack[3], 'Fault') ||
+    !isEnvelopeElement(stack[2], 'Body')) {
+    return false;
+  }
+  if (n === 5) {
+    return stack[4].name === 'faultcode';
+  }
+  return n === 6 && isEnvelopeElement(stack[4], 'Code') &&
+    isEnvelopeElement(stack[5], 'Value');
+}
+
+/**
+ * Find the descriptor of a child element by its local name, and by its
+ * namespace as well when several children share the local name, such as an
+ * output element and the SOAP <Fault> of a response <Body>
+ * @param {TypeDescriptor} descriptor The descriptor of the parent
+ * @param {QName} qname The qualified name of the child
+ * @returns {ElementDescriptor|null}
+ */
+function findElementDescriptor(descriptor, qname) {
+  const first = descriptor.findElement(qname.name);
+  if (!first) return null;
+  const elements = descriptor.elements;
+  for (let i = 0, n = elements.length; i < n; i++) {
+    if (elements[i].qname.name === qname.name &&
+      elements[i].qname.nsURI === qname.nsURI) {
+      return elements[i];
     }
-    return root;
   }
+  return first;
 }
 
 function getSoap11FaultErrorMessage(faultBody) {
@@ -830,6 +1199,27 @@ function getSoap12FaultErrorMessage(faultBody) {
 }
 
 
+function isBinaryType(type, depth) {
+  if (!type || depth > 10) return false;
+  if (type.targetNamespace === helper.namespaces.xsd) {
+    return type.$name === 'base64Binary';
+  }
+  if (type.base) {
+    return isBinaryType(type.base, depth + 1);
+  }
+  // Follow simpleType/restriction and complexType/simpleContent/extension
+  return (type.children || []).some((child) => {
+    const name = child.constructor.elementName;
+    return (name === 'restriction' || name === 'extension' ||
+      name === 'simpleContent') && isBinaryType(child, depth + 1);
+  });
+}
+
+function isAsyncIterable(val) {
+  return val != null && typeof val === 'object' &&
+    typeof val[Symbol.asyncIterator] === 'function';
+}
+
 function declareNamespace(nsContext, node, prefix, nsURI) {
   const mapping = nsContext.declareNamespace(prefix, nsURI);
   if (!mapping) {
@@ -111,6 +111,7 @@ class ElementDescriptor extends TypeDescriptor {
     isMany = (!!isMany) || this.isMany;
     var copy = new ElementDescriptor(this.qname, this.type, this.form, isMany);
     copy.isNillable = this.isNillable;
+    if (this.isOptional) copy.isOptional = true;
     copy.isSimple = this.isSimple;
     if (this.jsType) copy.jsType = this.jsType;
     if (this.elements != null) copy.elements = this.elements;
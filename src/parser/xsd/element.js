@@ -100,6 +100,12 @@ class Element extends XSDElement {
         }
       }
     }
+    // minOccurs="0" on the element or its particle, or a choice
+    var parent = this.parent;
+    if (this.isOptional() || parent.name === 'choice' ||
+      (parent instanceof XSDElement && parent.isOptional())) {
+      descriptor.isOptional = true;
+    }
     return descriptor;
   }
 
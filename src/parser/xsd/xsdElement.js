@@ -46,6 +46,14 @@ class XSDElement extends Element {
     if (this.$maxOccurs === 'unbounded') return true;
     return Number(this.$maxOccurs) > 1;
   }
+
+  /**
+   * Check if the min occurrence is zero
+   * @returns {boolean}
+   */
+  isOptional() {
+    return this.$minOccurs !== undefined && Number(this.$minOccurs) === 0;
+  }
 }
 
 XSDElement.targetNamespace = Element.namespaces.xsd;
@@ -0,0 +1,168 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var g = require('./globalize');
+var http = require('http'),
+  Server = require('./server'),
+  addressing = require('./addressing'),
+  errors = require('./errors'),
+  multipart = require('./multipart'),
+  _ = require('lodash'),
+  debug = require('debug')('strong-soap:reply-listener');
+
+var DEFAULTS = {
+  host: '127.0.0.1',
+  port: 0,
+  path: '/replies',
+  timeout: 60000
+};
+
+/**
+ * Endpoint receiving the replies that services send asynchronously to the
+ * `wsa:ReplyTo` address of the requests. A reply is related to its request by
+ * its `wsa:RelatesTo` header.
+ *
+ * @param {WSDL} wsdl The loaded WSDL of the client
+ * @param {Object} [options]
+ * @param {String} [options.host=127.0.0.1] The interface to listen on
+ * @param {Number} [options.port=0] The port to listen on, 0 for any free port
+ * @param {String} [options.path=/replies] The path of the endpoint
+ * @param {String} [options.address] The address sent as `wsa:ReplyTo`,
+ * defaults to the URL the listener listens on
+ * @param {Number} [options.timeout=60000] Milliseconds to wait for a reply
+ * @param {http.Server} [options.server] An HTTP server to attach to instead of
+ * creating one. It is not closed with the listener.
+ */
+class ReplyListener extends Server {
+  constructor(wsdl, options) {
+    options = _.defaults({}, options, DEFAULTS);
+    var server = options.server || http.createServer(function(req, res) {
+      res.statusCode = 404;
+      res.end();
+    });
+    super(server, options.path, {}, wsdl, options);
+    this.server = server;
+    this.options = options;
+    this.timeout = options.timeout;
+    this.address = options.address;
+    this.pending = new Map();
+  }
+
+  _initializeOptions(options) {
+    // The options of the WSDL are the ones of the client
+  }
+
+  /**
+   * Start listening, unless the HTTP server given in the options is listening
+   * @param {Function} callback Called with an error or the listener
+   */
+  listen(callback) {
+    var self = this;
+    var server = this.server;
+    if (server.listening) {
+      return process.nextTick(ready);
+    }
+    server.once('error', callback);
+    server.listen(this.options.port, this.options.host, function() {
+      server.removeListener('error', callback);
+      ready();
+    });
+
+    function ready() {
+      if (!self.address) {
+        var address = server.address();
+        var host = address.family === 'IPv6' || address.family === 6 ?
+          '[' + address.address + ']' : address.address;
+        self.address = 'http://' + host + ':' + address.port +
+          self.options.path;
+      }
+      debug('listening for replies at %s', self.address);
+      callback(null, self);
+    }
+  }
+
+  /**
+   * Stop listening. The calls waiting for a reply fail.
+   * @param {Function} [callback]
+   */
+  close(callback) {
+    callback = callback || _.noop;
+    var error = new Error(g.f('The reply listener is closed'));
+    this.pending.forEach(function(entry) {
+      entry.fail(error);
+    });
+    if (this.options.server || !this.server.listening) {
+      return process.nextTick(callback);
+    }
+    this.server.close(function() {
+      callback();
+    });
+  }
+
+  /**
+   * Wait for the reply to a message
+   * @param {String} messageID The `wsa:MessageID` of the request
+   * @param {Number} [timeout] Milliseconds to wait, defaults to the timeout of
+   * the listener
+   * @param {Function} callback Called with an error, or the reply envelope and
+   * the HTTP request carrying it
+   * @returns {{cancel: Function}} The pending reply, cancel it to stop waiting
+   */
+  expect(messageID, timeout, callback) {
+    var self = this;
+    timeout = timeout || this.timeout;
+    var entry = {
+      deliver: function(body, message) {
+        settle();
+        callback(null, body, message);
+      },
+      fail: function(err) {
+        settle();
+        callback(err);
+      },
+      cancel: settle
+    };
+    var timer = setTimeout(function() {
+      debug('no reply to %s within %d ms', messageID, timeout);
+      entry.fail(new errors.ReplyTimeoutError(messageID, timeout));
+    }, timeout);
+    this.pending.set(messageID, entry);
+    return entry;
+
+    function settle() {
+      clearTimeout(timer);
+      if (self.pending.get(messageID) === entry) {
+        self.pending.delete(messageID);
+      }
+      entry.deliver = entry.fail = _.noop;
+    }
+  }
+
+  _process(input, req, callback) {
+    var header;
+    try {
+      header = this.xmlHandler.xmlToJson(null, input, null,
+        multipart.xopResolver(req.attachments, [])).Header;
+    } catch (err) {
+      // A fault is reported to the call it relates to
+      if (!err.root) throw err;
+      header = err.root.Envelope.Header;
+    }
+    var headers = addressing.readHeaders(header);
+    var relatesTo = headers && headers.relatesTo;
+    var entry = relatesTo && this.pending.get(relatesTo);
+    if (!entry) {
+      debug('no call waits for the reply to %s', relatesTo);
+      return callback('', 404);
+    }
+    debug('reply to %s', relatesTo);
+    callback('', 202);
+    entry.deliver(input, req);
+  }
+}
+
+module.exports = ReplyListener;
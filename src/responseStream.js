@@ -0,0 +1,62 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var Readable = require('stream').Readable;
+
+/**
+ * Object mode stream of the records of a streamed operation response. Each
+ * record is `{name, value}`, `name` being the local name of the repeated
+ * element. The http response is paused while records are not consumed.
+ *
+ * @constructor
+ */
+class ResponseStream extends Readable {
+  constructor() {
+    super({objectMode: true});
+    this.result = undefined;
+    this.header = undefined;
+    this._source = null;
+    this._request = null;
+    this._sourcePaused = false;
+  }
+
+  /**
+   * Queue a parsed record, pausing the http response when the consumer falls
+   * behind
+   * @param {String} name The element name
+   * @param {*} value The parsed element
+   */
+  pushRecord(name, value) {
+    if (!this.push({name: name, value: value}) && this._source &&
+      !this._sourcePaused) {
+      this._sourcePaused = true;
+      this._source.pause();
+    }
+  }
+
+  _read() {
+    if (this._sourcePaused) {
+      this._sourcePaused = false;
+      if (this._source) this._source.resume();
+    }
+  }
+
+  _destroy(err, callback) {
+    // Stop downloading when the consumer gives up on the records
+    var req = this._request;
+    if (req && this._source) {
+      if (typeof req.abort === 'function') {
+        req.abort();
+      } else if (typeof req.destroy === 'function') {
+        req.destroy();
+      }
+    }
+    callback(err);
+  }
+}
+
+module.exports = ResponseStream;
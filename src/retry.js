@@ -0,0 +1,141 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var _ = require('lodash');
+var selectn = require('selectn');
+var debug = require('debug')('strong-soap:retry');
+
+var NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED',
+  'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE', 'EAI_AGAIN', 'ETIMEDOUT',
+  'ESOCKETTIMEDOUT'];
+
+var DEFAULTS = {
+  maxAttempts: 3,
+  minDelay: 100,
+  maxDelay: 10000,
+  factor: 2,
+  jitter: 0.2,
+  networkErrors: true,
+  statusCodes: [502, 503, 504],
+  faultCodes: []
+};
+
+/**
+ * Retry policy for client operations
+ *
+ * @param {Object} [options] Policy options
+ * @param {Number} [options.maxAttempts=3] Maximum number of attempts,
+ * including the first one
+ * @param {Number} [options.minDelay=100] Delay in ms before the first retry
+ * @param {Number} [options.maxDelay=10000] Upper bound of a delay in ms
+ * @param {Number} [options.factor=2] Exponential backoff factor
+ * @param {Number} [options.jitter=0.2] Fraction (0-1) of each delay that is
+ * randomized
+ * @param {Boolean|String[]} [options.networkErrors=true] Retry on network
+ * errors, or only on the listed error codes
+ * @param {Number[]} [options.statusCodes=[502,503,504]] HTTP statuses to retry
+ * @param {String[]} [options.faultCodes=[]] SOAP fault codes to retry, with or
+ * without prefix (`soap:Server` or `Server`)
+ * @param {Object} [options.operations] Per operation settings keyed by the
+ * WSDL operation name: `false` to never retry, `true` to use this policy or an
+ * object overriding some options. The `*` key applies to operations that are
+ * not listed.
+ *
+ * @constructor
+ */
+class RetryPolicy {
+  constructor(options) {
+    options = options || {};
+    this.options = _.defaults(_.omit(options, 'operations'), DEFAULTS);
+    this.operations = options.operations || {};
+  }
+
+  /**
+   * Resolve the settings for an operation
+   * @param {String} name The WSDL operation name
+   * @param {Boolean|Object} [override] Settings passed to a single call
+   * @returns {Object|null} The settings, or null if the operation must not be
+   * retried
+   */
+  forOperation(name, override) {
+    var setting = this.operations.hasOwnProperty(name) ?
+      this.operations[name] : this.operations['*'];
+    if (override !== undefined) {
+      setting = override;
+    }
+    if (setting === false || setting === null) {
+      return null;
+    }
+    if (typeof setting === 'object') {
+      return _.defaults({}, setting, this.options);
+    }
+    return this.options;
+  }
+
+  /**
+   * Check if a failed attempt can be retried
+   * @param {Object} settings The operation settings
+   * @param {Error} err The error of the attempt
+   * @returns {Boolean}
+   */
+  isRetryable(settings, err) {
+    // The deadline of the call is not reset by a new attempt
+    if (!err || err.name === 'AbortError' || err.name === 'CircuitOpenError' ||
+      err.name === 'TimeoutError' || err.requestStreamed ||
+      err.responseStreamed) {
+      return false;
+    }
+    var statusCode = selectn('response.statusCode', err);
+    var faultCode = RetryPolicy.faultCode(err);
+    if (faultCode != null) {
+      var localCode = faultCode.substring(faultCode.indexOf(':') + 1);
+      return settings.faultCodes.indexOf(faultCode) !== -1 ||
+        settings.faultCodes.indexOf(localCode) !== -1;
+    }
+    if (statusCode != null) {
+      return settings.statusCodes.indexOf(statusCode) !== -1;
+    }
+    if (settings.networkErrors) {
+      var codes = Array.isArray(settings.networkErrors) ?
+        settings.networkErrors : NETWORK_ERROR_CODES;
+      return codes.indexOf(err.code) !== -1;
+    }
+    return false;
+  }
+
+  /**
+   * Compute the backoff delay before the next attempt
+   * @param {Object} settings The operation settings
+   * @param {Number} attempt The number of the attempt that failed (1-based)
+   * @returns {Number} The delay in ms
+   */
+  delay(settings, attempt) {
+    var delay = Math.min(settings.maxDelay,
+      settings.minDelay * Math.pow(settings.factor, attempt - 1));
+    var jitter = Math.min(Math.max(settings.jitter, 0), 1);
+    delay = delay - delay * jitter * Math.random();
+    debug('attempt %d failed, retrying in %d ms', attempt, delay);
+    return Math.round(delay);
+  }
+
+  /**
+   * Extract the fault code from an error carrying a parsed SOAP fault
+   * @param {Error} err The error
+   * @returns {String|undefined}
+   */
+  static faultCode(err) {
+    var fault = selectn('root.Envelope.Body.Fault', err);
+    if (!fault) return undefined;
+    var code = selectn('faultcode.$value', fault) || fault.faultcode ||
+      selectn('Code.Value.$value', fault) || selectn('Code.Value', fault);
+    return typeof code === 'string' ? code : undefined;
+  }
+}
+
+RetryPolicy.NETWORK_ERROR_CODES = NETWORK_ERROR_CODES;
+
+module.exports = RetryPolicy;
@@ -11,6 +11,11 @@ var url = require('url'),
   events = require('events'),
   XMLHandler = require('./parser/xmlHandler'),
   Base = require('./base'),
+  multipart = require('./multipart'),
+  diagnostics = require('./diagnostics'),
+  addressing = require('./addressing'),
+  Stats = require('./stats'),
+  _ = require('lodash'),
   toXMLDate = require('./utils').toXMLDate,
   util = require('util'),
   debug = require('debug')('strong-soap:server'),
@@ -22,6 +27,11 @@ try {
   // Ignore error
 }
 
+// State of the requests being processed, for the diagnostics and statistics
+var exchanges = new WeakMap();
+// Requests failing before their operation is known are counted under this name
+var UNKNOWN_OPERATION = '';
+
 class Server extends Base {
 
   constructor(server, path, services, wsdl, options) {
@@ -30,13 +40,31 @@ class Server extends Base {
     options = options || {};
     this.path = path;
     this.services = services;
+    this.metrics = options.metrics;
+    if (options.mtom) {
+      this.mtom = _.defaults({}, typeof options.mtom === 'object' ?
+        options.mtom : {}, {threshold: 1024});
+    }
 
     debug('Server parameters: path: %s services: %j wsdl: %j', path, services, wsdl);
     if (path[path.length - 1] !== '/')
       path += '/';
-    wsdl.load(function(err) {
-      if (err) throw err;
+    if (wsdl.isLoaded) {
+      // The WSDL of a client, reloading it would replace its definitions
+      attach();
+    } else {
+      wsdl.load(function(err) {
+        if (err) throw err;
+        attach();
+      });
+    }
+
+    function attach() {
       self.xmlHandler = new XMLHandler(self.wsdl.definitions.schemas, self.wsdl.options);
+      if (!server) {
+        // Served through dispatch() only, such as by an in-process transport
+        return;
+      }
       var listeners = server.listeners('request').slice();
 
       server.removeAllListeners('request');
@@ -58,30 +86,32 @@ class Server extends Base {
           }
         }
       });
-    });
+    }
   }
 
   _requestListener(req, res) {
     var self = this;
-    var reqParse = url.parse(req.url);
-    var reqPath = reqParse.pathname;
-    var reqQuery = reqParse.search;
 
     if (typeof self.log === 'function') {
       self.log('info', 'Handling ' + req.method + ' on ' + req.url);
     }
 
-    if (req.method === 'GET') {
-      if (reqQuery && reqQuery.toLowerCase() === '?wsdl') {
-        if (typeof self.log === 'function') {
-          self.log('info', 'Wants the WSDL');
+    function respond(statusCode, headers, result) {
+      res.statusCode = statusCode;
+      for (var name in headers) {
+        if (headers[name] !== undefined) {
+          res.setHeader(name, headers[name]);
         }
-        res.setHeader('Content-Type', 'application/xml');
-        res.write(self.wsdl.toXML());
+      }
+      if (result !== undefined) {
+        res.write(result);
       }
       res.end();
+    }
+
+    if (req.method === 'GET') {
+      self.dispatch(req, null, respond);
     } else if (req.method === 'POST') {
-      res.setHeader('Content-Type', req.headers['content-type']);
       var chunks = [], gunzip;
       if (compress && req.headers['content-encoding'] === 'gzip') {
         gunzip = new compress.Gunzip();
@@ -93,37 +123,12 @@ class Server extends Base {
         chunks.push(chunk);
       });
       req.on('end', function() {
-        var xml = chunks.join('');
-        var result;
-        var error;
+        var body = gunzip ? chunks.join('') : Buffer.concat(chunks);
         if (gunzip) {
           gunzip.end();
           gunzip = null;
         }
-        try {
-          if (typeof self.log === 'function') {
-            self.log('received', xml);
-          }
-          self._process(xml, req, function(result, statusCode) {
-            if (statusCode) {
-              res.statusCode = statusCode;
-            }
-            res.write(result);
-            res.end();
-            if (typeof self.log === 'function') {
-              self.log('replied', result);
-            }
-          });
-        }
-        catch (err) {
-          error = err.stack || err;
-          res.statusCode = 500;
-          res.write(error);
-          res.end();
-          if (typeof self.log === 'function') {
-            self.log('error', error);
-          }
-        }
+        self.dispatch(req, body, respond);
       });
     }
     else {
@@ -131,10 +136,106 @@ class Server extends Base {
     }
   };
 
+  /**
+   * Handle a request whose body is read, independently of the connection it
+   * came on. `GET` requests get the WSDL or the metrics, `POST` requests are
+   * processed as SOAP messages.
+   * @param {Object} req The request: an `http.IncomingMessage`, or an object
+   * with the `method`, `url` and lower-cased `headers` of the request
+   * @param {Buffer|String} [body] The body of a `POST` request
+   * @param {Function} callback Called with the `(statusCode, headers, body)`
+   * of the response
+   */
+  dispatch(req, body, callback) {
+    var self = this;
+    var reqParse = url.parse(req.url);
+    var reqPath = reqParse.pathname;
+    var reqQuery = reqParse.search;
+
+    if (req.method === 'GET') {
+      if (reqQuery && reqQuery.toLowerCase() === '?wsdl') {
+        if (typeof self.log === 'function') {
+          self.log('info', 'Wants the WSDL');
+        }
+        return callback(200, {'Content-Type': 'application/xml'},
+          self.wsdl.toXML());
+      } else if (self.metrics && reqQuery === '?metrics') {
+        return callback(200,
+          {'Content-Type': 'text/plain; version=0.0.4; charset=utf-8'},
+          self.stats.toPrometheus('soap_server'));
+      }
+      return callback(200, {});
+    }
+
+    var exchange = {
+      started: process.hrtime(),
+      operation: undefined,
+      fault: null,
+      trace: diagnostics.start('server', {
+        endpoint: reqPath,
+        soapAction: req.headers.soapaction &&
+          req.headers.soapaction.replace(/^"|"$/g, '')
+      })
+    };
+    var trace = exchange.trace;
+    exchanges.set(req, exchange);
+    var headers = {'Content-Type': req.headers['content-type']};
+    var xml;
+    var error;
+    try {
+      if (Buffer.isBuffer(body) && multipart.isMultipart(req.headers)) {
+        // SOAP with attachments or MTOM, the envelope is the root part
+        var message = multipart.parse(body, req.headers['content-type']);
+        xml = message.root.body.toString('utf8');
+        req.attachments = message.parts;
+        headers['Content-Type'] = soapContentType(message.root);
+      } else {
+        xml = body.toString();
+      }
+      if (typeof self.log === 'function') {
+        self.log('received', xml);
+      }
+      trace.set({requestBytes: Buffer.byteLength(xml)});
+      trace.mark('network');
+      self._process(xml, req, function(result, statusCode, contentType) {
+        statusCode = statusCode || 200;
+        if (contentType) {
+          headers['Content-Type'] = contentType;
+        }
+        callback(statusCode, headers, result);
+        trace.mark('serialize');
+        trace.set({statusCode: statusCode});
+        if (typeof result === 'string') {
+          trace.set({responseBytes: Buffer.byteLength(result)});
+        }
+        trace.end();
+        self.stats.record(exchange.operation || UNKNOWN_OPERATION,
+          exchange.fault ? Stats.Outcome.fault : Stats.Outcome.ok,
+          Stats.since(exchange.started));
+        if (typeof self.log === 'function') {
+          self.log('replied', result);
+        }
+      });
+    }
+    catch (err) {
+      error = err.stack || err;
+      callback(500, headers, error);
+      trace.set({statusCode: 500});
+      trace.end(err);
+      self.stats.record(exchange.operation || UNKNOWN_OPERATION,
+        Stats.Outcome.transportError, Stats.since(exchange.started));
+      if (typeof self.log === 'function') {
+        self.log('error', error);
+      }
+    }
+  }
+
   _process(input, req, callback) {
+    var included = [];
     var self = this,
       pathname = url.parse(req.url).pathname.replace(/\/$/, ''),
-      obj = this.xmlHandler.xmlToJson(null, input),
+      obj = this.xmlHandler.xmlToJson(null, input, null,
+        multipart.xopResolver(req.attachments, included)),
       body = obj.Body,
       headers = obj.Header,
       bindings = this.wsdl.definitions.bindings, binding,
@@ -143,6 +244,11 @@ class Server extends Base {
       includeTimestamp = obj.Header && obj.Header.Security &&
         obj.Header.Security.Timestamp;
 
+    if (req.attachments) {
+      // The parts included with XOP are in the arguments
+      req.attachments = _.difference(req.attachments, included);
+    }
+
     if (typeof self.authenticate === 'function') {
       if (!obj.Header || !obj.Header.Security) {
         throw new Error(g.f('No security header'));
@@ -168,6 +274,10 @@ class Server extends Base {
         for (name in ports) {
           portName = name;
           var port = ports[portName];
+          if (port.binding.verb) {
+            // http:binding, not for SOAP messages
+            continue;
+          }
           var portPathname = url.parse(port.location).pathname.replace(/\/$/, '');
 
           if (typeof self.log === 'function') {
@@ -190,9 +300,15 @@ class Server extends Base {
       throw new Error(g.f('Failed to bind to {{WSDL}}'));
     }
 
+    // WS-Addressing, the action identifies the operation
+    var requestAddressing = addressing.readHeaders(headers);
+    var actionOperation = requestAddressing && requestAddressing.action &&
+      addressing.findOperation(binding, requestAddressing.action);
+
     try {
       if (binding.style === 'rpc') {
-        operationName = Object.keys(body)[0];
+        var wrapperName = Object.keys(body)[0];
+        operationName = actionOperation ? actionOperation.$name : wrapperName;
 
         self.emit('request', obj, operationName);
         if (headers)
@@ -203,8 +319,9 @@ class Server extends Base {
           portName: portName,
           operationName: operationName,
           outputName: operationName + 'Response',
-          args: body[operationName],
+          args: body[wrapperName],
           headers: headers,
+          addressing: requestAddressing,
           style: 'rpc'
         }, req, callback);
       } else { //document style
@@ -219,7 +336,8 @@ class Server extends Base {
           var inputParts = operations[name].input.message.parts;
           //find the first part of the input message. There could be more than one parts in input message.
           var firstInPart = inputParts[Object.keys(inputParts)[0]];
-          if(firstInPart.element.$name === messageElemName) {
+          if (actionOperation ? operations[name] === actionOperation :
+            firstInPart.element.$name === messageElemName) {
             operationName = operations[name].$name;
             if (operations[name].output != null) {
               var outPart = operations[name].output.message.parts;
@@ -242,13 +360,16 @@ class Server extends Base {
           outputName: outputName,
           args: body[messageElemName],
           headers: headers,
+          addressing: requestAddressing,
           style: 'document',
           includeTimestamp: includeTimestamp
         }, req, callback);
       }
     } catch (error) {
       if (error.Fault !== undefined) {
-        return self._sendError(operations[name], error, callback, includeTimestamp);
+        failExchange(req, error);
+        return self._sendError(operations[name], error, callback, includeTimestamp,
+          replyHeaders(requestAddressing, addressing.FAULT_ACTION));
       }
       //Revisit - is this needed?
       throw error;
@@ -266,7 +387,9 @@ class Server extends Base {
       args = options.args,
       style = options.style,
       includeTimestamp = options.includeTimestamp,
-      handled = false;
+      handled = false,
+      exchange = exchangeOf(req),
+      trace = exchange.trace;
 
     try {
       operation = this.services[serviceName][portName][operationName];
@@ -282,13 +405,16 @@ class Server extends Base {
       if (handled)
         return;
       handled = true;
+      trace.mark('handler');
 
       var operation  = self.wsdl.definitions.services[serviceName]
         .ports[portName].binding.operations[operationName];
 
 
       if (error && error.Fault !== undefined) {
-        return self._sendError(operation, error, callback, includeTimestamp);
+        failExchange(req, error);
+        return self._sendError(operation, error, callback, includeTimestamp,
+          replyHeaders(options.addressing, addressing.FAULT_ACTION));
       }
       else if (result === undefined) {
         // Backward compatibility to support one argument callback style
@@ -316,19 +442,42 @@ class Server extends Base {
       var envelope = XMLHandler.createSOAPEnvelope(soapNsPrefix, soapNsURI);
 
 
-      self.xmlHandler.jsonToXml(envelope.body, nsContext, outputBodyDescriptor, result);
+      var parts = [];
+      if (self.mtom) {
+        parts = self.xmlHandler.jsonToXmlOptimized(envelope.body, nsContext,
+          outputBodyDescriptor, result, self.mtom.threshold);
+      } else {
+        self.xmlHandler.jsonToXml(envelope.body, nsContext, outputBodyDescriptor, result);
+      }
 
-      self._envelope(envelope, includeTimestamp);
+      self._envelope(envelope, includeTimestamp,
+        replyHeaders(options.addressing, addressing.outputAction(operation)));
       var message = envelope.body.toString({pretty: true});
       var xml = envelope.doc.end({pretty: true});
 
       debug('Server handleResult. xml: %s ', xml);
+      if (parts.length) {
+        trace.set({responseBytes: Buffer.byteLength(xml)});
+        var xop = multipart.createXopMessage(xml, parts,
+          operation.soapVersion === '1.2' ? 'application/soap+xml' : 'text/xml');
+        return callback(xop.body, undefined, xop.contentType);
+      }
       callback(xml);
 
     }
 
-    if (!self.wsdl.definitions.services[serviceName].ports[portName]
-        .binding.operations[operationName].output) {
+    var bindingOperation = self.wsdl.definitions.services[serviceName]
+      .ports[portName].binding.operations[operationName];
+    exchange.operation = operationName;
+    trace.set({
+      operation: operationName,
+      service: serviceName,
+      port: portName,
+      soapVersion: bindingOperation.soapVersion === '1.2' ? '1.2' : '1.1'
+    });
+    trace.mark('parse');
+
+    if (!bindingOperation.output) {
       // no output defined = one-way operation so return empty response
       handled = true;
       callback('');
@@ -363,12 +512,15 @@ class Server extends Base {
 
   }
 
-  _envelope(env, includeTimestamp) {
+  _envelope(env, includeTimestamp, addressingHeaders) {
     env = env || XMLHandler.createSOAPEnvelope();
 
     if (includeTimestamp) {
       this._addWSSecurityHeader(env.header);
     }
+    if (addressingHeaders) {
+      addressing.addHeaders(env.header, addressingHeaders);
+    }
 
     var soapHeaderElement = env.header;
     //add soapHeaders to envelope. Header can be xml, or JSON object which may or may not be described in WSDL/XSD.
@@ -376,7 +528,7 @@ class Server extends Base {
     return env;
   };
 
-  _sendError(operation, error, callback, includeTimestamp) {
+  _sendError(operation, error, callback, includeTimestamp, addressingHeaders) {
     var self = this,
       fault;
 
@@ -416,7 +568,7 @@ class Server extends Base {
     //serialize Fault object into XML as per faultDescriptor
     this.xmlHandler.jsonToXml(envelope.body, nsContext, faultDescriptor, error.Fault);
 
-    self._envelope(envelope, includeTimestamp);
+    self._envelope(envelope, includeTimestamp, addressingHeaders);
     var message = envelope.body.toString({pretty: true});
     var xml = envelope.doc.end({pretty: true});
 
@@ -425,4 +577,47 @@ class Server extends Base {
   }
 }
 
+/**
+ * The state of a request being processed
+ */
+function exchangeOf(req) {
+  return exchanges.get(req) || {trace: diagnostics.NOOP_TRACE};
+}
+
+/**
+ * Record the fault sent back for a request
+ */
+function failExchange(req, fault) {
+  var exchange = exchangeOf(req);
+  exchange.fault = fault;
+  exchange.trace.fail(fault);
+}
+
+/**
+ * The WS-Addressing headers of the reply to a request, the reply is sent back
+ * on the connection of the request
+ * @param {Object} [request] The WS-Addressing headers of the request
+ * @param {String} [action] The action of the reply
+ * @returns {Object|null}
+ */
+function replyHeaders(request, action) {
+  if (!request) return null;
+  return _.omitBy({
+    action: action,
+    messageID: addressing.messageId(),
+    relatesTo: request.messageID
+  }, _.isUndefined);
+}
+
+/**
+ * The content type of the SOAP envelope of a multipart message
+ */
+function soapContentType(root) {
+  var type = multipart.parseContentType(root.headers['content-type']);
+  if (type.type === 'application/xop+xml') {
+    return (type.params.type || 'text/xml') + '; charset=utf-8';
+  }
+  return root.headers['content-type'] || 'text/xml; charset=utf-8';
+}
+
 module.exports = Server;
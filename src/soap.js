@@ -7,10 +7,24 @@
 
 var Client = require('./client'),
   Server = require('./server'),
+  ReplyListener = require('./replyListener'),
   HttpClient = require('./http'),
+  Transport = require('./transport'),
+  InProcessTransport = require('./inProcessTransport'),
+  NativeHttpClient = require('./nativeHttp'),
   security = require('./security'),
+  errors = require('./errors'),
+  RetryPolicy = require('./retry'),
+  CircuitBreaker = require('./circuitBreaker'),
+  FailoverGroup = require('./failover'),
+  ResponseStream = require('./responseStream'),
+  ResponseCache = require('./cache'),
+  ConcurrencyLimiter = require('./concurrency'),
+  Stats = require('./stats'),
   passwordDigest = require('./utils').passwordDigest,
   parser = require('./parser/index'),
+  typescript = require('./typescript'),
+  jsonSchema = require('./jsonSchema'),
   openWSDL = parser.WSDL.open,
   debug = require('debug')('strong-soap:soap');
 
@@ -85,10 +99,31 @@ exports.passwordDigest = passwordDigest;
 exports.listen = listen;
 exports.WSDL = parser.WSDL;
 exports.XMLHandler = parser.XMLHandler;
+exports.generateTypeScript = typescript.generate;
+exports.generateJSONSchema = jsonSchema.generate;
 exports.NamespaceContext = parser.NamespaceContext;
 exports.QName = parser.QName;
+exports.AbortError = errors.AbortError;
+exports.TimeoutError = errors.TimeoutError;
+exports.RetryPolicy = RetryPolicy;
+exports.CircuitOpenError = errors.CircuitOpenError;
+exports.CircuitBreaker = CircuitBreaker;
+exports.FailoverGroup = FailoverGroup;
+exports.ResponseStream = ResponseStream;
+exports.ResponseCache = ResponseCache;
+exports.MemoryStore = ResponseCache.MemoryStore;
+exports.ConcurrencyLimiter = ConcurrencyLimiter;
+exports.QueueFullError = errors.QueueFullError;
+exports.QueueTimeoutError = errors.QueueTimeoutError;
+exports.ReplyTimeoutError = errors.ReplyTimeoutError;
+exports.SOAPFault = errors.SOAPFault;
+exports.Stats = Stats;
 
 // Export Client and Server to allow customization
 exports.Server = Server;
+exports.ReplyListener = ReplyListener;
 exports.Client = Client;
 exports.HttpClient = HttpClient;
+exports.NativeHttpClient = NativeHttpClient;
+exports.Transport = Transport;
+exports.InProcessTransport = InProcessTransport;
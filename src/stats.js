@@ -0,0 +1,207 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var _ = require('lodash');
+
+var DEFAULTS = {
+  // Upper bounds of the latency histogram buckets, in milliseconds
+  buckets: [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000],
+  // Number of recent latencies percentiles are computed from
+  sampleSize: 1024
+};
+
+var Outcome = {
+  ok: 'ok',
+  fault: 'fault',
+  transportError: 'transportError'
+};
+
+/**
+ * Counters and latencies of the calls of one operation
+ */
+class OperationStats {
+  constructor(options) {
+    this.options = options;
+    this.calls = 0;
+    this.faults = 0;
+    this.transportErrors = 0;
+    this.sum = 0;
+    this.min = Infinity;
+    this.max = 0;
+    // Non cumulative counts, the last one is the +Inf bucket
+    this.bucketCounts = _.fill(new Array(options.buckets.length + 1), 0);
+    this.samples = [];
+    this.next = 0;
+  }
+
+  record(outcome, duration) {
+    this.calls++;
+    if (outcome === Outcome.fault) {
+      this.faults++;
+    } else if (outcome === Outcome.transportError) {
+      this.transportErrors++;
+    }
+    this.sum += duration;
+    this.min = Math.min(this.min, duration);
+    this.max = Math.max(this.max, duration);
+    this.bucketCounts[_.sortedIndex(this.options.buckets, duration)]++;
+    // Ring buffer of the recent latencies
+    this.samples[this.next] = duration;
+    this.next = (this.next + 1) % this.options.sampleSize;
+  }
+
+  snapshot() {
+    var sorted = this.samples.slice().sort(function(a, b) {
+      return a - b;
+    });
+    var count = 0;
+    var buckets = this.options.buckets.map(function(le, i) {
+      count += this.bucketCounts[i];
+      return {le: le, count: count};
+    }, this);
+    buckets.push({le: '+Inf', count: this.calls});
+    return {
+      calls: this.calls,
+      faults: this.faults,
+      transportErrors: this.transportErrors,
+      latency: {
+        count: this.calls,
+        sum: this.sum,
+        min: this.calls ? this.min : 0,
+        max: this.max,
+        mean: this.calls ? this.sum / this.calls : 0,
+        p50: percentile(sorted, 0.5),
+        p95: percentile(sorted, 0.95),
+        p99: percentile(sorted, 0.99),
+        buckets: buckets
+      }
+    };
+  }
+}
+
+/**
+ * Per operation call counters and latency histograms of a client or a server
+ *
+ * @param {Object} [options] Options object
+ * @param {Number[]} [options.buckets] Upper bounds in ms of the latency
+ * histogram buckets
+ * @param {Number} [options.sampleSize=1024] Number of recent latencies of an
+ * operation the percentiles are computed from
+ *
+ * @constructor
+ */
+class Stats {
+  constructor(options) {
+    this.options = _.defaults({}, options, DEFAULTS);
+    this.options.buckets = _.sortBy(this.options.buckets);
+    this.operations = {};
+  }
+
+  /**
+   * Record a completed call
+   * @param {String} operation The operation name
+   * @param {String} outcome `ok`, `fault` or `transportError`
+   * @param {Number} duration The duration of the call in ms
+   */
+  record(operation, outcome, duration) {
+    var stats = this.operations[operation];
+    if (!stats) {
+      stats = this.operations[operation] = new OperationStats(this.options);
+    }
+    stats.record(outcome, duration);
+  }
+
+  /**
+   * Compute the time elapsed since a `process.hrtime()`
+   * @param {Array} started The start time
+   * @returns {Number} The duration in ms
+   */
+  static since(started) {
+    var elapsed = process.hrtime(started);
+    return elapsed[0] * 1e3 + elapsed[1] / 1e6;
+  }
+
+  /**
+   * Get the statistics of the operations
+   * @returns {Object} The statistics keyed by operation name, with the
+   * `calls`, `faults` and `transportErrors` counters and the `latency` in ms
+   */
+  snapshot() {
+    return _.mapValues(this.operations, function(stats) {
+      return stats.snapshot();
+    });
+  }
+
+  /**
+   * Discard all the statistics
+   */
+  reset() {
+    this.operations = {};
+  }
+
+  /**
+   * Format the statistics in the Prometheus text exposition format
+   * @param {String} prefix The prefix of the metric names, such as
+   * `soap_client`
+   * @returns {String}
+   */
+  toPrometheus(prefix) {
+    var operations = this.snapshot();
+    var names = Object.keys(operations).sort();
+    var lines = [];
+
+    function counter(name, help, field) {
+      lines.push('# HELP ' + prefix + '_' + name + ' ' + help);
+      lines.push('# TYPE ' + prefix + '_' + name + ' counter');
+      names.forEach(function(operation) {
+        lines.push(prefix + '_' + name + labels({operation: operation}) + ' ' +
+          operations[operation][field]);
+      });
+    }
+
+    counter('calls_total', 'Completed calls.', 'calls');
+    counter('faults_total', 'Calls that ended with a SOAP fault.', 'faults');
+    counter('transport_errors_total', 'Calls that failed without a SOAP fault.',
+      'transportErrors');
+
+    var histogram = prefix + '_duration_seconds';
+    lines.push('# HELP ' + histogram + ' Duration of the calls in seconds.');
+    lines.push('# TYPE ' + histogram + ' histogram');
+    names.forEach(function(operation) {
+      var latency = operations[operation].latency;
+      latency.buckets.forEach(function(bucket) {
+        var le = bucket.le === '+Inf' ? '+Inf' : String(bucket.le / 1000);
+        lines.push(histogram + '_bucket' +
+          labels({operation: operation, le: le}) + ' ' + bucket.count);
+      });
+      lines.push(histogram + '_sum' + labels({operation: operation}) + ' ' +
+        latency.sum / 1000);
+      lines.push(histogram + '_count' + labels({operation: operation}) + ' ' +
+        latency.count);
+    });
+    return lines.join('\n') + '\n';
+  }
+}
+
+/**
+ * Nearest-rank percentile of sorted values
+ */
+function percentile(sorted, p) {
+  if (!sorted.length) return 0;
+  return sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)];
+}
+
+function labels(values) {
+  return '{' + _.map(values, function(value, name) {
+    return name + '="' + String(value).replace(/\\/g, '\\\\')
+      .replace(/\n/g, '\\n').replace(/"/g, '\\"') + '"';
+  }).join(',') + '}';
+}
+
+Stats.Outcome = Outcome;
+
+module.exports = Stats;
@@ -0,0 +1,57 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var g = require('./globalize');
+
+/**
+ * Base class of the transports carrying the SOAP messages of a client. A
+ * transport implements `request()`, and optionally `requestStream()` to hand
+ * over the response body as a stream. The `HttpClient` sends the messages over
+ * HTTP.
+ *
+ * @param {Object} [options] Options object
+ *
+ * @constructor
+ */
+class Transport {
+  constructor(options) {
+    this.options = options || {};
+  }
+
+  /**
+   * Send a message and receive the response
+   * @param {String} rurl The endpoint url
+   * @param {String|stream.Readable} data The message, `null` to get the
+   * resource at the url such as a WSDL
+   * @param {Function} callback Called with (err, res, body), `res` having the
+   * `statusCode`, the lower-cased `headers` and the MIME `attachments` of the
+   * response, and `body` being the SOAP envelope
+   * @param {Object} [exheaders] Extra headers
+   * @param {Object} [exoptions] Extra options, such as the `attachments` of
+   * the message
+   * @returns {Object} The request, the client aborts it with its `abort()` or
+   * `destroy()` method when the call is cancelled
+   */
+  request(rurl, data, callback, exheaders, exoptions) {
+    var err = new Error(g.f('The transport does not implement {{request}}'));
+    process.nextTick(function() {
+      callback(err);
+    });
+    return null;
+  }
+
+  /**
+   * Check if an object can be used as a transport
+   * @param {*} transport The object
+   * @returns {Boolean}
+   */
+  static isTransport(transport) {
+    return transport != null && typeof transport.request === 'function';
+  }
+}
+
+module.exports = Transport;
@@ -0,0 +1,258 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var helper = require('./parser/helper');
+var DescriptorWalker = require('./descriptorWalker');
+
+// Names that are not available to the generated declarations
+var RESERVED = ['any', 'Array', 'boolean', 'Date', 'never', 'null', 'number',
+  'object', 'Object', 'Promise', 'string', 'undefined', 'unknown', 'void',
+  'SoapCallback', 'SoapCallOptions', 'SoapHeaders', 'SoapResponse'];
+
+var PREAMBLE = [
+  'export type SoapCallOptions = {[option: string]: any};',
+  '',
+  'export type SoapHeaders = {[name: string]: string};',
+  '',
+  'export interface SoapCallback<T> {',
+  '  (err: any, result: T, envelope: string, soapHeader: any): void;',
+  '}',
+  '',
+  'export interface SoapResponse<T> {',
+  '  result: T;',
+  '  envelope: string;',
+  '  soapHeader: any;',
+  '  [key: string]: any;',
+  '}'
+];
+
+/**
+ * Generate TypeScript declarations for a loaded WSDL:
+ *
+ * - an interface for each complex type, and for each global element with an
+ * anonymous complex type
+ * - a type for each simple type, the union of its enumeration if any
+ * - an interface for each port with the signatures of its methods, for each
+ * service with its ports, and for the client with its services and methods
+ *
+ * @param {WSDL} wsdl The WSDL, such as `client.wsdl`
+ * @param {Object} [options]
+ * @param {String} [options.clientName] The name of the client interface,
+ * `Client` by default
+ * @returns {String} The content of a `.d.ts` file
+ */
+function generate(wsdl, options) {
+  options = options || {};
+  var generator = new Generator(wsdl.definitions);
+  return generator.generate(wsdl, options.clientName || 'Client');
+}
+
+class Generator extends DescriptorWalker {
+  constructor(definitions) {
+    super(definitions, RESERVED);
+    // Declared names of the object types of the operations
+    this.aliases = {};
+    this.declarations = [];
+  }
+
+  generate(wsdl, clientName) {
+    var lines = ['// Generated by strong-soap from ' + (wsdl.uri || 'a WSDL') +
+      ', do not edit', ''].concat(PREAMBLE);
+    var declarations = this.declarations;
+
+    this.walkTypes(function(name, type, isSimple) {
+      declarations.push([isSimple ?
+        'export type ' + name + ' = ' + type + ';' :
+        'export interface ' + name + ' ' + type]);
+    }, '');
+
+    // Services, ports and the client
+    var client = ['export interface ' + this.declare(clientName, '') + ' {'];
+    var shortcuts = {};
+    var services = wsdl.services || this.definitions.services;
+    for (let serviceName in services) {
+      let service = services[serviceName];
+      let serviceLines = [];
+      for (let portName in service.ports) {
+        let binding = service.ports[portName].binding;
+        let portInterface = this.declare(serviceName + portName, 'Port');
+        declarations.push(this.port(portInterface, binding));
+        serviceLines.push('  ' + property(portName) + ': ' + portInterface + ';');
+        for (let name in binding.operations) {
+          // The top-level methods of the client are those of SOAP bindings
+          if (!binding.verb || !shortcuts[name]) {
+            shortcuts[name] = portInterface;
+          }
+        }
+      }
+      let serviceInterface = this.declare(serviceName, 'Service');
+      declarations.push(['export interface ' + serviceInterface + ' {']
+        .concat(serviceLines, '}'));
+      client.push('  ' + property(serviceName) + ': ' + serviceInterface + ';');
+    }
+    for (let name in shortcuts) {
+      // The services of the client hide the operations of the same name
+      if (services[name]) continue;
+      client.push('  ' + property(name) + ': ' + shortcuts[name] + '[' +
+        JSON.stringify(name) + '];');
+    }
+    client.push('  [member: string]: any;', '}');
+    declarations.push(client);
+
+    declarations.forEach(function(declaration) {
+      lines.push('');
+      lines.push.apply(lines, declaration);
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  identifier(name) {
+    var base = String(name).replace(/[^\w$]/g, '_');
+    return /^\d/.test(base) ? '_' + base : base;
+  }
+
+  port(name, binding) {
+    var lines = ['export interface ' + name + ' {'];
+    for (let operationName in binding.operations) {
+      let types = this.operation(binding.operations[operationName], '');
+      let input = this.alias(operationName + 'Input', types.input);
+      let output = this.alias(operationName + 'Output', types.output);
+      let method = '  ' + property(operationName);
+      let args = '(args: ' + input;
+      let callback = 'callback: SoapCallback<' + output + '>';
+      lines.push(
+        method + args + ', ' + callback +
+          ', options?: SoapCallOptions, extraHeaders?: SoapHeaders): void;',
+        method + args + ', options: SoapCallOptions, ' + callback + '): void;',
+        method + args + ', options: SoapCallOptions, ' +
+          'extraHeaders: SoapHeaders, ' + callback + '): void;',
+        method + '(args?: ' + input +
+          ', options?: SoapCallOptions, extraHeaders?: SoapHeaders): ' +
+          'Promise<SoapResponse<' + output + '>>;');
+    }
+    lines.push('}');
+    return lines;
+  }
+
+  /**
+   * Declare an object type, once for the same types
+   * @param {String} name The name for the type
+   * @param {String} type The type
+   * @returns {String} The name of the type, or the type if not an object
+   */
+  alias(name, type) {
+    if (type[0] !== '{' || type === '{}') return type;
+    if (!this.aliases[type]) {
+      this.aliases[type] = this.declare(name, '');
+      this.declarations.push(['export type ' + this.aliases[type] + ' = ' +
+        type + ';']);
+    }
+    return this.aliases[type];
+  }
+
+  builtin(name) {
+    return builtinType(name);
+  }
+
+  jsType(type) {
+    return jsType(type);
+  }
+
+  reference(name) {
+    return name;
+  }
+
+  any() {
+    return 'any';
+  }
+
+  /**
+   * The object type of the child elements and attributes of a complex type
+   * @param {TypeDescriptor} descriptor
+   * @param {String} indent
+   * @returns {String}
+   */
+  object(descriptor, indent) {
+    var self = this;
+    if (!descriptor) return 'any';
+    var inner = indent + '  ';
+    var lines = ['{'];
+    var value = this.simpleContent(descriptor);
+    if (value !== undefined) {
+      lines.push(inner + '$value?: ' + value + ';');
+    }
+    this.elementsOf(descriptor).forEach(function(element) {
+      var type = self.content(element, inner);
+      if (element.isMany) {
+        type = /^[\w$]+$/.test(type) ? type + '[]' : 'Array<' + type + '>';
+      }
+      if (element.isNillable) {
+        type += ' | null';
+      }
+      lines.push(inner + property(element.qname.name) +
+        (element.isOptional ? '?: ' : ': ') + type + ';');
+    });
+    var attributes = this.attributesOf(descriptor);
+    if (attributes.length) {
+      lines.push(inner + '$attributes?: {');
+      attributes.forEach(function(attribute) {
+        lines.push(inner + '  ' + property(attribute.qname.name) + '?: ' +
+          self.attributeType(attribute) + ';');
+      });
+      lines.push(inner + '};');
+    }
+    if (lines.length === 1) return '{}';
+    lines.push(indent + '}');
+    return lines.join('\n');
+  }
+
+  /**
+   * The union of the enumeration values, or else the base type. Values of
+   * simple types other than the XML schema ones are parsed as strings.
+   */
+  restriction(restriction) {
+    if (restriction.enumeration) {
+      return restriction.enumeration.map(function(value) {
+        return JSON.stringify(value);
+      }).join(' | ');
+    }
+    if (restriction.base) {
+      let base = this.simpleType(restriction.base, false);
+      return base === 'string' || this.isDeclared(restriction.base) ?
+        base : base + ' | string';
+    }
+    return 'string';
+  }
+
+  union(members) {
+    return members.join(' | ');
+  }
+}
+
+function builtinType(name) {
+  return name in helper.schemaTypes ? jsType(helper.schemaTypes[name]) : 'any';
+}
+
+function jsType(type) {
+  switch (type) {
+    case Number:
+      return 'number';
+    case Boolean:
+      return 'boolean';
+    case Date:
+      // date values are kept as strings
+      return 'Date | string';
+    default:
+      return 'string';
+  }
+}
+
+function property(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+exports.generate = generate;
@@ -0,0 +1,245 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var soap = require('..').soap,
+  http = require('http'),
+  assert = require('assert');
+
+describe('Client response cache', function() {
+  var server = null;
+  var hostname = '127.0.0.1';
+  var baseUrl;
+  var calls = 0;
+  var status = 200;
+
+  before(function(done) {
+    server = http.createServer(function(req, res) {
+      req.resume();
+      req.on('end', function() {
+        calls++;
+        res.statusCode = status;
+        if (status !== 200) {
+          return res.end();
+        }
+        res.end('<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/" ' +
+          'xmlns:r="http://example.com/report"><soap:Body><r:GetReportResponse>' +
+          '<r:title>call ' + calls + '</r:title><r:total>' + calls + '</r:total>' +
+          '</r:GetReportResponse></soap:Body></soap:Envelope>');
+      });
+    }).listen(0, hostname, function() {
+      baseUrl = 'http://' + hostname + ':' + server.address().port;
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  beforeEach(function() {
+    calls = 0;
+    status = 200;
+  });
+
+  function createClient(options, cb) {
+    soap.createClient(__dirname + '/wsdl/streaming_report.wsdl', options, cb,
+      baseUrl);
+  }
+
+  it('should serve repeated calls from the cache', function(done) {
+    createClient({cache: {operations: ['GetReport']}}, function(err, client) {
+      assert.ifError(err);
+      var events = [];
+      client.on('cacheMiss', function(info) {
+        events.push('miss ' + info.operation);
+      });
+      client.on('cacheHit', function(info) {
+        events.push('hit ' + info.operation);
+        assert.equal(info.endpoint, baseUrl);
+      });
+      client.GetReport({name: 'sales'}).then(function(res) {
+        assert.equal(res.result.title, 'call 1');
+        return client.GetReport({name: 'sales'});
+      }).then(function(res) {
+        assert.equal(res.result.title, 'call 1');
+        assert.ok(res.envelope.indexOf('call 1') !== -1);
+        return client.GetReport({name: 'costs'});
+      }).then(function(res) {
+        assert.equal(res.result.title, 'call 2');
+        assert.equal(calls, 2);
+        assert.deepEqual(events, ['miss GetReport', 'hit GetReport',
+          'miss GetReport']);
+        done();
+      }).catch(done);
+    });
+  });
+
+  it('should only cache the configured operations', function(done) {
+    createClient({cache: {operations: ['UploadRows']}}, function(err, client) {
+      assert.ifError(err);
+      client.GetReport({name: 'sales'}).then(function() {
+        return client.GetReport({name: 'sales'});
+      }).then(function(res) {
+        assert.equal(res.result.title, 'call 2');
+        done();
+      }).catch(done);
+    });
+  });
+
+  it('should expire results after their time to live', function(done) {
+    createClient({cache: {operations: {GetReport: 30}}}, function(err, client) {
+      assert.ifError(err);
+      client.GetReport({name: 'sales'}, function(err) {
+        assert.ifError(err);
+        setTimeout(function() {
+          client.GetReport({name: 'sales'}, function(err, result) {
+            assert.ifError(err);
+            assert.equal(result.title, 'call 2');
+            done();
+          });
+        }, 60);
+      });
+    });
+  });
+
+  it('should not cache errors', function(done) {
+    status = 503;
+    createClient({cache: {operations: ['GetReport']}}, function(err, client) {
+      assert.ifError(err);
+      client.GetReport({name: 'sales'}, function(err) {
+        assert.ok(err);
+        status = 200;
+        client.GetReport({name: 'sales'}, function(err, result) {
+          assert.ifError(err);
+          assert.equal(result.title, 'call 2');
+          done();
+        });
+      });
+    });
+  });
+
+  it('should skip the cache with the cache call option', function(done) {
+    createClient({cache: {operations: ['GetReport']}}, function(err, client) {
+      assert.ifError(err);
+      client.GetReport({name: 'sales'}).then(function() {
+        return client.GetReport({name: 'sales'}, {cache: false});
+      }).then(function(res) {
+        assert.equal(res.result.title, 'call 2');
+        done();
+      }).catch(done);
+    });
+  });
+
+  it('should not share results between calls with different headers', function(done) {
+    createClient({cache: {operations: ['GetReport']}}, function(err, client) {
+      assert.ifError(err);
+      client.GetReport({name: 'sales'}, {}, {'X-Tenant': 'a'}).then(function(res) {
+        assert.equal(res.result.title, 'call 1');
+        return client.GetReport({name: 'sales'}, {}, {'X-Tenant': 'b'});
+      }).then(function(res) {
+        assert.equal(res.result.title, 'call 2');
+        return client.GetReport({name: 'sales'}, {}, {'X-Tenant': 'a'});
+      }).then(function(res) {
+        assert.equal(res.result.title, 'call 1');
+        client.addSoapHeader('<t:Tenant xmlns:t="urn:tenant">c</t:Tenant>');
+        return client.GetReport({name: 'sales'}, {}, {'X-Tenant': 'a'});
+      }).then(function(res) {
+        assert.equal(res.result.title, 'call 3');
+        assert.equal(calls, 3);
+        done();
+      }).catch(done);
+    });
+  });
+
+  it('should return copies of the cached results', function(done) {
+    createClient({cache: {operations: ['GetReport']}}, function(err, client) {
+      assert.ifError(err);
+      client.GetReport({name: 'sales'}).then(function(res) {
+        res.result.title = 'changed';
+        return client.GetReport({name: 'sales'});
+      }).then(function(res) {
+        assert.equal(res.result.title, 'call 1');
+        return new Promise(function(resolve, reject) {
+          client.clearCache(function(err) {
+            return err ? reject(err) : resolve();
+          });
+        });
+      }).then(function() {
+        return client.GetReport({name: 'sales'});
+      }).then(function(res) {
+        assert.equal(res.result.title, 'call 2');
+        done();
+      }).catch(done);
+    });
+  });
+
+  it('should use a custom store', function(done) {
+    var entries = {};
+    var store = {
+      get: function(key, cb) {
+        setImmediate(cb, null, entries[key] && entries[key].value);
+      },
+      set: function(key, value, ttl, cb) {
+        entries[key] = {value: value, ttl: ttl};
+        setImmediate(cb, null);
+      }
+    };
+    createClient({cache: {operations: {GetReport: 5000}, store: store}},
+      function(err, client) {
+        assert.ifError(err);
+        client.GetReport({name: 'sales'}).then(function() {
+          var keys = Object.keys(entries);
+          assert.equal(keys.length, 1);
+          assert.equal(entries[keys[0]].ttl, 5000);
+          return client.GetReport({name: 'sales'});
+        }).then(function(res) {
+          assert.equal(res.result.title, 'call 1');
+          assert.equal(calls, 1);
+          done();
+        }).catch(done);
+      });
+  });
+
+  describe('ResponseCache', function() {
+    it('should compute keys regardless of the order of properties', function() {
+      var cache = new soap.ResponseCache();
+      var key = cache.key('http://a', '{urn:x}Op', {a: 1, b: {c: [1, 2], d: 'x'}});
+      assert.equal(key, cache.key('http://a', '{urn:x}Op',
+        {b: {d: 'x', c: [1, 2]}, a: 1}));
+      assert.notEqual(key, cache.key('http://b', '{urn:x}Op',
+        {a: 1, b: {c: [1, 2], d: 'x'}}));
+      assert.notEqual(key, cache.key('http://a', '{urn:x}Op',
+        {a: 1, b: {c: [2, 1], d: 'x'}}));
+    });
+
+    it('should reject invalid stores', function() {
+      assert.throws(function() {
+        new soap.ResponseCache({store: {}});
+      }, /A cache store must have get and set methods/);
+    });
+  });
+
+  describe('MemoryStore', function() {
+    it('should evict the least recently used entries', function() {
+      var store = new soap.MemoryStore({maxEntries: 2});
+      var value = function(key) {
+        var result;
+        store.get(key, function(err, value) {
+          result = value;
+        });
+        return result;
+      };
+      store.set('a', 1, 1000);
+      store.set('b', 2, 1000);
+      assert.equal(value('a'), 1);
+      store.set('c', 3, 1000);
+      assert.equal(value('b'), undefined);
+      assert.equal(value('a'), 1);
+      assert.equal(value('c'), 3);
+    });
+  });
+});
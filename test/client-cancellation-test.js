@@ -0,0 +1,123 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var soap = require('..').soap,
+  http = require('http'),
+  assert = require('assert');
+
+describe('Client cancellation and call timeouts', function() {
+  var server = null;
+  var hostname = '127.0.0.1';
+  var baseUrl;
+  var openRequests = 0;
+  var closedRequests = 0;
+  var rawBody = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">' +
+    '<soap:Body><Response>temp response</Response></soap:Body></soap:Envelope>';
+
+  before(function(done) {
+    server = http.createServer(function(req, res) {
+      openRequests++;
+      req.on('close', function() {
+        closedRequests++;
+      });
+      var delay = Number(req.headers['x-delay'] || 0);
+      setTimeout(function() {
+        if (res.writableEnded || req.destroyed) return;
+        res.statusCode = 200;
+        res.end(rawBody);
+      }, delay);
+    }).listen(0, hostname, function() {
+      baseUrl = 'http://' + hostname + ':' + server.address().port;
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  function createClient(options, cb) {
+    soap.createClient(__dirname + '/wsdl/default_namespace.wsdl', options,
+      cb, baseUrl);
+  }
+
+  it('should complete when the call finishes within callTimeout', function(done) {
+    createClient({}, function(err, client) {
+      assert.ifError(err);
+      client.MyOperation({}, {callTimeout: 2000}).then(function(res) {
+        assert.ok(res.result);
+        done();
+      }).catch(done);
+    });
+  });
+
+  it('should reject with a TimeoutError when callTimeout elapses', function(done) {
+    createClient({}, function(err, client) {
+      assert.ifError(err);
+      var closedBefore = closedRequests;
+      client.MyOperation({}, {callTimeout: 50}, {'x-delay': 1000})
+        .then(function() {
+          done(new Error('should have timed out'));
+        }, function(err) {
+          assert.ok(err instanceof soap.TimeoutError);
+          assert.equal(err.code, 'ETIMEDOUT');
+          assert.equal(err.timeout, 50);
+          // the underlying request must have been torn down
+          setTimeout(function() {
+            assert.equal(closedRequests, closedBefore + 1);
+            done();
+          }, 100);
+        }).catch(done);
+    });
+  });
+
+  it('should use the callTimeout client option as a default', function(done) {
+    createClient({callTimeout: 50}, function(err, client) {
+      assert.ifError(err);
+      client.MyOperation({}, function(err) {
+        assert.ok(err instanceof soap.TimeoutError);
+        done();
+      }, null, {'x-delay': 1000});
+    });
+  });
+
+  it('should reject with an AbortError when the signal is aborted', function(done) {
+    createClient({}, function(err, client) {
+      assert.ifError(err);
+      var controller = new AbortController();
+      var called = 0;
+      client.MyOperation({}, function(err) {
+        called++;
+        assert.ok(err instanceof soap.AbortError);
+        assert.equal(err.code, 'ABORT_ERR');
+        // the callback must not be called again when the socket closes
+        setTimeout(function() {
+          assert.equal(called, 1);
+          done();
+        }, 100);
+      }, {signal: controller.signal}, {'x-delay': 1000});
+      setTimeout(function() {
+        controller.abort();
+      }, 20);
+    });
+  });
+
+  it('should not send a request when the signal is already aborted', function(done) {
+    createClient({}, function(err, client) {
+      assert.ifError(err);
+      var controller = new AbortController();
+      controller.abort();
+      var requestsBefore = openRequests;
+      client.MyOperation({}, {signal: controller.signal}).catch(function(err) {
+        assert.ok(err instanceof soap.AbortError);
+        assert.equal(openRequests, requestsBefore);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,265 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var soap = require('..').soap,
+  CircuitBreaker = soap.CircuitBreaker,
+  http = require('http'),
+  assert = require('assert');
+
+describe('Client circuit breaker', function() {
+  var server = null;
+  var hostname = '127.0.0.1';
+  var baseUrl;
+  var requests = 0;
+  var responses = [];
+  var okBody = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">' +
+    '<soap:Body><Response>temp response</Response></soap:Body></soap:Envelope>';
+  var faultBody = '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">' +
+    '<soap:Body><soap:Fault><faultcode>soap:Client</faultcode>' +
+    '<faultstring>bad input</faultstring></soap:Fault></soap:Body></soap:Envelope>';
+
+  before(function(done) {
+    server = http.createServer(function(req, res) {
+      requests++;
+      var next = responses.shift() || {status: 200, body: okBody};
+      setTimeout(function() {
+        if (req.destroyed) return;
+        res.statusCode = next.status;
+        res.end(next.body || '');
+      }, next.delay || 0);
+    }).listen(0, hostname, function() {
+      baseUrl = 'http://' + hostname + ':' + server.address().port;
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  beforeEach(function() {
+    requests = 0;
+    responses = [];
+  });
+
+  function createClient(options, cb) {
+    soap.createClient(__dirname + '/wsdl/default_namespace.wsdl', options,
+      cb, baseUrl);
+  }
+
+  function call(client) {
+    return client.MyOperation({}).then(function() {
+      return null;
+    }, function(err) {
+      return err;
+    });
+  }
+
+  it('should open after the failure threshold and fail fast', function(done) {
+    responses = [{status: 503}, {status: 503}];
+    createClient({circuitBreaker: {failureThreshold: 2}}, function(err, client) {
+      assert.ifError(err);
+      var changes = [];
+      client.on('circuitStateChange', function(info) {
+        changes.push(info);
+      });
+      call(client).then(function(err) {
+        assert.equal(err.response.statusCode, 503);
+        assert.equal(client.getCircuitBreaker(baseUrl).state, 'closed');
+        return call(client);
+      }).then(function(err) {
+        assert.equal(err.response.statusCode, 503);
+        assert.equal(changes.length, 1);
+        assert.equal(changes[0].endpoint, baseUrl);
+        assert.equal(changes[0].state, 'open');
+        assert.equal(changes[0].previousState, 'closed');
+        return call(client);
+      }).then(function(err) {
+        assert.ok(err instanceof soap.CircuitOpenError);
+        assert.equal(err.code, 'ECIRCUITOPEN');
+        assert.equal(err.endpoint, baseUrl);
+        assert.ok(err.retryAfter > 0);
+        assert.equal(requests, 2);
+        done();
+      }).catch(done);
+    });
+  });
+
+  it('should close again after a successful trial call', function(done) {
+    responses = [{status: 503}];
+    createClient({circuitBreaker: {failureThreshold: 1, cooldown: 20}},
+      function(err, client) {
+        assert.ifError(err);
+        var states = [];
+        client.on('circuitStateChange', function(info) {
+          states.push(info.state);
+        });
+        call(client).then(function(err) {
+          assert.ok(err);
+          return new Promise(function(resolve) {
+            setTimeout(resolve, 30);
+          });
+        }).then(function() {
+          return call(client);
+        }).then(function(err) {
+          assert.ifError(err);
+          assert.deepEqual(states, ['open', 'half-open', 'closed']);
+          done();
+        }).catch(done);
+      });
+  });
+
+  it('should reopen when the trial call fails', function(done) {
+    responses = [{status: 503}, {status: 502}];
+    createClient({circuitBreaker: {failureThreshold: 1, cooldown: 20}},
+      function(err, client) {
+        assert.ifError(err);
+        var states = [];
+        client.on('circuitStateChange', function(info) {
+          states.push(info.state);
+        });
+        call(client).then(function() {
+          return new Promise(function(resolve) {
+            setTimeout(resolve, 30);
+          });
+        }).then(function() {
+          return call(client);
+        }).then(function(err) {
+          assert.equal(err.response.statusCode, 502);
+          assert.deepEqual(states, ['open', 'half-open', 'open']);
+          return call(client);
+        }).then(function(err) {
+          assert.ok(err instanceof soap.CircuitOpenError);
+          assert.equal(requests, 2);
+          done();
+        }).catch(done);
+      });
+  });
+
+  it('should count calls reaching their callTimeout as failures', function(done) {
+    responses = [{status: 200, body: okBody, delay: 200}];
+    createClient({circuitBreaker: {failureThreshold: 1}, callTimeout: 50},
+      function(err, client) {
+        assert.ifError(err);
+        call(client).then(function(err) {
+          assert.ok(err instanceof soap.TimeoutError);
+          assert.equal(client.getCircuitBreaker(baseUrl).state, 'open');
+          done();
+        }).catch(done);
+      });
+  });
+
+  it('should not count SOAP faults as failures', function(done) {
+    responses = [{status: 500, body: faultBody}, {status: 500, body: faultBody}];
+    createClient({circuitBreaker: {failureThreshold: 1}}, function(err, client) {
+      assert.ifError(err);
+      call(client).then(function(err) {
+        assert.ok(err.root);
+        return call(client);
+      }).then(function(err) {
+        assert.ok(err.root);
+        assert.equal(client.getCircuitBreaker(baseUrl).state, 'closed');
+        assert.equal(requests, 2);
+        done();
+      }).catch(done);
+    });
+  });
+
+  it('should not retry calls rejected by an open circuit', function(done) {
+    responses = [{status: 503}, {status: 503}, {status: 503}];
+    createClient({
+      retry: {maxAttempts: 3, minDelay: 1},
+      circuitBreaker: {failureThreshold: 2}
+    }, function(err, client) {
+      assert.ifError(err);
+      var retries = 0;
+      client.on('retry', function() {
+        retries++;
+      });
+      call(client).then(function(err) {
+        assert.ok(err instanceof soap.CircuitOpenError);
+        assert.equal(requests, 2);
+        assert.equal(retries, 2);
+        done();
+      }).catch(done);
+    });
+  });
+
+  it('should keep a breaker per endpoint', function(done) {
+    createClient({circuitBreaker: {}}, function(err, client) {
+      assert.ifError(err);
+      var a = client.getCircuitBreaker('http://a.example.com/');
+      assert.strictEqual(a, client.getCircuitBreaker('http://a.example.com/'));
+      assert.notStrictEqual(a, client.getCircuitBreaker('http://b.example.com/'));
+      assert.equal(a.options.failureThreshold, 5);
+      done();
+    });
+  });
+
+  describe('CircuitBreaker', function() {
+    it('should limit concurrent trial calls while half-open', function() {
+      var breaker = new CircuitBreaker('http://x', {
+        failureThreshold: 1,
+        cooldown: 0,
+        halfOpenMaxCalls: 1
+      });
+      breaker.record(new Error('down'));
+      assert.equal(breaker.state, 'open');
+      assert.ok(breaker.allow());
+      assert.equal(breaker.state, 'half-open');
+      assert.ok(!breaker.allow());
+      breaker.record();
+      assert.equal(breaker.state, 'closed');
+      assert.ok(breaker.allow());
+    });
+
+    it('should release the trial slot of an aborted call', function() {
+      var breaker = new CircuitBreaker('http://x', {
+        failureThreshold: 1,
+        cooldown: 0
+      });
+      breaker.record(new Error('down'));
+      assert.ok(breaker.allow());
+      assert.equal(breaker.state, 'half-open');
+      breaker.record(new soap.AbortError());
+      assert.equal(breaker.state, 'half-open');
+      assert.ok(breaker.allow());
+      breaker.record(new soap.CircuitOpenError('http://y', 10));
+      assert.equal(breaker.state, 'half-open');
+      assert.ok(breaker.allow());
+    });
+
+    it('should not reset the failures on aborted calls', function() {
+      var breaker = new CircuitBreaker('http://x', {failureThreshold: 2});
+      var refused = new Error('connect ECONNREFUSED');
+      refused.code = 'ECONNREFUSED';
+      breaker.record(refused);
+      breaker.record(new soap.AbortError());
+      assert.equal(breaker.failures, 1);
+      assert.equal(breaker.state, 'closed');
+      breaker.record(refused);
+      assert.equal(breaker.state, 'open');
+    });
+
+    it('should use a custom failure predicate', function() {
+      var breaker = new CircuitBreaker('http://x', {
+        failureThreshold: 1,
+        isFailure: function(err) {
+          return err.code === 'EFATAL';
+        }
+      });
+      breaker.record(new Error('ignored'));
+      assert.equal(breaker.state, 'closed');
+      var err = new Error('fatal');
+      err.code = 'EFATAL';
+      breaker.record(err);
+      assert.equal(breaker.state, 'open');
+    });
+  });
+});
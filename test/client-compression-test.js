@@ -0,0 +1,257 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var soap = require('..').soap,
+  http = require('http'),
+  zlib = require('zlib'),
+  assert = require('assert');
+
+describe('Client compression', function() {
+  var server = null;
+  var hostname = '127.0.0.1';
+  var baseUrl;
+  var lastRequest = null;
+  var responseEncoding = null;
+  var okBody = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">' +
+    '<soap:Body><Response>temp response</Response></soap:Body></soap:Envelope>';
+  var reportBody = '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/" ' +
+    'xmlns:r="http://example.com/report"><soap:Body><r:GetReportResponse>' +
+    '<r:title>Sales</r:title><r:row><r:id>1</r:id></r:row><r:row><r:id>2</r:id></r:row>' +
+    '<r:total>2</r:total></r:GetReportResponse></soap:Body></soap:Envelope>';
+
+  var decoders = {
+    gzip: zlib.gunzipSync,
+    deflate: zlib.inflateSync,
+    br: zlib.brotliDecompressSync
+  };
+  var encoders = {
+    gzip: zlib.gzipSync,
+    deflate: zlib.deflateSync,
+    br: zlib.brotliCompressSync
+  };
+
+  before(function(done) {
+    server = http.createServer(function(req, res) {
+      var chunks = [];
+      req.on('data', function(chunk) {
+        chunks.push(chunk);
+      });
+      req.on('end', function() {
+        var raw = Buffer.concat(chunks);
+        var encoding = req.headers['content-encoding'];
+        lastRequest = {
+          headers: req.headers,
+          size: raw.length,
+          body: (encoding ? decoders[encoding](raw) : raw).toString()
+        };
+        var body = req.url === '/report' ? reportBody : okBody;
+        if (responseEncoding) {
+          res.setHeader('Content-Encoding', responseEncoding);
+          body = encoders[responseEncoding](Buffer.from(body));
+        }
+        res.end(body);
+      });
+    }).listen(0, hostname, function() {
+      baseUrl = 'http://' + hostname + ':' + server.address().port;
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  beforeEach(function() {
+    lastRequest = null;
+    responseEncoding = null;
+  });
+
+  function createClient(options, cb, wsdl, path) {
+    soap.createClient(__dirname + '/wsdl/' + (wsdl || 'default_namespace.wsdl'),
+      options, cb, baseUrl + (path || '/'));
+  }
+
+  // Large enough to pass the default threshold of 1024 bytes
+  var args = {Request: new Array(200).join('verbose xml ')};
+
+  ['gzip', 'deflate', 'br'].forEach(function(encoding) {
+    it('should compress requests with ' + encoding, function(done) {
+      createClient({compression: {encoding: encoding}}, function(err, client) {
+        assert.ifError(err);
+        client.MyOperation(args, function(err, result) {
+          assert.ifError(err);
+          assert.equal(lastRequest.headers['content-encoding'], encoding);
+          assert.equal(lastRequest.body, client.lastRequest);
+          assert.ok(lastRequest.size < client.lastRequest.length / 5);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should not compress requests below the threshold', function(done) {
+    createClient({compression: {threshold: 100000}}, function(err, client) {
+      assert.ifError(err);
+      client.MyOperation(args, function(err) {
+        assert.ifError(err);
+        assert.equal(lastRequest.headers['content-encoding'], undefined);
+        assert.equal(lastRequest.body, client.lastRequest);
+        done();
+      });
+    });
+  });
+
+  ['gzip', 'deflate', 'br'].forEach(function(encoding) {
+    it('should decompress ' + encoding + ' responses', function(done) {
+      responseEncoding = encoding;
+      createClient({compression: true}, function(err, client) {
+        assert.ifError(err);
+        client.MyOperation({}, function(err, result, body) {
+          assert.ifError(err);
+          assert.equal(lastRequest.headers['accept-encoding'], 'gzip, deflate, br');
+          assert.equal(body, okBody);
+          assert.equal(client.lastResponse, okBody);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should only decompress when enabled', function(done) {
+    createClient({compression: {decompress: false}}, function(err, client) {
+      assert.ifError(err);
+      client.MyOperation(args, function(err) {
+        assert.ifError(err);
+        assert.equal(lastRequest.headers['accept-encoding'], 'none');
+        assert.equal(lastRequest.headers['content-encoding'], 'gzip');
+        done();
+      });
+    });
+  });
+
+  it('should leave requests untouched without the option', function(done) {
+    createClient({}, function(err, client) {
+      assert.ifError(err);
+      client.MyOperation(args, function(err) {
+        assert.ifError(err);
+        assert.equal(lastRequest.headers['accept-encoding'], 'none');
+        assert.equal(lastRequest.headers['content-encoding'], undefined);
+        done();
+      });
+    });
+  });
+
+  it('should compress and decompress with the NativeHttpClient', function(done) {
+    responseEncoding = 'br';
+    var httpClient = new soap.NativeHttpClient({compression: true});
+    createClient({httpClient: httpClient}, function(err, client) {
+      assert.ifError(err);
+      client.MyOperation(args, function(err, result, body) {
+        assert.ifError(err);
+        assert.equal(lastRequest.headers['content-encoding'], 'gzip');
+        assert.equal(lastRequest.body, client.lastRequest);
+        assert.equal(body, okBody);
+        httpClient.destroy();
+        done();
+      });
+    });
+  });
+
+  it('should hand decoded text to handleResponse', function(done) {
+    responseEncoding = 'gzip';
+    var bodies = [];
+    class TextClient extends soap.HttpClient {
+      handleResponse(req, res, body) {
+        bodies.push(body);
+        return super.handleResponse(req, res, body);
+      }
+    }
+    class NativeTextClient extends soap.NativeHttpClient {
+      handleResponse(req, res, body) {
+        bodies.push(body);
+        return super.handleResponse(req, res, body);
+      }
+    }
+    var httpClient = new TextClient({compression: true});
+    var nativeClient = new NativeTextClient({compression: true});
+    createClient({httpClient: httpClient}, function(err, client) {
+      assert.ifError(err);
+      client.MyOperation({}, function(err) {
+        assert.ifError(err);
+        createClient({httpClient: nativeClient}, function(err, client) {
+          assert.ifError(err);
+          client.MyOperation({}, function(err) {
+            assert.ifError(err);
+            nativeClient.destroy();
+            assert.deepEqual(bodies, [okBody, okBody]);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should keep the raw body with the encoding option', function(done) {
+    var bodies = [];
+    class RawClient extends soap.HttpClient {
+      handleResponse(req, res, body) {
+        bodies.push(body);
+        return body.toString('utf8');
+      }
+    }
+    createClient({httpClient: new RawClient({})}, function(err, client) {
+      assert.ifError(err);
+      client.MyOperation({}, function(err, result) {
+        assert.ifError(err);
+        assert.ok(Buffer.isBuffer(bodies[0]));
+        assert.equal(bodies[0].toString('utf8'), okBody);
+        done();
+      }, {encoding: null});
+    });
+  });
+
+  it('should decompress streamed responses', function(done) {
+    responseEncoding = 'gzip';
+    createClient({compression: true}, function(err, client) {
+      assert.ifError(err);
+      var ids = [];
+      var records = client.GetReport.stream({name: 'sales'});
+      records.on('data', function(record) {
+        ids.push(record.value.id);
+      });
+      records.on('error', done);
+      records.on('end', function() {
+        assert.deepEqual(ids, [1, 2]);
+        assert.equal(records.result.total, 2);
+        done();
+      });
+    }, 'streaming_report.wsdl', '/report');
+  });
+
+  it('should compress streamed requests', function(done) {
+    async function* rows() {
+      yield {id: 1};
+      yield {id: 2};
+    }
+    createClient({compression: {threshold: 1e9}}, function(err, client) {
+      assert.ifError(err);
+      client.UploadRows({batch: 'b', row: rows()}, function(err) {
+        // the server answers with a report, only the request matters here
+        assert.equal(lastRequest.headers['content-encoding'], 'gzip');
+        assert.equal((lastRequest.body.match(/<\w+:row>/g) || []).length, 2);
+        done();
+      });
+    }, 'streaming_report.wsdl', '/report');
+  });
+
+  it('should reject unknown encodings', function() {
+    assert.throws(function() {
+      new soap.HttpClient({compression: {encoding: 'lzma'}});
+    }, /Unsupported compression encoding: lzma/);
+  });
+});
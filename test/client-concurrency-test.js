@@ -0,0 +1,212 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var soap = require('..').soap,
+  http = require('http'),
+  assert = require('assert');
+
+describe('Client concurrency limiting', function() {
+  var server = null;
+  var hostname = '127.0.0.1';
+  var baseUrl;
+  var active = 0;
+  var maxActive = 0;
+  var received = [];
+  var delay = 30;
+  var status = 200;
+
+  before(function(done) {
+    server = http.createServer(function(req, res) {
+      var body = '';
+      req.on('data', function(chunk) {
+        body += chunk;
+      });
+      req.on('end', function() {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        received.push(body);
+        setTimeout(function() {
+          active--;
+          res.statusCode = status;
+          if (status !== 200) {
+            return res.end();
+          }
+          if (body.indexOf('UploadRows') !== -1) {
+            return res.end('<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/" ' +
+              'xmlns:r="http://example.com/report"><soap:Body><r:UploadRowsResponse>' +
+              '<r:count>1</r:count></r:UploadRowsResponse></soap:Body></soap:Envelope>');
+          }
+          res.end('<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/" ' +
+            'xmlns:r="http://example.com/report"><soap:Body><r:GetReportResponse>' +
+            '<r:title>Sales</r:title><r:total>1</r:total>' +
+            '</r:GetReportResponse></soap:Body></soap:Envelope>');
+        }, delay);
+      });
+    }).listen(0, hostname, function() {
+      baseUrl = 'http://' + hostname + ':' + server.address().port;
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  beforeEach(function() {
+    active = 0;
+    maxActive = 0;
+    received = [];
+    delay = 30;
+    status = 200;
+  });
+
+  function createClient(options, cb) {
+    soap.createClient(__dirname + '/wsdl/streaming_report.wsdl', options, cb,
+      baseUrl);
+  }
+
+  function settle(promise) {
+    return promise.then(function(res) {
+      return {result: res.result};
+    }, function(err) {
+      return {error: err};
+    });
+  }
+
+  it('should limit the calls in flight and queue the others', function(done) {
+    createClient({maxConcurrent: 2}, function(err, client) {
+      assert.ifError(err);
+      var queued = 0;
+      var dequeued = [];
+      client.on('queued', function(info) {
+        queued++;
+        assert.equal(info.operation, 'GetReport');
+        assert.equal(info.active, 2);
+        assert.equal(info.queueLength, queued);
+      });
+      client.on('dequeued', function(info) {
+        dequeued.push(info.waited);
+      });
+      var calls = [];
+      for (var i = 0; i < 5; i++) {
+        calls.push(client.GetReport({name: 'report' + i}));
+      }
+      Promise.all(calls).then(function(results) {
+        assert.equal(results.length, 5);
+        assert.equal(maxActive, 2);
+        assert.equal(queued, 3);
+        assert.equal(dequeued.length, 3);
+        assert.ok(dequeued[2] >= 40);
+        // the queue is first in, first out
+        assert.ok(received[2].indexOf('report2') !== -1);
+        assert.ok(received[4].indexOf('report4') !== -1);
+        done();
+      }).catch(done);
+    });
+  });
+
+  it('should limit single operations', function(done) {
+    createClient({maxConcurrent: {operations: {GetReport: 1}}},
+      function(err, client) {
+        assert.ifError(err);
+        var calls = [
+          client.GetReport({name: 'a'}),
+          client.GetReport({name: 'b'}),
+          client.UploadRows({batch: 'c', row: [{id: 1}]}),
+          client.UploadRows({batch: 'd', row: [{id: 2}]})
+        ];
+        // both uploads are sent next to the first report
+        setTimeout(function() {
+          assert.equal(active, 3);
+        }, 20);
+        Promise.all(calls).then(function() {
+          assert.equal(maxActive, 3);
+          assert.ok(received[3].indexOf('GetReport') !== -1);
+          done();
+        }).catch(done);
+      });
+  });
+
+  it('should fail calls when the queue is full', function(done) {
+    createClient({maxConcurrent: {limit: 1, maxQueue: 1}}, function(err, client) {
+      assert.ifError(err);
+      Promise.all([
+        settle(client.GetReport({name: 'a'})),
+        settle(client.GetReport({name: 'b'})),
+        settle(client.GetReport({name: 'c'}))
+      ]).then(function(results) {
+        assert.ok(results[0].result);
+        assert.ok(results[1].result);
+        assert.ok(results[2].error instanceof soap.QueueFullError);
+        assert.equal(results[2].error.code, 'EQUEUEFULL');
+        assert.equal(received.length, 2);
+        done();
+      }).catch(done);
+    });
+  });
+
+  it('should fail calls waiting longer than the queue timeout', function(done) {
+    delay = 100;
+    createClient({maxConcurrent: {limit: 1, queueTimeout: 30}},
+      function(err, client) {
+        assert.ifError(err);
+        Promise.all([
+          settle(client.GetReport({name: 'a'})),
+          settle(client.GetReport({name: 'b'}))
+        ]).then(function(results) {
+          assert.ok(results[0].result);
+          assert.ok(results[1].error instanceof soap.QueueTimeoutError);
+          assert.equal(results[1].error.timeout, 30);
+          assert.equal(received.length, 1);
+          done();
+        }).catch(done);
+      });
+  });
+
+  it('should remove aborted calls from the queue', function(done) {
+    createClient({maxConcurrent: 1}, function(err, client) {
+      assert.ifError(err);
+      var controller = new AbortController();
+      var first = settle(client.GetReport({name: 'a'}));
+      var second = settle(client.GetReport({name: 'b'}, {signal: controller.signal}));
+      var third = settle(client.GetReport({name: 'c'}));
+      controller.abort();
+      Promise.all([first, second, third]).then(function(results) {
+        assert.ok(results[0].result);
+        assert.ok(results[1].error instanceof soap.AbortError);
+        assert.ok(results[2].result);
+        assert.equal(received.length, 2);
+        assert.equal(client.concurrencyLimiter.active, 0);
+        done();
+      }).catch(done);
+    });
+  });
+
+  it('should release the slot of failed calls', function(done) {
+    status = 503;
+    createClient({maxConcurrent: 1}, function(err, client) {
+      assert.ifError(err);
+      Promise.all([
+        settle(client.GetReport({name: 'a'})),
+        settle(client.GetReport({name: 'b'}))
+      ]).then(function(results) {
+        assert.ok(results[0].error);
+        assert.ok(results[1].error);
+        assert.equal(received.length, 2);
+        assert.equal(client.concurrencyLimiter.active, 0);
+        assert.equal(client.concurrencyLimiter.queue.length, 0);
+        done();
+      }).catch(done);
+    });
+  });
+
+  it('should reject invalid limits', function() {
+    assert.throws(function() {
+      new soap.ConcurrencyLimiter({limit: 0});
+    }, /The concurrency limit must be a positive number/);
+  });
+});
@@ -0,0 +1,226 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var fs = require('fs'),
+  soap = require('..').soap,
+  WSDL = soap.WSDL,
+  FailoverGroup = soap.FailoverGroup,
+  http = require('http'),
+  assert = require('assert');
+
+describe('Client failover', function() {
+  var server = null;
+  var hostname = '127.0.0.1';
+  var baseUrl;
+  var deadUrl;
+  var paths = [];
+  var okBody = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">' +
+    '<soap:Body><Response>temp response</Response></soap:Body></soap:Envelope>';
+
+  before(function(done) {
+    server = http.createServer(function(req, res) {
+      paths.push(req.url);
+      res.statusCode = req.url === '/unavailable' ? 503 : 200;
+      res.end(res.statusCode === 200 ? okBody : '');
+    }).listen(0, hostname, function() {
+      baseUrl = 'http://' + hostname + ':' + server.address().port;
+      var closed = http.createServer().listen(0, hostname, function() {
+        deadUrl = 'http://' + hostname + ':' + closed.address().port + '/dead';
+        closed.close(done);
+      });
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  beforeEach(function() {
+    paths = [];
+  });
+
+  // default_namespace.wsdl with a primary and a secondary port for the binding
+  function loadWsdl(primary, secondary, cb) {
+    var contents = fs.readFileSync(__dirname + '/wsdl/default_namespace.wsdl',
+      'utf8');
+    contents = contents.replace(/<wsdl:service[\s\S]*<\/wsdl:service>/,
+      '<wsdl:service name="MyService">' +
+      '<wsdl:port name="Primary" binding="MyServiceBinding">' +
+      '<soap:address location="' + primary + '"/></wsdl:port>' +
+      '<wsdl:port name="Secondary" binding="MyServiceBinding">' +
+      '<soap:address location="' + secondary + '"/></wsdl:port>' +
+      '</wsdl:service>');
+    new WSDL(contents, undefined, {}).load(cb);
+  }
+
+  it('should fail over to an equivalent port on connection errors', function(done) {
+    loadWsdl(deadUrl, baseUrl + '/secondary', function(err, wsdl) {
+      assert.ifError(err);
+      var client = new soap.Client(wsdl, undefined, {failover: true});
+      var events = [];
+      client.on('failover', function(info) {
+        events.push(info);
+      });
+      client.MyService.Primary.MyOperation({}, function(err, result) {
+        assert.ifError(err);
+        assert.deepEqual(paths, ['/secondary']);
+        assert.equal(client.lastEndpoint, baseUrl + '/secondary');
+        assert.equal(events.length, 1);
+        assert.equal(events[0].operation, 'MyOperation');
+        assert.equal(events[0].from, deadUrl);
+        assert.equal(events[0].to, baseUrl + '/secondary');
+        assert.equal(events[0].error.code, 'ECONNREFUSED');
+        done();
+      });
+    });
+  });
+
+  it('should start with the port that is called', function(done) {
+    loadWsdl(baseUrl + '/primary', baseUrl + '/secondary', function(err, wsdl) {
+      assert.ifError(err);
+      var client = new soap.Client(wsdl, undefined, {failover: true});
+      client.MyService.Secondary.MyOperation({}).then(function() {
+        return client.MyService.Primary.MyOperation({});
+      }).then(function() {
+        assert.deepEqual(paths, ['/secondary', '/primary']);
+        done();
+      }).catch(done);
+    });
+  });
+
+  it('should not fail over on http errors', function(done) {
+    loadWsdl(baseUrl + '/unavailable', baseUrl + '/secondary', function(err, wsdl) {
+      assert.ifError(err);
+      var client = new soap.Client(wsdl, undefined, {failover: true});
+      client.MyService.Primary.MyOperation({}, function(err) {
+        assert.ok(err);
+        assert.equal(err.response.statusCode, 503);
+        assert.deepEqual(paths, ['/unavailable']);
+        done();
+      });
+    });
+  });
+
+  it('should keep ports independent without the failover option', function(done) {
+    loadWsdl(deadUrl, baseUrl + '/secondary', function(err, wsdl) {
+      assert.ifError(err);
+      var client = new soap.Client(wsdl, undefined, {});
+      client.MyService.Primary.MyOperation({}, function(err) {
+        assert.ok(err);
+        assert.equal(err.code, 'ECONNREFUSED');
+        assert.deepEqual(paths, []);
+        done();
+      });
+    });
+  });
+
+  it('should skip endpoints with an open circuit', function(done) {
+    loadWsdl(deadUrl, baseUrl + '/secondary', function(err, wsdl) {
+      assert.ifError(err);
+      var client = new soap.Client(wsdl, undefined, {
+        failover: true,
+        circuitBreaker: {failureThreshold: 1}
+      });
+      var errorCodes = [];
+      client.on('failover', function(info) {
+        errorCodes.push(info.error.code);
+      });
+      client.MyService.Primary.MyOperation({}).then(function() {
+        return client.MyService.Primary.MyOperation({});
+      }).then(function() {
+        assert.deepEqual(errorCodes, ['ECONNREFUSED', 'ECIRCUITOPEN']);
+        assert.equal(client.getCircuitBreaker(deadUrl).state, 'open');
+        done();
+      }).catch(done);
+    });
+  });
+
+  it('should rotate user supplied endpoints with round-robin', function(done) {
+    soap.createClient(__dirname + '/wsdl/default_namespace.wsdl', {
+      failover: {
+        strategy: 'round-robin',
+        endpoints: [baseUrl + '/a', baseUrl + '/b', deadUrl]
+      }
+    }, function(err, client) {
+      assert.ifError(err);
+      client.MyOperation({}).then(function() {
+        return client.MyOperation({});
+      }).then(function() {
+        return client.MyOperation({});
+      }).then(function() {
+        // the third call starts with the dead endpoint and falls back to /a
+        assert.deepEqual(paths, ['/a', '/b', '/a']);
+        done();
+      }).catch(done);
+    });
+  });
+
+  it('should accept a list of endpoints in setEndpoint', function(done) {
+    soap.createClient(__dirname + '/wsdl/default_namespace.wsdl', {},
+      function(err, client) {
+        assert.ifError(err);
+        client.setEndpoint([deadUrl, baseUrl + '/backup']);
+        client.MyOperation({}, function(err) {
+          assert.ifError(err);
+          assert.deepEqual(paths, ['/backup']);
+          done();
+        });
+      });
+  });
+
+  it('should retry across the whole group', function(done) {
+    soap.createClient(__dirname + '/wsdl/default_namespace.wsdl', {
+      retry: {minDelay: 1, maxAttempts: 2},
+      failover: {endpoints: [deadUrl, deadUrl + '2']}
+    }, function(err, client) {
+      assert.ifError(err);
+      var failovers = 0;
+      var retries = 0;
+      client.on('failover', function() {
+        failovers++;
+      });
+      client.on('retry', function() {
+        retries++;
+      });
+      client.MyOperation({}, function(err) {
+        assert.equal(err.code, 'ECONNREFUSED');
+        assert.equal(failovers, 2);
+        assert.equal(retries, 1);
+        done();
+      });
+    });
+  });
+
+  describe('FailoverGroup', function() {
+    it('should reject unknown strategies', function() {
+      assert.throws(function() {
+        new FailoverGroup(['http://a', 'http://b'], {strategy: 'random'});
+      }, /Invalid failover strategy: random/);
+    });
+
+    it('should order candidates by strategy', function() {
+      var priority = new FailoverGroup(['http://a', 'http://b', 'http://a']);
+      assert.deepEqual(priority.locations, ['http://a', 'http://b']);
+      assert.deepEqual(priority.candidates(), ['http://a', 'http://b']);
+      assert.deepEqual(priority.candidates(), ['http://a', 'http://b']);
+      var rr = new FailoverGroup(['http://a', 'http://b', 'http://c'],
+        {strategy: 'round-robin'});
+      assert.deepEqual(rr.candidates(), ['http://a', 'http://b', 'http://c']);
+      assert.deepEqual(rr.candidates(), ['http://b', 'http://c', 'http://a']);
+      assert.deepEqual(rr.candidates(), ['http://c', 'http://a', 'http://b']);
+    });
+
+    it('should not fail over timed out calls', function() {
+      var group = new FailoverGroup(['http://a', 'http://b']);
+      var err = new Error('connect timeout');
+      err.code = 'ETIMEDOUT';
+      assert.ok(group.shouldFailover(err));
+      assert.ok(!group.shouldFailover(new soap.TimeoutError(100)));
+    });
+  });
+});
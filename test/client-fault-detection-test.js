@@ -0,0 +1,154 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var soap = require('..').soap,
+  http = require('http'),
+  assert = require('assert');
+
+describe('Client fault detection', function() {
+  var server = null;
+  var hostname = '127.0.0.1';
+  var baseUrl;
+  var statusCode;
+  var responseBody;
+
+  before(function(done) {
+    server = http.createServer(function(req, res) {
+      req.resume();
+      req.on('end', function() {
+        res.statusCode = statusCode;
+        res.end(responseBody);
+      });
+    }).listen(0, hostname, function() {
+      baseUrl = 'http://' + hostname + ':' + server.address().port;
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  function call(wsdl, cb) {
+    soap.createClient(__dirname + '/wsdl/strict/' + wsdl, {}, function(err, client) {
+      assert.ifError(err);
+      client.myMethod({x: 1, y: 2}, cb);
+    }, baseUrl);
+  }
+
+  it('should detect faults with any envelope prefix', function(done) {
+    statusCode = 500;
+    responseBody = '<env:Envelope xmlns:env="http://schemas.xmlsoap.org/soap/envelope/">' +
+      '<env:Body><env:Fault>' +
+      '<faultcode>env:Client</faultcode>' +
+      '<faultstring>Invalid x</faultstring>' +
+      '<detail><myMethodFault1 xmlns="http://example.com/doc_literal_wrapped_test.xsd">' +
+      '<errorMessage1>Too small</errorMessage1><value1>1</value1>' +
+      '</myMethodFault1></detail>' +
+      '</env:Fault></env:Body></env:Envelope>';
+    call('doc_literal_wrapped_test.wsdl', function(err) {
+      assert.ok(err instanceof soap.SOAPFault);
+      assert.equal(err.code, 'env:Client');
+      assert.equal(err.faultName, 'myMethodFault1');
+      assert.deepEqual(err.faultDetail, {errorMessage1: 'Too small', value1: 1});
+      done();
+    });
+  });
+
+  it('should detect faults declaring the envelope namespace', function(done) {
+    statusCode = 500;
+    responseBody = '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">' +
+      '<soap:Body><S:Fault xmlns:S="http://schemas.xmlsoap.org/soap/envelope/">' +
+      '<faultcode>S:Server</faultcode>' +
+      '<faultstring>Unavailable</faultstring>' +
+      '</S:Fault></soap:Body></soap:Envelope>';
+    call('doc_literal_wrapped_test.wsdl', function(err) {
+      assert.ok(err instanceof soap.SOAPFault);
+      assert.equal(err.code, 'S:Server');
+      assert.equal(err.reason, 'Unavailable');
+      done();
+    });
+  });
+
+  it('should detect SOAP 1.2 faults sent with a 400 status', function(done) {
+    statusCode = 400;
+    responseBody = '<env:Envelope xmlns:env="http://www.w3.org/2003/05/soap-envelope">' +
+      '<env:Body><env:Fault>' +
+      '<env:Code><env:Value>env:Sender</env:Value></env:Code>' +
+      '<env:Reason><env:Text xml:lang="en">Invalid x</env:Text></env:Reason>' +
+      '</env:Fault></env:Body></env:Envelope>';
+    call('doc_literal_wrapped_test_soap12.wsdl', function(err) {
+      assert.ok(err instanceof soap.SOAPFault);
+      assert.equal(err.code, 'env:Sender');
+      assert.equal(err.reason, 'Invalid x');
+      assert.equal(err.response.statusCode, 400);
+      done();
+    });
+  });
+
+  it('should not mistake escaped fault text for a fault', function(done) {
+    statusCode = 200;
+    responseBody = '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">' +
+      '<soap:Body><myMethodResponse xmlns="http://example.com/doc_literal_wrapped_test.xsd">' +
+      '<z>true</z><note>&lt;soap:Fault&gt;&lt;Fault&gt;</note>' +
+      '</myMethodResponse></soap:Body></soap:Envelope>';
+    call('doc_literal_wrapped_test.wsdl', function(err, result) {
+      assert.ifError(err);
+      assert.strictEqual(result.z, true);
+      assert.equal(result.note, '<soap:Fault><Fault>');
+      done();
+    });
+  });
+
+  it('should not mistake application elements named Fault for a fault', function(done) {
+    statusCode = 200;
+    responseBody = '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">' +
+      '<soap:Body><myMethodResponse xmlns="http://example.com/doc_literal_wrapped_test.xsd">' +
+      '<z>false</z></myMethodResponse>' +
+      '<app:Fault xmlns:app="urn:app">not a SOAP fault</app:Fault>' +
+      '</soap:Body></soap:Envelope>';
+    call('doc_literal_wrapped_test.wsdl', function(err, result) {
+      assert.ifError(err);
+      assert.strictEqual(result.z, false);
+      done();
+    });
+  });
+
+  it('should report error statuses without a fault as HTTP errors', function(done) {
+    statusCode = 500;
+    responseBody = '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">' +
+      '<soap:Body><myMethodResponse xmlns="http://example.com/doc_literal_wrapped_test.xsd">' +
+      '<z>true</z></myMethodResponse></soap:Body></soap:Envelope>';
+    call('doc_literal_wrapped_test.wsdl', function(err) {
+      assert.ok(err);
+      assert.ok(!(err instanceof soap.SOAPFault));
+      assert.equal(err.message, 'HTTP status 500 without a SOAP fault');
+      assert.equal(err.response.statusCode, 500);
+      assert.equal(err.body, responseBody);
+      done();
+    });
+  });
+
+  it('should report error statuses of one-way operations', function(done) {
+    statusCode = 503;
+    responseBody = '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">' +
+      '<soap:Body/></soap:Envelope>';
+    soap.createClient(__dirname + '/wsdl/strict/one-way.wsdl', {}, function(err, client) {
+      assert.ifError(err);
+      client.OneWay({OneWayField: 'a'}, function(err) {
+        assert.ok(err);
+        assert.equal(err.message, 'HTTP status 503 without a SOAP fault');
+        assert.equal(err.response.statusCode, 503);
+        statusCode = 202;
+        client.OneWay({OneWayField: 'a'}, function(err) {
+          assert.ifError(err);
+          done();
+        });
+      });
+    }, baseUrl);
+  });
+});
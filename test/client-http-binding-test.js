@@ -0,0 +1,244 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var soap = require('..').soap,
+  http = require('http'),
+  url = require('url'),
+  querystring = require('querystring'),
+  assert = require('assert');
+
+describe('Client WSDL HTTP binding', function() {
+  var wsdl = __dirname + '/wsdl/http_binding_quote.wsdl';
+  var server = null;
+  var baseUrl;
+  var received;
+  var statusCode;
+
+  before(function(done) {
+    server = http.createServer(function(req, res) {
+      var chunks = [];
+      req.on('data', function(chunk) {
+        chunks.push(chunk);
+      });
+      req.on('end', function() {
+        var parsed = url.parse(req.url, true);
+        received = {
+          method: req.method,
+          path: parsed.pathname,
+          query: parsed.query,
+          headers: req.headers,
+          body: Buffer.concat(chunks).toString()
+        };
+        var fields = parsed.query;
+        if (/xml/.test(req.headers['content-type'])) {
+          fields = {
+            symbol: /<\w*:?symbol>([^<]*)</.exec(received.body)[1],
+            currency: /<\w*:?currency>([^<]*)</.exec(received.body)[1]
+          };
+        } else if (req.method === 'POST') {
+          fields = querystring.parse(received.body);
+        }
+        res.statusCode = statusCode;
+        res.setHeader('Content-Type', 'text/xml; charset=utf-8');
+        if (parsed.pathname.indexOf('/quote.asmx/chart/') === 0) {
+          return res.end('<?xml version="1.0" encoding="utf-8"?>' +
+            '<Chart xmlns="http://example.com/quote">' + parsed.pathname + '</Chart>');
+        }
+        res.end('<?xml version="1.0" encoding="utf-8"?>' +
+          '<Quote xmlns="http://example.com/quote">' +
+          '<symbol>' + escape(fields.symbol) + '</symbol><price>19.5</price>' +
+          '<currency>' + fields.currency + '</currency></Quote>');
+      });
+    });
+    server.listen(0, '127.0.0.1', function() {
+      baseUrl = 'http://127.0.0.1:' + server.address().port + '/quote.asmx';
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  beforeEach(function() {
+    received = null;
+    statusCode = 200;
+  });
+
+  function escape(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+  }
+
+  function createClient(cb) {
+    soap.createClient(wsdl, {}, function(err, client) {
+      assert.ifError(err);
+      cb(client);
+    }, baseUrl);
+  }
+
+  it('should describe the operations of the bindings', function(done) {
+    createClient(function(client) {
+      var operation = client.wsdl.definitions.bindings.QuoteHttpGet.operations.GetQuote;
+      var descriptor = operation.describe(client.wsdl.definitions);
+      assert.equal(descriptor.style, 'http');
+      assert.equal(descriptor.verb, 'GET');
+      assert.equal(descriptor.location, '/GetQuote');
+      assert.equal(descriptor.inputEncoding, 'urlEncoded');
+      assert.deepEqual(descriptor.input.body.elements.map(function(element) {
+        return element.qname.name;
+      }), ['symbol', 'currency']);
+      assert.equal(descriptor.output.body.elements[0].qname.name, 'Quote');
+      assert.ok(client.describe().QuoteService.QuoteHttpPost.GetQuote);
+      done();
+    });
+  });
+
+  it('should encode the arguments in the query string of GET requests', function(done) {
+    createClient(function(client) {
+      client.QuoteService.QuoteHttpGet.GetQuote({symbol: 'A&B', currency: 'EUR'},
+        function(err, result, body) {
+          assert.ifError(err);
+          assert.equal(received.method, 'GET');
+          assert.equal(received.path, '/quote.asmx/GetQuote');
+          assert.deepEqual(received.query, {symbol: 'A&B', currency: 'EUR'});
+          assert.equal(received.body, '');
+          assert.deepEqual(result, {symbol: 'A&B', price: 19.5, currency: 'EUR'});
+          assert.equal(body, client.lastResponse);
+          assert.equal(client.lastEndpoint,
+            baseUrl + '/GetQuote?symbol=A%26B&currency=EUR');
+          done();
+        });
+    });
+  });
+
+  it('should post the arguments as a form', function(done) {
+    createClient(function(client) {
+      client.QuoteService.QuoteHttpPost.GetQuote({symbol: 'IBM', currency: 'USD'})
+        .then(function(response) {
+          assert.equal(received.method, 'POST');
+          assert.equal(received.path, '/quote.asmx/GetQuote');
+          assert.equal(received.headers['content-type'], 'application/x-www-form-urlencoded');
+          assert.equal(received.body, 'symbol=IBM&currency=USD');
+          assert.equal(client.lastRequest, 'symbol=IBM&currency=USD');
+          assert.equal(response.result.price, 19.5);
+          done();
+        }).catch(done);
+    });
+  });
+
+  it('should post an empty form without arguments', function(done) {
+    createClient(function(client) {
+      client.QuoteService.QuoteHttpPost.GetQuote({}, function(err) {
+        assert.ifError(err);
+        assert.equal(received.method, 'POST');
+        assert.equal(received.body, '');
+        done();
+      });
+    });
+  });
+
+  it('should post the XML document of the part', function(done) {
+    createClient(function(client) {
+      var port = client.QuoteService.QuoteXmlPost;
+      port.GetQuote({QuoteRequest: {symbol: 'IBM', currency: 'USD'}},
+        function(err, result) {
+          assert.ifError(err);
+          assert.equal(received.method, 'POST');
+          assert.equal(received.path, '/quote.asmx/GetQuote');
+          assert.equal(received.headers['content-type'], 'text/xml; charset=utf-8');
+          assert.ok(/^<(\w+:)?QuoteRequest xmlns(:\w+)?="http:\/\/example.com\/quote">/
+            .test(received.body), received.body);
+          assert.equal(client.lastRequest, received.body);
+          assert.deepEqual(result, {symbol: 'IBM', price: 19.5, currency: 'USD'});
+          port.GetQuoteDocument({QuoteRequest: {symbol: 'SAP', currency: 'EUR'}},
+            function(err, result) {
+              assert.ifError(err);
+              assert.equal(received.headers['content-type'], 'text/xml; charset=utf-8');
+              assert.equal(result.symbol, 'SAP');
+              done();
+            });
+        });
+    });
+  });
+
+  it('should reject unsupported inputs', function(done) {
+    createClient(function(client) {
+      client.QuoteService.QuoteXmlPost.GetQuoteJson({QuoteRequest: {symbol: 'IBM'}},
+        function(err) {
+          assert.ok(err);
+          assert.equal(err.message, 'Unsupported input of the HTTP binding ' +
+            'operation GetQuoteJson: application/json');
+          assert.equal(received, null);
+          done();
+        });
+    });
+  });
+
+  it('should reject unknown parts of the input', function(done) {
+    soap.createClient(__dirname + '/wsdl/http-binding-part-error/quote.wsdl', {},
+      function(err) {
+        assert.ok(err);
+        assert.ok(!(err instanceof TypeError));
+        assert.equal(err.message,
+          'Unknown part Request in the input of the WSDL operation GetQuote');
+        done();
+      });
+  });
+
+  it('should replace the parts in the location', function(done) {
+    createClient(function(client) {
+      client.QuoteService.QuoteHttpGet.GetChart({symbol: 'IBM/X', days: 30},
+        function(err, result) {
+          assert.ifError(err);
+          assert.equal(received.path, '/quote.asmx/chart/IBM%2FX/30');
+          assert.deepEqual(received.query, {});
+          assert.equal(result, '/quote.asmx/chart/IBM%2FX/30');
+          done();
+        });
+    });
+  });
+
+  it('should report HTTP errors', function(done) {
+    statusCode = 500;
+    createClient(function(client) {
+      client.QuoteService.QuoteHttpGet.GetQuote({symbol: 'IBM'}, function(err) {
+        assert.ok(err);
+        assert.equal(err.message, 'HTTP status 500');
+        assert.equal(err.response.statusCode, 500);
+        done();
+      });
+    });
+  });
+
+  it('should bind the shortcuts to a new endpoint', function(done) {
+    soap.createClient(wsdl, {}, function(err, client) {
+      assert.ifError(err);
+      var shortcut = client.GetQuote;
+      client.setEndpoint(baseUrl);
+      assert.notEqual(client.GetQuote, shortcut);
+      client.GetQuote({symbol: 'IBM'}, function(err, result) {
+        assert.ifError(err);
+        assert.equal(received.method, 'GET');
+        assert.equal(received.path, '/quote.asmx/GetQuote');
+        assert.equal(client.lastEndpoint, baseUrl + '/GetQuote?symbol=IBM');
+        assert.equal(result.symbol, 'IBM');
+        done();
+      });
+    });
+  });
+
+  it('should reject arguments that cannot be encoded', function(done) {
+    createClient(function(client) {
+      client.QuoteService.QuoteHttpGet.GetQuote({symbol: {name: 'IBM'}}, function(err) {
+        assert.ok(err instanceof TypeError);
+        assert.equal(err.message, 'The part symbol cannot be encoded in a URL');
+        assert.equal(received, null);
+        done();
+      });
+    });
+  });
+});
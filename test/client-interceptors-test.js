@@ -0,0 +1,181 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var soap = require('..').soap,
+  http = require('http'),
+  assert = require('assert');
+
+describe('Client interceptors', function() {
+  var server = null;
+  var hostname = '127.0.0.1';
+  var baseUrl;
+  var lastRequest = null;
+  var responseBody;
+
+  before(function(done) {
+    server = http.createServer(function(req, res) {
+      var body = '';
+      req.on('data', function(chunk) {
+        body += chunk;
+      });
+      req.on('end', function() {
+        lastRequest = {headers: req.headers, body: body};
+        res.end(responseBody);
+      });
+    }).listen(0, hostname, function() {
+      baseUrl = 'http://' + hostname + ':' + server.address().port;
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  beforeEach(function() {
+    lastRequest = null;
+    responseBody = '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/" ' +
+      'xmlns:r="http://example.com/report"><soap:Body><r:GetReportResponse>' +
+      '<r:title>Sales</r:title><r:row><r:id>1</r:id></r:row>' +
+      '<r:total>1</r:total></r:GetReportResponse></soap:Body></soap:Envelope>';
+  });
+
+  function createClient(options, cb) {
+    soap.createClient(__dirname + '/wsdl/streaming_report.wsdl', options, cb,
+      baseUrl);
+  }
+
+  it('should run the stages in order', function(done) {
+    var stages = [];
+    var recorder = {};
+    ['beforeSerialize', 'afterEnvelope', 'beforeSend', 'afterReceive',
+      'afterParse'].forEach(function(stage) {
+      recorder[stage] = function(context) {
+        assert.equal(context.operation, 'GetReport');
+        stages.push(stage);
+      };
+    });
+    createClient({interceptors: [recorder]}, function(err, client) {
+      assert.ifError(err);
+      client.GetReport({name: 'sales'}, function(err) {
+        assert.ifError(err);
+        assert.deepEqual(stages, ['beforeSerialize', 'afterEnvelope',
+          'beforeSend', 'afterReceive', 'afterParse']);
+        done();
+      });
+    });
+  });
+
+  it('should let interceptors change the request', function(done) {
+    createClient({}, function(err, client) {
+      assert.ifError(err);
+      var order = [];
+      client.use({
+        beforeSerialize: function(context) {
+          order.push(1);
+          context.args = {name: context.args.name.toUpperCase()};
+        },
+        afterEnvelope: function(context) {
+          context.envelope.header.element('audit:Trace', 'abc')
+            .attribute('xmlns:audit', 'urn:audit');
+        }
+      }).use({
+        beforeSerialize: function(context) {
+          order.push(2);
+          assert.equal(context.args.name, 'SALES');
+        },
+        beforeSend: function(context) {
+          context.headers['X-Partner'] = 'acme';
+          context.options.timeout = 5000;
+          context.xml = context.xml.replace('SALES', 'PATCHED');
+        }
+      });
+      client.GetReport({name: 'sales'}, function(err) {
+        assert.ifError(err);
+        assert.deepEqual(order, [1, 2]);
+        assert.equal(lastRequest.headers['x-partner'], 'acme');
+        assert.ok(/<audit:Trace xmlns:audit="urn:audit">abc<\/audit:Trace>/
+          .test(lastRequest.body));
+        assert.ok(lastRequest.body.indexOf('PATCHED') !== -1);
+        assert.equal(client.lastRequest, lastRequest.body);
+        done();
+      });
+    });
+  });
+
+  it('should let interceptors change the response', function(done) {
+    // a partner sending the wrong namespace
+    responseBody = responseBody.replace('http://example.com/report',
+      'http://example.com/wrong');
+    createClient({}, function(err, client) {
+      assert.ifError(err);
+      client.use({
+        afterReceive: function(context) {
+          assert.equal(context.response.statusCode, 200);
+          context.body = context.body.replace('http://example.com/wrong',
+            'http://example.com/report');
+        },
+        afterParse: function(context) {
+          context.result.audited = true;
+        }
+      });
+      client.GetReport({name: 'sales'}).then(function(res) {
+        assert.equal(res.result.total, 1);
+        assert.ok(res.result.audited);
+        done();
+      }).catch(done);
+    });
+  });
+
+  it('should fail the call when an interceptor throws', function(done) {
+    createClient({}, function(err, client) {
+      assert.ifError(err);
+      client.use({
+        beforeSend: function() {
+          throw new Error('denied');
+        }
+      });
+      client.GetReport({name: 'sales'}, function(err) {
+        assert.equal(err.message, 'denied');
+        assert.equal(lastRequest, null);
+        done();
+      });
+    });
+  });
+
+  it('should run afterParse for streamed responses', function(done) {
+    createClient({}, function(err, client) {
+      assert.ifError(err);
+      var received = false;
+      client.use({
+        afterReceive: function() {
+          received = true;
+        },
+        afterParse: function(context) {
+          context.result.audited = true;
+        }
+      });
+      var records = client.GetReport.stream({name: 'sales'});
+      records.resume();
+      records.on('end', function() {
+        assert.ok(records.result.audited);
+        assert.ok(!received);
+        done();
+      });
+    });
+  });
+
+  it('should reject invalid interceptors', function(done) {
+    createClient({}, function(err, client) {
+      assert.ifError(err);
+      assert.throws(function() {
+        client.use(function() {});
+      }, /An interceptor must be an object/);
+      done();
+    });
+  });
+});
@@ -0,0 +1,216 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var soap = require('..').soap,
+  multipart = require('../src/multipart'),
+  http = require('http'),
+  assert = require('assert');
+
+describe('Client MTOM requests', function() {
+  var server = null;
+  var hostname = '127.0.0.1';
+  var baseUrl;
+  var lastRequest = null;
+
+  var pdf = Buffer.alloc(4096, 7);
+  pdf.write('%PDF-1.4\r\n--', 0);
+
+  before(function(done) {
+    server = http.createServer(function(req, res) {
+      var chunks = [];
+      req.on('data', function(chunk) {
+        chunks.push(chunk);
+      });
+      req.on('end', function() {
+        var body = Buffer.concat(chunks);
+        lastRequest = {headers: req.headers, body: body};
+        if (multipart.isMultipart(req.headers)) {
+          var message = multipart.parse(body, req.headers['content-type']);
+          lastRequest.xml = message.root.body.toString();
+          lastRequest.root = message.root;
+          lastRequest.parts = message.parts;
+        } else {
+          lastRequest.xml = body.toString();
+        }
+        res.end('<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/" ' +
+          'xmlns:d="http://example.com/document"><soap:Body><d:UploadDocumentResponse>' +
+          '<d:size>' + body.length + '</d:size></d:UploadDocumentResponse></soap:Body>' +
+          '</soap:Envelope>');
+      });
+    }).listen(0, hostname, function() {
+      baseUrl = 'http://' + hostname + ':' + server.address().port;
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  beforeEach(function() {
+    lastRequest = null;
+  });
+
+  function createClient(options, cb) {
+    soap.createClient(__dirname + '/wsdl/mtom_document.wsdl', options, cb,
+      baseUrl);
+  }
+
+  function includes(xml) {
+    var ids = [];
+    xml.replace(/<xop:Include [^>]*href="cid:([^"]+)"\/>/g, function(match, id) {
+      ids.push(decodeURIComponent(id));
+    });
+    return ids;
+  }
+
+  function part(id) {
+    return lastRequest.parts.filter(function(part) {
+      return part.contentId === id;
+    })[0];
+  }
+
+  it('should send large base64Binary buffers as XOP parts', function(done) {
+    createClient({mtom: true}, function(err, client) {
+      assert.ifError(err);
+      client.UploadDocument({name: 'spec.pdf', content: pdf}, function(err, result) {
+        assert.ifError(err);
+        assert.ok(result.size < pdf.toString('base64').length);
+        var type = multipart.parseContentType(lastRequest.headers['content-type']);
+        assert.equal(type.type, 'multipart/related');
+        assert.equal(type.params.type, 'application/xop+xml');
+        assert.equal(lastRequest.root.mimetype, 'application/xop+xml');
+        var ids = includes(lastRequest.xml);
+        assert.equal(ids.length, 1);
+        assert.ok(part(ids[0]).body.equals(pdf));
+        assert.ok(/<\w+:content><xop:Include /.test(lastRequest.xml));
+        assert.ok(client.lastRequest.indexOf('xop:Include') !== -1);
+        done();
+      });
+    });
+  });
+
+  it('should inline buffers below the threshold', function(done) {
+    createClient({mtom: {threshold: 8192}}, function(err, client) {
+      assert.ifError(err);
+      client.UploadDocument({name: 'spec.pdf', content: pdf}, function(err) {
+        assert.ifError(err);
+        assert.ok(!multipart.isMultipart(lastRequest.headers));
+        assert.ok(lastRequest.xml.indexOf(pdf.toString('base64')) !== -1);
+        done();
+      });
+    });
+  });
+
+  it('should inline buffers as base64 without MTOM', function(done) {
+    createClient({}, function(err, client) {
+      assert.ifError(err);
+      var small = Buffer.from([0, 1, 254, 255]);
+      client.UploadDocument({name: 'a', content: small}, function(err) {
+        assert.ifError(err);
+        assert.ok(!multipart.isMultipart(lastRequest.headers));
+        assert.ok(/<\w+:content>AAH\+\/w==<\/\w+:content>/.test(lastRequest.xml));
+        done();
+      });
+    });
+  });
+
+  it('should move each repeated value to its own part', function(done) {
+    var pages = [Buffer.alloc(2000, 1), Buffer.alloc(10, 2), Buffer.alloc(3000, 3)];
+    createClient({mtom: true}, function(err, client) {
+      assert.ifError(err);
+      client.UploadDocument({name: 'a', content: pdf, page: pages}, function(err) {
+        assert.ifError(err);
+        var ids = includes(lastRequest.xml);
+        assert.equal(ids.length, 3);
+        assert.equal(lastRequest.parts.length, 3);
+        assert.ok(part(ids[1]).body.equals(pages[0]));
+        assert.ok(part(ids[2]).body.equals(pages[2]));
+        assert.ok(lastRequest.xml.indexOf(pages[1].toString('base64')) !== -1);
+        done();
+      });
+    });
+  });
+
+  it('should keep explicit attachments', function(done) {
+    var attachment = {
+      name: 'notes.txt',
+      contentId: 'notes@example.com',
+      mimetype: 'text/plain',
+      body: Buffer.from('some notes')
+    };
+    createClient({mtom: true}, function(err, client) {
+      assert.ifError(err);
+      client.UploadDocument({name: 'a', content: pdf}, function(err) {
+        assert.ifError(err);
+        assert.equal(lastRequest.parts.length, 2);
+        assert.equal(part('notes@example.com').body.toString(), 'some notes');
+        assert.ok(part(includes(lastRequest.xml)[0]).body.equals(pdf));
+        done();
+      }, {attachments: [attachment]});
+    });
+  });
+
+  it('should send MTOM with the NativeHttpClient', function(done) {
+    var httpClient = new soap.NativeHttpClient();
+    createClient({mtom: true, httpClient: httpClient}, function(err, client) {
+      assert.ifError(err);
+      client.UploadDocument({name: 'a', content: pdf}, function(err) {
+        assert.ifError(err);
+        assert.ok(part(includes(lastRequest.xml)[0]).body.equals(pdf));
+        httpClient.destroy();
+        done();
+      });
+    });
+  });
+
+  it('should inline the binary values of streamed requests', function(done) {
+    async function* pages() {
+      yield Buffer.alloc(2000, 1);
+    }
+    createClient({mtom: true}, function(err, client) {
+      assert.ifError(err);
+      client.UploadDocument({name: 'a', content: pdf, page: pages()}, function(err) {
+        assert.ifError(err);
+        assert.ok(!multipart.isMultipart(lastRequest.headers));
+        assert.ok(lastRequest.xml.indexOf(pdf.toString('base64')) !== -1);
+        assert.ok(lastRequest.xml.indexOf(Buffer.alloc(2000, 1).toString('base64')) !== -1);
+        done();
+      });
+    });
+  });
+
+  it('should recognize types derived from base64Binary', function(done) {
+    createClient({}, function(err, client) {
+      assert.ifError(err);
+      var definitions = client.wsdl.definitions;
+      var descriptor = definitions.bindings.DocumentBinding.operations.GetDocument
+        .describe(definitions).output.body;
+      var xml = client.xmlHandler.jsonToXml(null, null, descriptor, {
+        name: 'a',
+        content: Buffer.from('abc'),
+        thumbnail: {$attributes: {contentType: 'image/png'}, $value: Buffer.from('png')}
+      }).end();
+      assert.ok(/<\w+:content>YWJj<\/\w+:content>/.test(xml));
+      assert.ok(/<\w+:thumbnail contentType="image\/png">cG5n<\/\w+:thumbnail>/.test(xml));
+      done();
+    });
+  });
+
+  it('should use the SOAP 1.2 media type for the root part', function(done) {
+    createClient({mtom: true, forceSoapVersion: '1.2'}, function(err, client) {
+      assert.ifError(err);
+      client.UploadDocument({name: 'a', content: pdf}, function() {
+        var type = multipart.parseContentType(lastRequest.headers['content-type']);
+        assert.equal(type.params['start-info'], 'application/soap+xml');
+        assert.equal(lastRequest.root.headers['content-type'],
+          'application/xop+xml; charset=UTF-8; type="application/soap+xml"');
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,239 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var soap = require('..').soap,
+  multipart = require('../src/multipart'),
+  http = require('http'),
+  zlib = require('zlib'),
+  assert = require('assert');
+
+describe('Client MTOM/XOP responses', function() {
+  var server = null;
+  var hostname = '127.0.0.1';
+  var baseUrl;
+  var boundary = 'MIMEBoundary_7d3c';
+
+  // Binary content, including bytes that look like line breaks and boundaries
+  var content = Buffer.concat([Buffer.from([0, 255, 13, 10, 45, 45, 13, 10]),
+    Buffer.from('\r\n--' + boundary + 'x'), Buffer.from([1, 2, 3])]);
+  var pages = [Buffer.from('page one'), Buffer.from([9, 13, 10, 9])];
+  var thumbnail = Buffer.from([137, 80, 78, 71]);
+  var report = Buffer.from('a,b\n1,2\n');
+
+  function envelope(body) {
+    return '<?xml version="1.0" encoding="UTF-8"?>' +
+      '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/" ' +
+      'xmlns:d="http://example.com/document" ' +
+      'xmlns:xop="http://www.w3.org/2004/08/xop/include">' +
+      '<soap:Body><d:GetDocumentResponse>' + body +
+      '</d:GetDocumentResponse></soap:Body></soap:Envelope>';
+  }
+
+  function include(id) {
+    return '<xop:Include href="cid:' + encodeURIComponent(id) + '"/>';
+  }
+
+  function part(headers, body) {
+    return Buffer.concat([Buffer.from('--' + boundary + '\r\n' +
+      headers.join('\r\n') + '\r\n\r\n'), Buffer.from(body), Buffer.from('\r\n')]);
+  }
+
+  function xopMessage(xml) {
+    return Buffer.concat([
+      Buffer.from('preamble to ignore\r\n'),
+      part(['Content-Type: application/xop+xml; charset=UTF-8; type="text/xml"',
+        'Content-ID: <root.message@example.com>'], xml),
+      part(['Content-Type: application/octet-stream',
+        'Content-Transfer-Encoding: binary', 'Content-ID: <content@example.com>'],
+        content),
+      part(['Content-Type: text/plain', 'Content-ID: <page1@example.com>'], pages[0]),
+      part(['Content-Type: text/plain', 'Content-ID: <page2@example.com>'], pages[1]),
+      part(['Content-Type: image/png', 'Content-Transfer-Encoding: base64',
+        'Content-ID: <thumb@example.com>'], thumbnail.toString('base64')),
+      part(['Content-Type: text/csv', 'Content-ID: <report@example.com>',
+        'Content-Disposition: attachment; filename="report.csv"'], report),
+      Buffer.from('--' + boundary + '--\r\nepilogue')
+    ]);
+  }
+
+  var xopXml = envelope('<d:name>spec.pdf</d:name>' +
+    '<d:content>' + include('content@example.com') + '</d:content>' +
+    '<d:page>' + include('page1@example.com') + '</d:page>' +
+    '<d:page>' + include('page2@example.com') + '</d:page>' +
+    '<d:thumbnail contentType="image/png">' + include('thumb@example.com') +
+    '</d:thumbnail>');
+
+  var responses = {
+    '/xop': function() {
+      return {
+        type: 'multipart/related; type="application/xop+xml"; ' +
+          'start="<root.message@example.com>"; start-info="text/xml"; ' +
+          'boundary="' + boundary + '"',
+        body: xopMessage(xopXml)
+      };
+    },
+    '/swa': function() {
+      // SOAP with attachments, the envelope is the first part
+      return {
+        type: 'multipart/related; type="text/xml"; boundary=' + boundary,
+        body: Buffer.concat([
+          part(['Content-Type: text/xml; charset=UTF-8'],
+            envelope('<d:name>inline</d:name><d:content>' +
+              content.toString('base64') + '</d:content>')),
+          part(['Content-Type: text/csv', 'Content-ID: <report@example.com>',
+            'Content-Disposition: attachment; filename="report.csv"'], report),
+          Buffer.from('--' + boundary + '--')
+        ])
+      };
+    },
+    '/missing': function() {
+      return {
+        type: 'multipart/related; type="application/xop+xml"; boundary=' + boundary,
+        body: xopMessage(envelope('<d:name>x</d:name><d:content>' +
+          include('unknown@example.com') + '</d:content>'))
+      };
+    }
+  };
+
+  before(function(done) {
+    server = http.createServer(function(req, res) {
+      req.resume();
+      req.on('end', function() {
+        var response = responses[req.url.replace(/\?.*/, '')]();
+        var body = response.body;
+        res.setHeader('Content-Type', response.type);
+        if (/gzip/.test(req.url)) {
+          res.setHeader('Content-Encoding', 'gzip');
+          body = zlib.gzipSync(body);
+        }
+        res.end(body);
+      });
+    }).listen(0, hostname, function() {
+      baseUrl = 'http://' + hostname + ':' + server.address().port;
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  function createClient(options, path, cb) {
+    soap.createClient(__dirname + '/wsdl/mtom_document.wsdl', options, cb,
+      baseUrl + path);
+  }
+
+  function assertDocument(result) {
+    assert.equal(result.name, 'spec.pdf');
+    assert.ok(Buffer.isBuffer(result.content));
+    assert.ok(result.content.equals(content));
+    assert.equal(result.page.length, 2);
+    assert.ok(result.page[0].equals(pages[0]));
+    assert.ok(result.page[1].equals(pages[1]));
+    assert.equal(result.thumbnail.$attributes.contentType, 'image/png');
+    assert.ok(result.thumbnail.$value.equals(thumbnail));
+  }
+
+  it('should resolve XOP includes into buffers', function(done) {
+    createClient({}, '/xop', function(err, client) {
+      assert.ifError(err);
+      client.GetDocument({id: '1'}, function(err, result, envelope, header,
+        attachments) {
+        assert.ifError(err);
+        assertDocument(result);
+        assert.ok(envelope.indexOf('xop:Include') !== -1);
+        assert.equal(attachments.length, 1);
+        assert.equal(attachments[0].contentId, 'report@example.com');
+        assert.equal(attachments[0].name, 'report.csv');
+        assert.equal(attachments[0].mimetype, 'text/csv');
+        assert.ok(attachments[0].body.equals(report));
+        assert.strictEqual(client.lastResponseAttachments, attachments);
+        done();
+      });
+    });
+  });
+
+  it('should expose the attachments of SOAP with attachments responses', function(done) {
+    createClient({}, '/swa', function(err, client) {
+      assert.ifError(err);
+      client.GetDocument({id: '1'}).then(function(res) {
+        assert.equal(res.result.name, 'inline');
+        assert.equal(res.result.content, content.toString('base64'));
+        assert.equal(res.attachments.length, 1);
+        assert.ok(res.attachments[0].body.equals(report));
+        done();
+      }).catch(done);
+    });
+  });
+
+  it('should fail on unresolved XOP includes', function(done) {
+    createClient({}, '/missing', function(err, client) {
+      assert.ifError(err);
+      client.GetDocument({id: '1'}, function(err) {
+        assert.ok(err);
+        assert.equal(err.message,
+          'Cannot resolve the XOP include cid:unknown%40example.com');
+        done();
+      });
+    });
+  });
+
+  it('should parse multipart responses with the NativeHttpClient', function(done) {
+    var httpClient = new soap.NativeHttpClient();
+    createClient({httpClient: httpClient}, '/xop', function(err, client) {
+      assert.ifError(err);
+      client.GetDocument({id: '1'}, function(err, result) {
+        assert.ifError(err);
+        assertDocument(result);
+        httpClient.destroy();
+        done();
+      });
+    });
+  });
+
+  it('should parse compressed multipart responses', function(done) {
+    createClient({compression: true}, '/xop?gzip', function(err, client) {
+      assert.ifError(err);
+      client.GetDocument({id: '1'}, function(err, result, envelope, header,
+        attachments) {
+        assert.ifError(err);
+        assertDocument(result);
+        assert.equal(attachments.length, 1);
+        done();
+      });
+    });
+  });
+
+  describe('multipart.parse', function() {
+    it('should accept bare line feeds', function() {
+      var message = multipart.parse(Buffer.from('--b\nContent-ID: <a>\n\n' +
+        '<x/>\n--b\nContent-ID: <c>\n\ndata\n--b--\n'), 'multipart/related; boundary=b');
+      assert.equal(message.root.contentId, 'a');
+      assert.equal(message.root.body.toString(), '<x/>');
+      assert.equal(message.parts[0].body.toString(), 'data');
+    });
+
+    it('should select the start part as root', function() {
+      var message = multipart.parse(Buffer.from('--b\r\nContent-ID: <a>\r\n\r\n' +
+        'data\r\n--b\r\nContent-ID: <root>\r\n\r\n<x/>\r\n--b--'),
+      'multipart/related; start="<root>"; boundary=b');
+      assert.equal(message.root.body.toString(), '<x/>');
+      assert.deepEqual(message.parts.map(function(part) {
+        return part.contentId;
+      }), ['a']);
+    });
+
+    it('should reject truncated messages', function() {
+      assert.throws(function() {
+        multipart.parse(Buffer.from('--b\r\n\r\n<x/>'), 'multipart/related; boundary=b');
+      }, /ends before its boundary b/);
+      assert.throws(function() {
+        multipart.parse(Buffer.from('--b--'), 'multipart/related');
+      }, /Missing boundary/);
+    });
+  });
+});
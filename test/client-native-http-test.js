@@ -0,0 +1,202 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var soap = require('..').soap,
+  NativeHttpClient = soap.NativeHttpClient,
+  http = require('http'),
+  assert = require('assert');
+
+describe('NativeHttpClient', function() {
+  var server = null;
+  var hostname = '127.0.0.1';
+  var baseUrl;
+  var connections = 0;
+  var lastRequest = null;
+  var rawBody = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">' +
+    '<soap:Body><Response>temp response</Response></soap:Body></soap:Envelope>';
+
+  before(function(done) {
+    server = http.createServer(function(req, res) {
+      var chunks = [];
+      req.on('data', function(chunk) {
+        chunks.push(chunk);
+      });
+      req.on('end', function() {
+        lastRequest = {
+          method: req.method,
+          url: req.url,
+          headers: req.headers,
+          body: Buffer.concat(chunks).toString()
+        };
+        if (req.url === '/redirect') {
+          res.statusCode = 302;
+          res.setHeader('Location', '/target');
+          return res.end();
+        }
+        if (req.url === '/slow') {
+          return setTimeout(function() {
+            res.end(rawBody);
+          }, 500);
+        }
+        res.statusCode = 200;
+        res.end(rawBody);
+      });
+    });
+    server.on('connection', function() {
+      connections++;
+    });
+    server.listen(0, hostname, function() {
+      baseUrl = 'http://' + hostname + ':' + server.address().port;
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  it('should reuse pooled connections across operation calls', function(done) {
+    var httpClient = new NativeHttpClient();
+    soap.createClient(__dirname + '/wsdl/default_namespace.wsdl',
+      {httpClient: httpClient}, function(err, client) {
+        assert.ifError(err);
+        var before = connections;
+        client.MyOperation({}).then(function(res) {
+          assert.ok(res.result);
+          assert.equal(client.lastRequestHeaders.Connection, 'keep-alive');
+          return client.MyOperation({});
+        }).then(function() {
+          return client.MyOperation({});
+        }).then(function() {
+          assert.equal(connections - before, 1);
+          httpClient.destroy();
+          done();
+        }).catch(done);
+      }, baseUrl);
+  });
+
+  it('should keep one agent per endpoint', function() {
+    var httpClient = new NativeHttpClient({agentOptions: {maxSockets: 3}});
+    var a1 = httpClient.getAgent(require('url').parse('http://a.example.com/x'));
+    var a2 = httpClient.getAgent(require('url').parse('http://a.example.com/y'));
+    var b = httpClient.getAgent(require('url').parse('https://b.example.com/'));
+    assert.strictEqual(a1, a2);
+    assert.notStrictEqual(a1, b);
+    assert.equal(a1.maxSockets, 3);
+    assert.ok(b instanceof require('https').Agent);
+    httpClient.destroy();
+  });
+
+  it('should close connections when keepAlive is disabled', function(done) {
+    var httpClient = new NativeHttpClient({keepAlive: false});
+    httpClient.request(baseUrl + '/', '<x/>', function(err, res, body) {
+      assert.ifError(err);
+      assert.equal(res.statusCode, 200);
+      assert.equal(lastRequest.headers.connection, 'close');
+      done();
+    });
+  });
+
+  it('should send the payload and headers built by buildRequest', function(done) {
+    var httpClient = new NativeHttpClient();
+    httpClient.request(baseUrl + '/path?q=1', '<x>é</x>', function(err, res, body) {
+      assert.ifError(err);
+      assert.equal(lastRequest.method, 'POST');
+      assert.equal(lastRequest.url, '/path?q=1');
+      assert.equal(lastRequest.body, '<x>é</x>');
+      assert.equal(lastRequest.headers['x-custom'], 'abc');
+      assert.equal(lastRequest.headers['content-length'], '9');
+      assert.equal(body, rawBody);
+      httpClient.destroy();
+      done();
+    }, {'X-Custom': 'abc'});
+  });
+
+  it('should follow redirects', function(done) {
+    var httpClient = new NativeHttpClient();
+    httpClient.request(baseUrl + '/redirect', '<x/>', function(err, res) {
+      assert.ifError(err);
+      assert.equal(res.statusCode, 200);
+      assert.equal(lastRequest.url, '/target');
+      assert.equal(res.request.uri.pathname, '/target');
+      httpClient.destroy();
+      done();
+    }, null, {followAllRedirects: true});
+  });
+
+  it('should only follow the redirects of GET requests by default', function(done) {
+    var httpClient = new NativeHttpClient();
+    httpClient.request(baseUrl + '/redirect', '<x/>', function(err, res) {
+      assert.ifError(err);
+      assert.equal(res.statusCode, 302);
+      assert.equal(lastRequest.method, 'POST');
+      assert.equal(lastRequest.url, '/redirect');
+      httpClient.request(baseUrl + '/redirect', null, function(err, res) {
+        assert.ifError(err);
+        assert.equal(res.statusCode, 200);
+        assert.equal(lastRequest.method, 'GET');
+        assert.equal(lastRequest.url, '/target');
+        httpClient.destroy();
+        done();
+      });
+    });
+  });
+
+  it('should serialize attachments as multipart/related', function(done) {
+    var httpClient = new NativeHttpClient();
+    httpClient.request(baseUrl + '/', '<x/>', function(err) {
+      assert.ifError(err);
+      var boundary = lastRequest.headers['content-type']
+        .replace(/.*boundary=([^\s;]+).*/, '$1');
+      assert.ok(lastRequest.body.indexOf('--' + boundary + '\r\n') === 0);
+      assert.ok(lastRequest.body.indexOf('Content-ID: <abc>') !== -1);
+      assert.ok(lastRequest.body.indexOf('attachment data') !== -1);
+      assert.ok(lastRequest.body.endsWith('--' + boundary + '--'));
+      httpClient.destroy();
+      done();
+    }, {}, {attachments: [{
+      name: 'file.txt',
+      contentId: 'abc',
+      mimetype: 'text/plain',
+      body: Buffer.from('attachment data')
+    }]});
+  });
+
+  it('should honour the timeout option', function(done) {
+    var httpClient = new NativeHttpClient();
+    httpClient.request(baseUrl + '/slow', '<x/>', function(err) {
+      assert.ok(err);
+      assert.equal(err.code, 'ESOCKETTIMEDOUT');
+      httpClient.destroy();
+      done();
+    }, {}, {timeout: 50});
+  });
+
+  it('should report the elapsed time with the time option', function(done) {
+    var httpClient = new NativeHttpClient();
+    httpClient.request(baseUrl + '/', '<x/>', function(err, res) {
+      assert.ifError(err);
+      assert.ok(typeof res.elapsedTime === 'number');
+      httpClient.destroy();
+      done();
+    }, {}, {time: true});
+  });
+
+  it('should abort the call through the callTimeout deadline', function(done) {
+    var httpClient = new NativeHttpClient();
+    soap.createClient(__dirname + '/wsdl/default_namespace.wsdl',
+      {httpClient: httpClient}, function(err, client) {
+        assert.ifError(err);
+        client.MyOperation({}, {callTimeout: 50}).catch(function(err) {
+          assert.ok(err instanceof soap.TimeoutError);
+          httpClient.destroy();
+          done();
+        });
+      }, baseUrl + '/slow');
+  });
+});
@@ -0,0 +1,177 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var soap = require('..').soap,
+  http = require('http'),
+  stream = require('stream'),
+  assert = require('assert');
+
+describe('Client streaming request', function() {
+  var server = null;
+  var hostname = '127.0.0.1';
+  var baseUrl;
+  var requests = [];
+  var status = 200;
+
+  before(function(done) {
+    server = http.createServer(function(req, res) {
+      var chunks = [];
+      req.on('data', function(chunk) {
+        chunks.push(chunk);
+      });
+      req.on('end', function() {
+        var body = Buffer.concat(chunks).toString();
+        requests.push({headers: req.headers, body: body});
+        var count = (body.match(/<\w+:row>/g) || []).length;
+        res.statusCode = status;
+        if (status !== 200) {
+          return res.end();
+        }
+        res.end('<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/" ' +
+          'xmlns:r="http://example.com/report"><soap:Body><r:UploadRowsResponse>' +
+          '<r:count>' + count + '</r:count></r:UploadRowsResponse></soap:Body></soap:Envelope>');
+      });
+    }).listen(0, hostname, function() {
+      baseUrl = 'http://' + hostname + ':' + server.address().port;
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  beforeEach(function() {
+    requests = [];
+    status = 200;
+  });
+
+  function createClient(options, cb) {
+    soap.createClient(__dirname + '/wsdl/streaming_report.wsdl', options, cb,
+      baseUrl);
+  }
+
+  function rowList(n) {
+    var rows = [];
+    for (var i = 0; i < n; i++) {
+      rows.push(i % 2 ? {id: i, tag: ['a', 'b']} : {id: i});
+    }
+    return rows;
+  }
+
+  async function* rowGenerator(n) {
+    for (var row of rowList(n)) {
+      await null;
+      yield row;
+    }
+  }
+
+  it('should serialize async iterables like arrays', function(done) {
+    createClient({}, function(err, client) {
+      assert.ifError(err);
+      client.UploadRows({batch: 'b1', row: rowList(5), checksum: 'x'})
+        .then(function(res) {
+          assert.equal(res.result.count, 5);
+          return client.UploadRows({batch: 'b1', row: rowGenerator(5), checksum: 'x'});
+        }).then(function(res) {
+          assert.equal(res.result.count, 5);
+          assert.equal(requests[1].headers['transfer-encoding'], 'chunked');
+          assert.equal(requests[0].headers['transfer-encoding'], undefined);
+          assert.equal(requests[1].body.replace(/\s+</g, '<'),
+            requests[0].body.replace(/\s+</g, '<'));
+          done();
+        }).catch(done);
+    });
+  });
+
+  it('should accept object mode readable streams', function(done) {
+    createClient({}, function(err, client) {
+      assert.ifError(err);
+      var rows = new stream.Readable({objectMode: true, read: function() {}});
+      client.UploadRows({batch: 'b2', row: rows}, function(err, result) {
+        assert.ifError(err);
+        assert.equal(result.count, 300);
+        assert.ok(/<\w+:id>299<\/\w+:id>/.test(requests[0].body));
+        done();
+      });
+      rowList(300).forEach(function(row) {
+        rows.push(row);
+      });
+      rows.push(null);
+    });
+  });
+
+  it('should stream with the NativeHttpClient', function(done) {
+    var httpClient = new soap.NativeHttpClient();
+    createClient({httpClient: httpClient}, function(err, client) {
+      assert.ifError(err);
+      client.UploadRows({batch: 'b3', row: rowGenerator(1000)}, function(err, result) {
+        assert.ifError(err);
+        assert.equal(result.count, 1000);
+        assert.equal(requests[0].headers['transfer-encoding'], 'chunked');
+        httpClient.destroy();
+        done();
+      });
+    });
+  });
+
+  it('should leave the streamed elements out of lastRequest', function(done) {
+    createClient({}, function(err, client) {
+      assert.ifError(err);
+      client.UploadRows({batch: 'b4', row: rowGenerator(3)}, function(err) {
+        assert.ifError(err);
+        assert.ok(client.lastRequest.indexOf('b4') !== -1);
+        assert.ok(client.lastRequest.indexOf(':row') === -1);
+        assert.ok(client.lastRequest.indexOf('strong-soap-deferred') === -1);
+        done();
+      });
+    });
+  });
+
+  it('should fail the call when the iterable throws', function(done) {
+    async function* failing() {
+      yield {id: 1};
+      throw new Error('source failed');
+    }
+    createClient({}, function(err, client) {
+      assert.ifError(err);
+      client.UploadRows({batch: 'b5', row: failing()}, function(err) {
+        assert.ok(err);
+        assert.equal(err.message, 'source failed');
+        assert.ok(err.requestStreamed);
+        done();
+      });
+    });
+  });
+
+  it('should not retry streamed requests', function(done) {
+    status = 503;
+    createClient({retry: {minDelay: 1}}, function(err, client) {
+      assert.ifError(err);
+      client.UploadRows({batch: 'b6', row: rowGenerator(2)}, function(err) {
+        assert.ok(err);
+        assert.ok(err.requestStreamed);
+        assert.equal(requests.length, 1);
+        done();
+      });
+    });
+  });
+
+  it('should reject async iterables outside of requests', function(done) {
+    createClient({}, function(err, client) {
+      assert.ifError(err);
+      var definitions = client.wsdl.definitions;
+      var descriptor = definitions.bindings.ReportBinding.operations.UploadRows
+        .describe(definitions).input.body;
+      assert.throws(function() {
+        client.xmlHandler.jsonToXml(null, null, descriptor,
+          {batch: 'b', row: rowGenerator(1)});
+      }, /Streamed values of row are only supported in operation requests/);
+      done();
+    });
+  });
+});
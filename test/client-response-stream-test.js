@@ -0,0 +1,262 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var soap = require('..').soap,
+  http = require('http'),
+  assert = require('assert');
+
+describe('Client streaming response', function() {
+  var server = null;
+  var hostname = '127.0.0.1';
+  var baseUrl;
+  var rowCount = 0;
+  var closed = false;
+  var requests = 0;
+
+  function head() {
+    return '<?xml version="1.0" encoding="UTF-8"?>' +
+      '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/" ' +
+      'xmlns:r="http://example.com/report"><soap:Body>' +
+      '<r:GetReportResponse><r:title>Sales</r:title>';
+  }
+
+  function row(i) {
+    return '<r:row><r:id>' + i + '</r:id><r:tag>a</r:tag>' +
+      (i % 2 ? '<r:tag>b</r:tag>' : '') + '</r:row>';
+  }
+
+  var tail = '<r:total>42</r:total></r:GetReportResponse></soap:Body></soap:Envelope>';
+
+  before(function(done) {
+    server = http.createServer(function(req, res) {
+      req.resume();
+      requests++;
+      if (req.url === '/reset') {
+        // some records, then the connection is lost
+        res.statusCode = 200;
+        res.write(head() + row(0) + row(1));
+        return setTimeout(function() {
+          res.socket.destroy();
+        }, 20);
+      }
+      if (req.url === '/fault') {
+        res.statusCode = 500;
+        return res.end('<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">' +
+          '<soap:Body><soap:Fault><faultcode>soap:Server</faultcode>' +
+          '<faultstring>report failed</faultstring></soap:Fault></soap:Body></soap:Envelope>');
+      }
+      res.statusCode = 200;
+      res.write(head());
+      var i = 0;
+      (function writeRows() {
+        if (res.destroyed) {
+          closed = true;
+          return;
+        }
+        // split rows across chunks, including in the middle of elements
+        var chunk = '';
+        for (var n = 0; n < 50 && i < rowCount; n++) {
+          chunk += row(i++);
+        }
+        if (i < rowCount) {
+          res.write(chunk.substring(0, 7));
+          res.write(chunk.substring(7));
+          return setImmediate(writeRows);
+        }
+        res.end(chunk + tail);
+      })();
+      res.on('close', function() {
+        closed = true;
+      });
+    }).listen(0, hostname, function() {
+      baseUrl = 'http://' + hostname + ':' + server.address().port;
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  beforeEach(function() {
+    rowCount = 0;
+    closed = false;
+    requests = 0;
+  });
+
+  function createClient(options, cb, path) {
+    soap.createClient(__dirname + '/wsdl/streaming_report.wsdl', options, cb,
+      baseUrl + (path || '/report'));
+  }
+
+  function collect(records, cb) {
+    var rows = [];
+    records.on('data', function(record) {
+      rows.push(record);
+    });
+    records.on('error', cb);
+    records.on('end', function() {
+      cb(null, rows);
+    });
+  }
+
+  it('should emit repeated elements as records', function(done) {
+    rowCount = 3;
+    createClient({}, function(err, client) {
+      assert.ifError(err);
+      var records = client.GetReport.stream({name: 'sales'});
+      var result = null;
+      records.on('result', function(res) {
+        result = res;
+      });
+      collect(records, function(err, rows) {
+        assert.ifError(err);
+        assert.deepEqual(rows, [
+          {name: 'row', value: {id: 0, tag: ['a']}},
+          {name: 'row', value: {id: 1, tag: ['a', 'b']}},
+          {name: 'row', value: {id: 2, tag: ['a']}}
+        ]);
+        assert.deepEqual(result, {title: 'Sales', total: 42});
+        assert.strictEqual(records.result, result);
+        done();
+      });
+    });
+  });
+
+  it('should support async iteration', function(done) {
+    rowCount = 250;
+    createClient({}, function(err, client) {
+      assert.ifError(err);
+      var records = client.ReportService.ReportPort.GetReport.stream({name: 'sales'});
+      (async function() {
+        var ids = [];
+        for await (var record of records) {
+          ids.push(record.value.id);
+        }
+        return ids;
+      })().then(function(ids) {
+        assert.equal(ids.length, 250);
+        assert.equal(ids[249], 249);
+        assert.equal(records.result.total, 42);
+        done();
+      }).catch(done);
+    });
+  });
+
+  it('should pause the response while records are not consumed', function(done) {
+    rowCount = 5000;
+    createClient({}, function(err, client) {
+      assert.ifError(err);
+      var records = client.GetReport.stream({name: 'sales'});
+      setTimeout(function() {
+        assert.ok(records._sourcePaused);
+        assert.equal(records.result, undefined);
+        assert.ok(records.readableLength < rowCount);
+        collect(records, function(err, rows) {
+          assert.ifError(err);
+          assert.equal(rows.length, rowCount);
+          assert.equal(records.result.total, 42);
+          done();
+        });
+      }, 100);
+    });
+  });
+
+  it('should stop the download when the consumer breaks', function(done) {
+    rowCount = 5000;
+    createClient({}, function(err, client) {
+      assert.ifError(err);
+      var records = client.GetReport.stream({name: 'sales'});
+      (async function() {
+        var seen = 0;
+        for await (var record of records) {
+          if (++seen === 10) break;
+        }
+        return seen;
+      })().then(function(seen) {
+        assert.equal(seen, 10);
+        setTimeout(function() {
+          assert.ok(closed);
+          done();
+        }, 50);
+      }).catch(done);
+    });
+  });
+
+  it('should report faults as stream errors', function(done) {
+    createClient({}, function(err, client) {
+      assert.ifError(err);
+      var records = client.GetReport.stream({name: 'sales'});
+      collect(records, function(err) {
+        assert.ok(err);
+        assert.equal(err.response.statusCode, 500);
+        assert.equal(err.root.Envelope.Body.Fault.faultstring, 'report failed');
+        done();
+      });
+    }, '/fault');
+  });
+
+  it('should not retry once records were emitted', function(done) {
+    createClient({retry: {maxAttempts: 3, minDelay: 1}}, function(err, client) {
+      assert.ifError(err);
+      var records = client.GetReport.stream({name: 'sales'});
+      var ids = [];
+      records.on('data', function(record) {
+        ids.push(record.value.id);
+      });
+      records.on('error', function(err) {
+        assert.ok(err.responseStreamed);
+        assert.equal(requests, 1);
+        assert.deepEqual(ids, [0, 1]);
+        done();
+      });
+    }, '/reset');
+  });
+
+  it('should stream with the NativeHttpClient', function(done) {
+    rowCount = 120;
+    var httpClient = new soap.NativeHttpClient();
+    createClient({httpClient: httpClient}, function(err, client) {
+      assert.ifError(err);
+      collect(client.GetReport.stream({name: 'sales'}), function(err, rows) {
+        assert.ifError(err);
+        assert.equal(rows.length, 120);
+        httpClient.destroy();
+        done();
+      });
+    });
+  });
+
+  it('should fall back to buffered http clients', function(done) {
+    rowCount = 2;
+    var httpClient = new soap.HttpClient({});
+    var buffered = {
+      request: httpClient.request.bind(httpClient)
+    };
+    createClient({httpClient: buffered}, function(err, client) {
+      assert.ifError(err);
+      collect(client.GetReport.stream({name: 'sales'}), function(err, rows) {
+        assert.ifError(err);
+        assert.equal(rows.length, 2);
+        done();
+      });
+    });
+  });
+
+  it('should keep whole arrays in the regular call', function(done) {
+    rowCount = 2;
+    createClient({}, function(err, client) {
+      assert.ifError(err);
+      client.GetReport({name: 'sales'}, function(err, result) {
+        assert.ifError(err);
+        assert.equal(result.row.length, 2);
+        assert.equal(result.total, 42);
+        done();
+      });
+    });
+  });
+});
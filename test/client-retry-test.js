@@ -0,0 +1,268 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var soap = require('..').soap,
+  RetryPolicy = soap.RetryPolicy,
+  http = require('http'),
+  assert = require('assert');
+
+describe('Client retry policy', function() {
+  var server = null;
+  var hostname = '127.0.0.1';
+  var baseUrl;
+  var requests = 0;
+  var responses = [];
+  var okBody = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">' +
+    '<soap:Body><Response>temp response</Response></soap:Body></soap:Envelope>';
+  var faultBody = '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">' +
+    '<soap:Body><soap:Fault><faultcode>soap:Server</faultcode>' +
+    '<faultstring>busy</faultstring></soap:Fault></soap:Body></soap:Envelope>';
+
+  before(function(done) {
+    server = http.createServer(function(req, res) {
+      requests++;
+      var next = responses.shift() || {status: 200, body: okBody};
+      setTimeout(function() {
+        if (req.destroyed) return;
+        res.statusCode = next.status;
+        res.end(next.body || '');
+      }, next.delay || 0);
+    }).listen(0, hostname, function() {
+      baseUrl = 'http://' + hostname + ':' + server.address().port;
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  beforeEach(function() {
+    requests = 0;
+    responses = [];
+  });
+
+  function createClient(options, cb, endpoint) {
+    soap.createClient(__dirname + '/wsdl/default_namespace.wsdl', options,
+      cb, endpoint || baseUrl);
+  }
+
+  var fast = {minDelay: 1, maxDelay: 5};
+
+  it('should retry on configured http status codes', function(done) {
+    responses = [{status: 503}, {status: 502}];
+    createClient({retry: fast}, function(err, client) {
+      assert.ifError(err);
+      var retries = [];
+      client.on('retry', function(info) {
+        retries.push(info);
+      });
+      client.MyOperation({}).then(function(res) {
+        assert.ok(res.result);
+        assert.equal(requests, 3);
+        assert.equal(retries.length, 2);
+        assert.equal(retries[0].operation, 'MyOperation');
+        assert.equal(retries[0].attempt, 1);
+        assert.equal(retries[0].error.response.statusCode, 503);
+        done();
+      }).catch(done);
+    });
+  });
+
+  it('should give up after maxAttempts', function(done) {
+    responses = [{status: 503}, {status: 503}, {status: 503}];
+    createClient({retry: {maxAttempts: 2, minDelay: 1}}, function(err, client) {
+      assert.ifError(err);
+      client.MyOperation({}, function(err) {
+        assert.ok(err);
+        assert.equal(err.response.statusCode, 503);
+        assert.equal(requests, 2);
+        done();
+      });
+    });
+  });
+
+  it('should not retry statuses that are not configured', function(done) {
+    responses = [{status: 400}];
+    createClient({retry: fast}, function(err, client) {
+      assert.ifError(err);
+      client.MyOperation({}, function(err) {
+        assert.ok(err);
+        assert.equal(requests, 1);
+        done();
+      });
+    });
+  });
+
+  it('should retry on configured SOAP fault codes', function(done) {
+    responses = [{status: 500, body: faultBody}];
+    createClient({retry: {minDelay: 1, faultCodes: ['Server']}},
+      function(err, client) {
+        assert.ifError(err);
+        client.MyOperation({}, function(err, result) {
+          assert.ifError(err);
+          assert.equal(requests, 2);
+          done();
+        });
+      });
+  });
+
+  it('should not retry faults with other codes', function(done) {
+    responses = [{status: 503, body: faultBody}];
+    createClient({retry: {minDelay: 1, faultCodes: ['Client']}},
+      function(err, client) {
+        assert.ifError(err);
+        client.MyOperation({}, function(err) {
+          assert.ok(err);
+          assert.equal(requests, 1);
+          done();
+        });
+      });
+  });
+
+  it('should retry on network errors', function(done) {
+    var closed = http.createServer();
+    closed.listen(0, hostname, function() {
+      var endpoint = 'http://' + hostname + ':' + closed.address().port;
+      closed.close(function() {
+        createClient({retry: fast}, function(err, client) {
+          assert.ifError(err);
+          var retries = 0;
+          client.on('retry', function() {
+            retries++;
+          });
+          client.MyOperation({}, function(err) {
+            assert.ok(err);
+            assert.equal(err.code, 'ECONNREFUSED');
+            assert.equal(retries, 2);
+            done();
+          });
+        }, endpoint);
+      });
+    });
+  });
+
+  it('should not retry operations that opt out', function(done) {
+    responses = [{status: 503}];
+    createClient({retry: {minDelay: 1, operations: {MyOperation: false}}},
+      function(err, client) {
+        assert.ifError(err);
+        client.MyOperation({}, function(err) {
+          assert.ok(err);
+          assert.equal(requests, 1);
+          done();
+        });
+      });
+  });
+
+  it('should allow a call to override the policy', function(done) {
+    responses = [{status: 503}, {status: 503}];
+    createClient({}, function(err, client) {
+      assert.ifError(err);
+      client.MyOperation({}, {retry: fast}).then(function(res) {
+        assert.equal(requests, 3);
+        done();
+      }).catch(done);
+    });
+  });
+
+  it('should stop retrying when the call is aborted', function(done) {
+    responses = [{status: 503}, {status: 503}];
+    createClient({retry: {minDelay: 200, jitter: 0}}, function(err, client) {
+      assert.ifError(err);
+      var controller = new AbortController();
+      client.on('retry', function() {
+        controller.abort();
+      });
+      client.MyOperation({}, {signal: controller.signal}).catch(function(err) {
+        assert.ok(err instanceof soap.AbortError);
+        assert.equal(requests, 1);
+        done();
+      });
+    });
+  });
+
+  it('should not retry a call that reached its callTimeout', function(done) {
+    responses = [{status: 200, body: okBody, delay: 400},
+      {status: 200, body: okBody, delay: 400}];
+    createClient({retry: fast}, function(err, client) {
+      assert.ifError(err);
+      var started = Date.now();
+      client.MyOperation({}, {callTimeout: 100}).catch(function(err) {
+        assert.ok(err instanceof soap.TimeoutError);
+        assert.ok(Date.now() - started < 200);
+        setTimeout(function() {
+          assert.equal(requests, 1);
+          done();
+        }, 100);
+      });
+    });
+  });
+
+  it('should include the retries in the callTimeout deadline', function(done) {
+    responses = [{status: 503, delay: 60}, {status: 503, delay: 60},
+      {status: 503, delay: 60}];
+    createClient({retry: {maxAttempts: 3, minDelay: 1, maxDelay: 1}},
+      function(err, client) {
+        assert.ifError(err);
+        client.MyOperation({}, {callTimeout: 100}).catch(function(err) {
+          assert.ok(err instanceof soap.TimeoutError);
+          assert.equal(requests, 2);
+          done();
+        });
+      });
+  });
+
+  describe('RetryPolicy', function() {
+    it('should resolve per operation settings', function() {
+      var policy = new RetryPolicy({
+        maxAttempts: 4,
+        operations: {
+          '*': false,
+          GetQuote: true,
+          GetRates: {maxAttempts: 6}
+        }
+      });
+      assert.equal(policy.forOperation('SubmitOrder'), null);
+      assert.equal(policy.forOperation('GetQuote').maxAttempts, 4);
+      assert.equal(policy.forOperation('GetRates').maxAttempts, 6);
+      assert.equal(policy.forOperation('GetRates').minDelay, 100);
+      assert.equal(policy.forOperation('GetQuote', false), null);
+    });
+
+    it('should compute exponential delays bounded by maxDelay', function() {
+      var policy = new RetryPolicy({minDelay: 100, maxDelay: 1000, jitter: 0});
+      var settings = policy.forOperation('any');
+      assert.equal(policy.delay(settings, 1), 100);
+      assert.equal(policy.delay(settings, 2), 200);
+      assert.equal(policy.delay(settings, 3), 400);
+      assert.equal(policy.delay(settings, 5), 1000);
+    });
+
+    it('should not retry timed out calls', function() {
+      var policy = new RetryPolicy();
+      var settings = policy.forOperation('any');
+      var err = new soap.TimeoutError(100);
+      assert.equal(err.code, 'ETIMEDOUT');
+      assert.equal(policy.isRetryable(settings, err), false);
+      err = new Error('socket timeout');
+      err.code = 'ETIMEDOUT';
+      assert.equal(policy.isRetryable(settings, err), true);
+    });
+
+    it('should apply jitter within the configured fraction', function() {
+      var policy = new RetryPolicy({minDelay: 1000, jitter: 0.5});
+      var settings = policy.forOperation('any');
+      for (var i = 0; i < 20; i++) {
+        var delay = policy.delay(settings, 1);
+        assert.ok(delay >= 500 && delay <= 1000, delay);
+      }
+    });
+  });
+});
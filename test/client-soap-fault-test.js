@@ -0,0 +1,171 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var soap = require('..').soap,
+  http = require('http'),
+  assert = require('assert');
+
+describe('Client SOAPFault', function() {
+  var server = null;
+  var hostname = '127.0.0.1';
+  var baseUrl;
+  var responseBody;
+
+  before(function(done) {
+    server = http.createServer(function(req, res) {
+      req.resume();
+      req.on('end', function() {
+        res.statusCode = 500;
+        res.end(responseBody);
+      });
+    }).listen(0, hostname, function() {
+      baseUrl = 'http://' + hostname + ':' + server.address().port;
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  function createClient(wsdl, cb) {
+    soap.createClient(__dirname + '/wsdl/strict/' + wsdl, {}, cb, baseUrl);
+  }
+
+  it('should normalize SOAP 1.1 faults', function(done) {
+    responseBody = '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">' +
+      '<soap:Body><soap:Fault>' +
+      '<faultcode>soap:Client.Validation.Range</faultcode>' +
+      '<faultstring>Value out of range</faultstring>' +
+      '<faultactor>http://example.com/validator</faultactor>' +
+      '<detail><myMethodFault2 xmlns="http://example.com/doc_literal_wrapped_test.xsd">' +
+      '<errorMessage2>Too large</errorMessage2><value2>42</value2>' +
+      '</myMethodFault2></detail>' +
+      '</soap:Fault></soap:Body></soap:Envelope>';
+    createClient('doc_literal_wrapped_test.wsdl', function(err, client) {
+      assert.ifError(err);
+      client.myMethod({x: 1, y: 2}, function(err) {
+        assert.ok(err instanceof soap.SOAPFault);
+        assert.ok(err instanceof Error);
+        assert.equal(err.name, 'SOAPFault');
+        assert.equal(err.soapVersion, '1.1');
+        assert.equal(err.code, 'soap:Client');
+        assert.equal(err.localCode, 'Client');
+        assert.equal(err.codeNsURI, 'http://schemas.xmlsoap.org/soap/envelope/');
+        assert.deepEqual(err.subcodes, ['Validation', 'Range']);
+        assert.equal(err.reason, 'Value out of range');
+        assert.equal(err.role, 'http://example.com/validator');
+        assert.equal(err.actor, err.role);
+        assert.equal(err.node, undefined);
+        assert.equal(err.faultName, 'myMethodFault2');
+        assert.deepEqual(err.faultDetail, {errorMessage2: 'Too large', value2: 42});
+        assert.strictEqual(err.detail.myMethodFault2, err.faultDetail);
+        // unchanged message and raw fault
+        assert.ok(err.message.indexOf('faultcode: soap:Client.Validation.Range') !== -1);
+        assert.ok(err.root.Envelope.Body.Fault);
+        assert.equal(err.response.statusCode, 500);
+        done();
+      });
+    });
+  });
+
+  it('should normalize SOAP 1.2 faults', function(done) {
+    responseBody = '<soap:Envelope xmlns:soap="http://www.w3.org/2003/05/soap-envelope">' +
+      '<soap:Body><soap:Fault>' +
+      '<soap:Code><soap:Value>soap:Sender</soap:Value>' +
+      '<soap:Subcode><soap:Value>app:Validation</soap:Value>' +
+      '<soap:Subcode><soap:Value>app:Range</soap:Value></soap:Subcode>' +
+      '</soap:Subcode></soap:Code>' +
+      '<soap:Reason><soap:Text xml:lang="en">Value out of range</soap:Text>' +
+      '<soap:Text xml:lang="fr">Valeur hors limites</soap:Text></soap:Reason>' +
+      '<soap:Node>http://example.com/node</soap:Node>' +
+      '<soap:Role>http://example.com/validator</soap:Role>' +
+      '<soap:Detail><myMethodFault1 xmlns="http://example.com/doc_literal_wrapped_test_soap12.xsd">' +
+      '<errorMessage1>Too large</errorMessage1><value1>7</value1>' +
+      '</myMethodFault1></soap:Detail>' +
+      '</soap:Fault></soap:Body></soap:Envelope>';
+    createClient('doc_literal_wrapped_test_soap12.wsdl', function(err, client) {
+      assert.ifError(err);
+      client.myMethod({x: 1, y: 2}).then(function() {
+        done(new Error('expected a fault'));
+      }, function(err) {
+        assert.ok(err instanceof soap.SOAPFault);
+        assert.equal(err.soapVersion, '1.2');
+        assert.equal(err.code, 'soap:Sender');
+        assert.equal(err.localCode, 'Sender');
+        assert.equal(err.codeNsURI, 'http://www.w3.org/2003/05/soap-envelope');
+        assert.deepEqual(err.subcodes, ['app:Validation', 'app:Range']);
+        assert.equal(err.reason, 'Value out of range');
+        assert.equal(err.node, 'http://example.com/node');
+        assert.equal(err.role, 'http://example.com/validator');
+        assert.equal(err.faultName, 'myMethodFault1');
+        assert.deepEqual(err.faultDetail, {errorMessage1: 'Too large', value1: 7});
+        done();
+      }).catch(done);
+    });
+  });
+
+  it('should leave undeclared fault details unidentified', function(done) {
+    responseBody = '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">' +
+      '<soap:Body><soap:Fault>' +
+      '<faultcode>soap:Server</faultcode>' +
+      '<faultstring>Internal error</faultstring>' +
+      '<detail>stack trace</detail>' +
+      '</soap:Fault></soap:Body></soap:Envelope>';
+    createClient('doc_literal_wrapped_test.wsdl', function(err, client) {
+      assert.ifError(err);
+      client.myMethod({x: 1, y: 2}, function(err) {
+        assert.ok(err instanceof soap.SOAPFault);
+        assert.equal(err.code, 'soap:Server');
+        assert.deepEqual(err.subcodes, []);
+        assert.equal(err.detail, 'stack trace');
+        assert.equal(err.faultName, undefined);
+        assert.equal(err.faultDetail, undefined);
+        done();
+      });
+    });
+  });
+
+  it('should resolve the prefix of the fault code', function(done) {
+    responseBody = '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/" ' +
+      'xmlns:e="urn:outer"><soap:Body><soap:Fault>' +
+      '<faultcode xmlns:e="urn:errors">e:Quota.Daily</faultcode>' +
+      '<faultstring>Quota exceeded</faultstring>' +
+      '</soap:Fault></soap:Body></soap:Envelope>';
+    createClient('doc_literal_wrapped_test.wsdl', function(err, client) {
+      assert.ifError(err);
+      client.myMethod({x: 1, y: 2}, function(err) {
+        assert.ok(err instanceof soap.SOAPFault);
+        assert.equal(err.code, 'e:Quota');
+        assert.equal(err.localCode, 'Quota');
+        assert.equal(err.codeNsURI, 'urn:errors');
+        assert.deepEqual(err.subcodes, ['Daily']);
+        done();
+      });
+    });
+  });
+
+  it('should describe the faults by name', function(done) {
+    soap.createClient(__dirname + '/wsdl/binding-exception.wsdl', {},
+      function(err, client) {
+        assert.ifError(err);
+        var definitions = client.wsdl.definitions;
+        var operations = definitions.bindings.wsdlt1Soap11.operations;
+        assert.deepEqual(Object.keys(operations.WsServerException
+          .describeNamedFaults(definitions)), ['WsServerExceptionFault']);
+        assert.deepEqual(Object.keys(operations.WsClientException
+          .describeNamedFaults(definitions)), ['WsClientExceptionFault']);
+        // described once per operation
+        assert.strictEqual(operations.WsClientException.describeNamedFaults(definitions),
+          operations.WsClientException.describeNamedFaults(definitions));
+        // the description of the operation keeps the faults by index
+        assert.deepEqual(Object.keys(client.describe().wsdlt1Service
+          .wsdlt1Soap11.WsClientException.faults.body.Fault.faults), ['0']);
+        done();
+      });
+  });
+});
@@ -0,0 +1,186 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var fs = require('fs'),
+  soap = require('..').soap,
+  diagnostics = require('../src/diagnostics'),
+  diagnosticsChannel = require('diagnostics_channel'),
+  http = require('http'),
+  assert = require('assert');
+
+describe('Diagnostics channels', function() {
+  var wsdlPath = __dirname + '/wsdl/mtom_document.wsdl';
+  var server = null;
+  var endpoint;
+  var records;
+  var subscriptions;
+
+  var services = {
+    DocumentService: {
+      DocumentPort: {
+        GetDocument: function(args) {
+          if (args.id === 'missing') {
+            throw {
+              Fault: {
+                faultcode: 'soap:Client.NotFound',
+                faultstring: 'No such document'
+              }
+            };
+          }
+          return {name: args.id, content: Buffer.from('content')};
+        }
+      }
+    }
+  };
+
+  before(function(done) {
+    server = http.createServer(function(req, res) {
+      res.statusCode = 404;
+      res.end();
+    });
+    server.listen(0, '127.0.0.1', function() {
+      endpoint = 'http://127.0.0.1:' + server.address().port + '/document';
+      soap.listen(server, {
+        path: '/document',
+        services: services,
+        xml: fs.readFileSync(wsdlPath, 'utf8')
+      });
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  beforeEach(function() {
+    records = [];
+    subscriptions = [];
+    ['client', 'server'].forEach(function(side) {
+      ['start', 'end', 'error'].forEach(function(event) {
+        var name = diagnostics.CHANNELS[side][event];
+        var listener = function(record) {
+          records.push({channel: side + ':' + event, record: record,
+            timings: Object.assign({}, record.timings)});
+        };
+        diagnosticsChannel.subscribe(name, listener);
+        subscriptions.push([name, listener]);
+      });
+    });
+  });
+
+  afterEach(unsubscribe);
+
+  function unsubscribe() {
+    subscriptions.forEach(function(subscription) {
+      diagnosticsChannel.unsubscribe(subscription[0], subscription[1]);
+    });
+    subscriptions = [];
+  }
+
+  function createClient(cb) {
+    soap.createClient(wsdlPath, {}, cb, endpoint);
+  }
+
+  function channels() {
+    return records.map(function(entry) {
+      return entry.channel;
+    });
+  }
+
+  function find(channel) {
+    return records.filter(function(entry) {
+      return entry.channel === channel;
+    })[0];
+  }
+
+  it('should publish the records of successful exchanges', function(done) {
+    createClient(function(err, client) {
+      assert.ifError(err);
+      client.GetDocument({id: 'spec'}, function(err) {
+        assert.ifError(err);
+        assert.deepEqual(channels(), ['client:start', 'server:start',
+          'server:end', 'client:end']);
+
+        var start = find('client:start');
+        assert.equal(start.record.side, 'client');
+        assert.equal(start.record.operation, 'GetDocument');
+        assert.equal(start.record.endpoint, endpoint);
+        assert.equal(start.record.soapVersion, '1.1');
+        assert.equal(typeof start.record.startTime, 'number');
+        assert.deepEqual(start.timings, {});
+
+        var end = find('client:end').record;
+        assert.strictEqual(end, start.record);
+        assert.equal(end.statusCode, 200);
+        assert.equal(end.requestBytes, Buffer.byteLength(client.lastRequest));
+        assert.equal(end.responseBytes, Buffer.byteLength(client.lastResponse));
+        assert.equal(end.faultCode, undefined);
+        ['serialize', 'network', 'parse', 'total'].forEach(function(phase) {
+          assert.equal(typeof end.timings[phase], 'number', phase);
+        });
+        assert.ok(end.timings.total >= end.timings.network);
+
+        var serverEnd = find('server:end').record;
+        assert.equal(serverEnd.side, 'server');
+        assert.equal(serverEnd.operation, 'GetDocument');
+        assert.equal(serverEnd.service, 'DocumentService');
+        assert.equal(serverEnd.port, 'DocumentPort');
+        assert.equal(serverEnd.endpoint, '/document');
+        assert.equal(serverEnd.soapAction, start.record.soapAction);
+        assert.equal(serverEnd.statusCode, 200);
+        assert.equal(serverEnd.requestBytes, end.requestBytes);
+        assert.equal(serverEnd.responseBytes, end.responseBytes);
+        ['network', 'parse', 'handler', 'serialize', 'total'].forEach(function(phase) {
+          assert.equal(typeof serverEnd.timings[phase], 'number', phase);
+        });
+        done();
+      });
+    });
+  });
+
+  it('should publish the fault codes of failed exchanges', function(done) {
+    createClient(function(err, client) {
+      assert.ifError(err);
+      client.GetDocument({id: 'missing'}, function(err) {
+        assert.ok(err);
+        assert.deepEqual(channels(), ['client:start', 'server:start',
+          'server:error', 'client:error']);
+        var serverError = find('server:error').record;
+        assert.equal(serverError.faultCode, 'soap:Client.NotFound');
+        assert.equal(serverError.error.Fault.faultstring, 'No such document');
+        var clientError = find('client:error').record;
+        assert.strictEqual(clientError.error, err);
+        assert.equal(clientError.faultCode, 'soap:Client.NotFound');
+        assert.equal(clientError.statusCode, serverError.statusCode);
+        done();
+      });
+    });
+  });
+
+  it('should publish network errors', function(done) {
+    createClient(function(err, client) {
+      assert.ifError(err);
+      client.setEndpoint('http://127.0.0.1:1/document');
+      client.GetDocument({id: 'spec'}, function(err) {
+        assert.ok(err);
+        assert.deepEqual(channels(), ['client:start', 'client:error']);
+        var record = find('client:error').record;
+        assert.equal(record.error.code, 'ECONNREFUSED');
+        assert.equal(record.statusCode, undefined);
+        assert.equal(typeof record.timings.network, 'number');
+        done();
+      });
+    });
+  });
+
+  it('should not trace without subscribers', function() {
+    unsubscribe();
+    assert.ok(!diagnostics.isObserved('client'));
+    assert.strictEqual(diagnostics.start('client', {}), diagnostics.NOOP_TRACE);
+  });
+});
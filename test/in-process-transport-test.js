@@ -0,0 +1,160 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var fs = require('fs'),
+  soap = require('..').soap,
+  assert = require('assert');
+
+describe('In-process transport', function() {
+  var quoteWsdl = __dirname + '/wsdl/addressing_quote.wsdl';
+  var documentWsdl = __dirname + '/wsdl/mtom_document.wsdl';
+  var pdf = Buffer.alloc(3000, 7);
+  var requestHeaders;
+  var pending;
+
+  var quoteServer = soap.listen(null, {
+    path: '/quote',
+    services: {
+      QuoteService: {
+        QuotePort: {
+          GetQuote: function(args, cb, headers, req) {
+            requestHeaders = req.headers;
+            if (args.symbol === 'NONE') {
+              throw {
+                Fault: {
+                  faultcode: 'soap:Client',
+                  faultstring: 'Unknown symbol'
+                }
+              };
+            }
+            return {QuoteResponse: {symbol: args.symbol, price: 19.5, delayed: false}};
+          },
+          GetDelayedQuote: function(args, cb) {
+            // Never answers
+            pending = cb;
+          }
+        }
+      }
+    },
+    xml: fs.readFileSync(quoteWsdl, 'utf8')
+  });
+
+  var documentServer = soap.listen(null, {
+    path: '/document',
+    mtom: true,
+    services: {
+      DocumentService: {
+        DocumentPort: {
+          UploadDocument: function(args) {
+            return {size: args.content.length};
+          },
+          GetDocument: function(args) {
+            return {name: args.id, content: pdf};
+          }
+        }
+      }
+    },
+    xml: fs.readFileSync(documentWsdl, 'utf8')
+  });
+
+  beforeEach(function() {
+    requestHeaders = null;
+    pending = null;
+  });
+
+  function createClient(wsdl, server, options, cb) {
+    options = Object.assign({transport: new soap.InProcessTransport(server)}, options);
+    soap.createClient(wsdl, options, cb, 'http://in-process' + server.path);
+  }
+
+  it('should invoke the operations of a server', function(done) {
+    createClient(quoteWsdl, quoteServer, {}, function(err, client) {
+      assert.ifError(err);
+      client.GetQuote({QuoteRequest: {symbol: 'IBM'}}, function(err, result, envelope, soapHeader) {
+        assert.ifError(err);
+        assert.deepEqual(result, {symbol: 'IBM', price: 19.5, delayed: false});
+        assert.equal(soapHeader.RelatesTo, client.lastMessageID);
+        assert.equal(requestHeaders.soapaction, '"GetQuote"');
+        assert.equal(requestHeaders['content-type'], 'text/xml; charset=utf-8');
+        assert.equal(client.lastResponseHeaders['content-type'], 'text/xml; charset=utf-8');
+        assert.equal(quoteServer.getStats().GetQuote.calls, 1);
+        done();
+      });
+    });
+  });
+
+  it('should report SOAP faults', function(done) {
+    createClient(quoteWsdl, quoteServer, {}, function(err, client) {
+      assert.ifError(err);
+      client.GetQuote({QuoteRequest: {symbol: 'NONE'}}, function(err) {
+        assert.ok(err instanceof soap.SOAPFault);
+        assert.equal(err.reason, 'Unknown symbol');
+        done();
+      });
+    });
+  });
+
+  it('should load the WSDL from the server', function(done) {
+    var transport = new soap.InProcessTransport(quoteServer);
+    soap.createClient('http://in-process/quote?wsdl', {transport: transport},
+      function(err, client) {
+        assert.ifError(err);
+        assert.ok(client.describe().QuoteService.QuotePort.GetQuote);
+        done();
+      }, 'http://in-process/quote');
+  });
+
+  it('should carry MTOM attachments', function(done) {
+    createClient(documentWsdl, documentServer, {mtom: true}, function(err, client) {
+      assert.ifError(err);
+      client.UploadDocument({name: 'spec.pdf', content: pdf}, function(err, result) {
+        assert.ifError(err);
+        assert.equal(result.size, pdf.length);
+        assert.ok(/^multipart\/related/.test(client.lastRequestHeaders['Content-Type']));
+        client.GetDocument({id: 'spec'}, function(err, result) {
+          assert.ifError(err);
+          assert.ok(Buffer.isBuffer(result.content));
+          assert.ok(result.content.equals(pdf));
+          assert.ok(/^multipart\/related/.test(client.lastResponseHeaders['content-type']));
+          done();
+        });
+      });
+    });
+  });
+
+  it('should cancel the calls', function(done) {
+    createClient(quoteWsdl, quoteServer, {}, function(err, client) {
+      assert.ifError(err);
+      client.GetDelayedQuote({QuoteRequest: {symbol: 'IBM'}}, function(err) {
+        assert.ok(err instanceof soap.TimeoutError);
+        assert.equal(typeof pending, 'function');
+        done();
+      }, {callTimeout: 20});
+    });
+  });
+
+  it('should reject transports without a request method', function(done) {
+    soap.createClient(quoteWsdl, {}, function(err, client) {
+      assert.ifError(err);
+      assert.throws(function() {
+        new soap.Client(client.wsdl, null, {transport: {}});
+      }, /A transport must have a request method/);
+      done();
+    });
+  });
+
+  it('should report transports not implementing request', function(done) {
+    createClient(quoteWsdl, quoteServer, {transport: new soap.Transport()},
+      function(err, client) {
+        assert.ifError(err);
+        client.GetQuote({QuoteRequest: {symbol: 'IBM'}}, function(err) {
+          assert.equal(err.message, 'The transport does not implement request');
+          done();
+        });
+      });
+  });
+});
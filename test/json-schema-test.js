@@ -0,0 +1,157 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var path = require('path'),
+  childProcess = require('child_process'),
+  soap = require('..').soap,
+  assert = require('assert');
+
+describe('JSON Schema', function() {
+  var orderWsdl = __dirname + '/wsdl/typescript_order.wsdl';
+  var restrictionsWsdl = __dirname + '/wsdl/restrictions.wsdl';
+
+  function generate(wsdl, options, cb) {
+    soap.WSDL.open(wsdl, {}, function(err, wsdl) {
+      assert.ifError(err);
+      cb(soap.generateJSONSchema(wsdl, options), wsdl);
+    });
+  }
+
+  it('should define the complex types', function(done) {
+    generate(orderWsdl, {}, function(schema) {
+      assert.equal(schema.$schema,
+        'https://json-schema.org/draft/2020-12/schema');
+      assert.deepEqual(schema.$defs.Line, {
+        type: 'object',
+        properties: {
+          sku: {type: 'string'},
+          quantity: {$ref: '#/$defs/Quantity'},
+          price: {$ref: '#/$defs/Amount'},
+          note: {type: ['string', 'null']},
+          $attributes: {
+            type: 'object',
+            properties: {'line-id': {type: 'integer'}}
+          }
+        },
+        required: ['sku', 'quantity', 'price']
+      });
+      var order = schema.$defs.Order;
+      assert.deepEqual(order.required, ['id', 'created', 'line']);
+      assert.deepEqual(order.properties.line,
+        {type: 'array', items: {$ref: '#/$defs/Line'}});
+      assert.deepEqual(order.properties.created,
+        {type: 'string', format: 'date-time'});
+      assert.deepEqual(order.properties.shipping.properties.method,
+        {type: 'string', enum: ['ground', 'air']});
+      assert.deepEqual(schema.$defs.Amount.properties.$value, {type: 'number'});
+      done();
+    });
+  });
+
+  it('should define the messages of the operations', function(done) {
+    generate(orderWsdl, {}, function(schema) {
+      var defs = schema.$defs;
+      assert.deepEqual(defs['OrderService.OrderPort.PlaceOrder.input'],
+        {$ref: '#/$defs/PlaceOrder'});
+      assert.deepEqual(defs.PlaceOrder.required, ['order']);
+      assert.deepEqual(defs['OrderService.OrderPort.PlaceOrder.output'],
+        {$ref: '#/$defs/PlaceOrderResponse'});
+      assert.deepEqual(defs['OrderService.OrderPort.GetOrder.input'], {
+        type: 'object',
+        properties: {OrderId: {type: 'string'}},
+        required: ['OrderId']
+      });
+      assert.deepEqual(defs['OrderService.OrderPort.GetOrder.output'],
+        {$ref: '#/$defs/Order'});
+      done();
+    });
+  });
+
+  it('should convert the facets of restrictions', function(done) {
+    generate(restrictionsWsdl, {}, function(schema) {
+      var defs = schema.$defs;
+      assert.deepEqual(defs.BooleanType, {type: 'boolean'});
+      assert.deepEqual(defs.MinInclusiveType, {type: 'integer', minimum: 5});
+      assert.deepEqual(defs.MaxInclusiveType, {type: 'integer', maximum: 5});
+      assert.deepEqual(defs.MinExclusiveType,
+        {type: 'integer', exclusiveMinimum: 5});
+      assert.deepEqual(defs.MaxExclusiveType,
+        {type: 'integer', exclusiveMaximum: 5});
+      assert.deepEqual(defs.TotalDigitsType,
+        {type: 'number', exclusiveMaximum: 10000, exclusiveMinimum: -10000});
+      assert.deepEqual(defs.LengthType,
+        {type: 'string', minLength: 5, maxLength: 5});
+      assert.deepEqual(defs.MinLengthType, {type: 'string', minLength: 4});
+      assert.deepEqual(defs.MaxLengthType, {type: 'string', maxLength: 5});
+      assert.deepEqual(defs.PatternType,
+        {type: 'string', pattern: '^(?:[0-9]{8})$'});
+      assert.deepEqual(defs.EnumerationType,
+        {type: 'string', enum: ['validValue1', 'validValue2']});
+      assert.deepEqual(defs.RestrictionRequestType.properties.pattern,
+        {$ref: '#/$defs/PatternType'});
+      done();
+    });
+  });
+
+  it('should leave out references to unknown declarations', function(done) {
+    function assertNamed(schema) {
+      if (!schema || typeof schema !== 'object') return;
+      assert.ok(!('' in schema), 'Property without name');
+      if (Array.isArray(schema.required)) {
+        assert.equal(schema.required.indexOf(''), -1);
+      }
+      for (var key in schema) {
+        assertNamed(schema[key]);
+      }
+    }
+    generate(__dirname + '/wsdl/rpcexample.wsdl', {}, function(schema) {
+      assertNamed(schema);
+      assert.deepEqual(schema.$defs.listFilesResult, {
+        type: 'object',
+        properties: {files: {type: 'array', items: {type: 'string'}}}
+      });
+      generate(__dirname + '/wsdl/strict/Netsuite.wsdl', {}, function(schema) {
+        assertNamed(schema);
+        done();
+      });
+    });
+  });
+
+  it('should validate a message with the message option', function(done) {
+    var message = 'OrderService.OrderPort.PlaceOrder.input';
+    generate(orderWsdl, {id: 'urn:orders', message: message},
+      function(schema, wsdl) {
+        assert.equal(schema.$id, 'urn:orders');
+        assert.equal(schema.$ref, '#/$defs/' + message);
+        assert.throws(function() {
+          soap.generateJSONSchema(wsdl, {message: 'Order'});
+        }, /Unknown operation message: Order/);
+        done();
+      });
+  });
+
+  it('should print the schema from the command line', function(done) {
+    var command = path.join(__dirname, '..', 'bin', 'json-schema.js');
+    childProcess.execFile(process.execPath,
+      [command, '--message', 'OrderService.OrderPort.GetOrder.output', orderWsdl],
+      {timeout: 30000},
+      function(err, stdout) {
+        assert.ifError(err);
+        var schema = JSON.parse(stdout);
+        assert.equal(schema.$ref,
+          '#/$defs/OrderService.OrderPort.GetOrder.output');
+        assert.deepEqual(Object.keys(schema.$defs.Order.properties),
+          ['id', 'created', 'line', 'card', 'invoice', 'shipping']);
+        childProcess.execFile(process.execPath, [command], {timeout: 30000},
+          function(err, stdout, stderr) {
+            assert.equal(err.code, 1);
+            assert.ok(/^Usage: strong-soap-json-schema/.test(stderr));
+            done();
+          });
+      });
+  });
+});
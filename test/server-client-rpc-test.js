@@ -177,7 +177,9 @@ describe('RPC style tests', function() {
     //result (output param inside the body) is null
     */
     it('RPC/Literal Simple type test', function(done) {
-      soap.createClient(test.baseUrl + '/rpc_literal_test?wsdl', function(err, client) {
+      // the address of the wsdl is not the path of the server, a 404 status
+      // would fail the one-way call
+      soap.createClient(test.baseUrl + '/rpc_literal_test?wsdl', {}, function(err, client) {
         assert.ok(!err);
         //see wsdl. input message has 2 parts = x=int and y=float which gets passed to client method as params.
         client.myMethod( {x: 100, y: 10.55}, function(err, result, body) {
@@ -185,7 +187,7 @@ describe('RPC style tests', function() {
           assert.ok(!result);
           done();
         });
-      });
+      }, test.baseUrl + '/rpc_literal_test');
     });
 
   });
@@ -0,0 +1,151 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var fs = require('fs'),
+  soap = require('..').soap,
+  multipart = require('../src/multipart'),
+  http = require('http'),
+  assert = require('assert');
+
+describe('Server attachments and MTOM', function() {
+  var wsdlPath = __dirname + '/wsdl/mtom_document.wsdl';
+  var server = null;
+  var soapServer = null;
+  var endpoint;
+  var received = null;
+  var pdf = Buffer.alloc(5000, 3);
+  pdf.write('\r\n--uuid:\r\n', 100);
+
+  var services = {
+    DocumentService: {
+      DocumentPort: {
+        UploadDocument: function(args, cb, headers, req) {
+          received = {args: args, attachments: req.attachments};
+          return {size: args.content.length};
+        },
+        GetDocument: function(args) {
+          return {name: args.id, content: pdf, page: [Buffer.from('small')]};
+        }
+      }
+    }
+  };
+
+  beforeEach(function(done) {
+    received = null;
+    server = http.createServer(function(req, res) {
+      res.statusCode = 404;
+      res.end();
+    });
+    server.listen(0, '127.0.0.1', function() {
+      endpoint = 'http://127.0.0.1:' + server.address().port + '/document';
+      done();
+    });
+  });
+
+  afterEach(function(done) {
+    server.close(done);
+  });
+
+  function listen(options) {
+    soapServer = soap.listen(server, Object.assign({
+      path: '/document',
+      services: services,
+      xml: fs.readFileSync(wsdlPath, 'utf8')
+    }, options));
+  }
+
+  function createClient(options, cb) {
+    soap.createClient(wsdlPath, options, cb, endpoint);
+  }
+
+  it('should resolve XOP includes of MTOM requests', function(done) {
+    listen();
+    createClient({mtom: true}, function(err, client) {
+      assert.ifError(err);
+      client.UploadDocument({name: 'spec.pdf', content: pdf}, function(err, result) {
+        assert.ifError(err);
+        assert.equal(result.size, pdf.length);
+        assert.ok(Buffer.isBuffer(received.args.content));
+        assert.ok(received.args.content.equals(pdf));
+        assert.equal(received.attachments.length, 0);
+        assert.equal(client.lastResponseHeaders['content-type'],
+          'text/xml; charset=utf-8');
+        done();
+      });
+    });
+  });
+
+  it('should expose the attachments of SOAP with attachments requests', function(done) {
+    listen();
+    createClient({}, function(err, client) {
+      assert.ifError(err);
+      var attachment = {
+        name: 'notes.txt',
+        contentId: 'notes@example.com',
+        mimetype: 'text/plain',
+        body: Buffer.from('some notes')
+      };
+      client.UploadDocument({name: 'a', content: Buffer.from('abc')}, function(err, result) {
+        assert.ifError(err);
+        assert.equal(result.size, 4);
+        assert.equal(received.args.content, 'YWJj');
+        assert.equal(received.attachments.length, 1);
+        assert.equal(received.attachments[0].contentId, 'notes@example.com');
+        assert.equal(received.attachments[0].name, 'notes.txt');
+        assert.equal(received.attachments[0].body.toString(), 'some notes');
+        done();
+      }, {attachments: [attachment]});
+    });
+  });
+
+  it('should send MTOM responses', function(done) {
+    listen({mtom: {threshold: 100}});
+    createClient({}, function(err, client) {
+      assert.ifError(err);
+      client.GetDocument({id: 'spec'}, function(err, result, envelope, header,
+        attachments) {
+        assert.ifError(err);
+        var type = multipart.parseContentType(client.lastResponseHeaders['content-type']);
+        assert.equal(type.type, 'multipart/related');
+        assert.equal(type.params['start-info'], 'text/xml');
+        assert.equal(result.name, 'spec');
+        assert.ok(Buffer.isBuffer(result.content));
+        assert.ok(result.content.equals(pdf));
+        // below the threshold
+        assert.equal(result.page, Buffer.from('small').toString('base64'));
+        assert.equal(attachments.length, 0);
+        done();
+      });
+    });
+  });
+
+  it('should inline binary results without MTOM', function(done) {
+    listen();
+    createClient({}, function(err, client) {
+      assert.ifError(err);
+      client.GetDocument({id: 'spec'}, function(err, result) {
+        assert.ifError(err);
+        assert.ok(!multipart.isMultipart(client.lastResponseHeaders));
+        assert.equal(result.content, pdf.toString('base64'));
+        done();
+      });
+    });
+  });
+
+  it('should reject malformed multipart requests', function(done) {
+    listen();
+    var req = http.request(endpoint, {
+      method: 'POST',
+      headers: {'Content-Type': 'multipart/related; boundary=abc'}
+    }, function(res) {
+      assert.equal(res.statusCode, 500);
+      res.resume();
+      res.on('end', done);
+    });
+    req.end('--abc\r\nContent-Type: text/xml\r\n\r\n<truncated/>');
+  });
+});
@@ -0,0 +1,202 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var fs = require('fs'),
+  soap = require('..').soap,
+  http = require('http'),
+  assert = require('assert');
+
+describe('Operation statistics', function() {
+  var wsdlPath = __dirname + '/wsdl/mtom_document.wsdl';
+  var server = null;
+  var soapServer = null;
+  var endpoint;
+
+  var services = {
+    DocumentService: {
+      DocumentPort: {
+        GetDocument: function(args, cb) {
+          if (args.id === 'missing') {
+            throw {
+              Fault: {
+                faultcode: 'soap:Client',
+                faultstring: 'No such document'
+              }
+            };
+          }
+          setTimeout(function() {
+            cb({name: args.id, content: Buffer.from('content')});
+          }, 20);
+        },
+        UploadDocument: function(args) {
+          return {size: args.content.length};
+        }
+      }
+    }
+  };
+
+  before(function(done) {
+    server = http.createServer(function(req, res) {
+      res.statusCode = 404;
+      res.end();
+    });
+    server.listen(0, '127.0.0.1', function() {
+      endpoint = 'http://127.0.0.1:' + server.address().port + '/document';
+      soapServer = soap.listen(server, {
+        path: '/document',
+        services: services,
+        xml: fs.readFileSync(wsdlPath, 'utf8'),
+        metrics: true
+      });
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  beforeEach(function() {
+    soapServer.resetStats();
+  });
+
+  function createClient(cb) {
+    soap.createClient(wsdlPath, {}, cb, endpoint);
+  }
+
+  function settle(promise) {
+    return promise.then(function() {}, function() {});
+  }
+
+  it('should count the calls, faults and transport errors', function(done) {
+    createClient(function(err, client) {
+      assert.ifError(err);
+      settle(client.GetDocument({id: 'spec'})).then(function() {
+        return settle(client.GetDocument({id: 'missing'}));
+      }).then(function() {
+        return settle(client.UploadDocument({name: 'a', content: Buffer.from('abc')}));
+      }).then(function() {
+        client.setEndpoint('http://127.0.0.1:1/document');
+        return settle(client.GetDocument({id: 'spec'}));
+      }).then(function() {
+        var stats = client.getStats();
+        assert.deepEqual(Object.keys(stats).sort(), ['GetDocument', 'UploadDocument']);
+        assert.equal(stats.GetDocument.calls, 3);
+        assert.equal(stats.GetDocument.faults, 1);
+        assert.equal(stats.GetDocument.transportErrors, 1);
+        assert.equal(stats.UploadDocument.calls, 1);
+        assert.equal(stats.UploadDocument.faults, 0);
+
+        var serverStats = soapServer.getStats();
+        assert.equal(serverStats.GetDocument.calls, 2);
+        assert.equal(serverStats.GetDocument.faults, 1);
+        assert.equal(serverStats.GetDocument.transportErrors, 0);
+        assert.equal(serverStats.UploadDocument.calls, 1);
+        // the service method answers after 20 ms
+        assert.ok(serverStats.GetDocument.latency.max >= 15);
+        client.resetStats();
+        assert.deepEqual(client.getStats(), {});
+        done();
+      }).catch(done);
+    });
+  });
+
+  it('should count a call once with its retries and cache hits', function(done) {
+    soap.createClient(wsdlPath, {
+      retry: {maxAttempts: 3, minDelay: 1, maxDelay: 1},
+      cache: {operations: ['GetDocument']}
+    }, function(err, client) {
+      assert.ifError(err);
+      client.setEndpoint('http://127.0.0.1:1/document');
+      settle(client.GetDocument({id: 'spec'})).then(function() {
+        client.setEndpoint(endpoint);
+        return client.GetDocument({id: 'spec'});
+      }).then(function() {
+        return client.GetDocument({id: 'spec'});
+      }).then(function() {
+        var stats = client.getStats();
+        assert.equal(stats.GetDocument.calls, 3);
+        assert.equal(stats.GetDocument.faults, 0);
+        assert.equal(stats.GetDocument.transportErrors, 1);
+        assert.equal(stats.GetDocument.latency.count, 3);
+        assert.equal(soapServer.getStats().GetDocument.calls, 1);
+        done();
+      }).catch(done);
+    }, endpoint);
+  });
+
+  it('should compute the latency percentiles and histogram', function() {
+    var stats = new soap.Stats({buckets: [10, 100]});
+    for (var i = 1; i <= 100; i++) {
+      stats.record('GetDocument', 'ok', i);
+    }
+    stats.record('GetDocument', 'transportError', 1000);
+    var latency = stats.snapshot().GetDocument.latency;
+    assert.equal(latency.count, 101);
+    assert.equal(latency.min, 1);
+    assert.equal(latency.max, 1000);
+    assert.equal(latency.sum, 6050);
+    assert.equal(latency.p50, 51);
+    assert.equal(latency.p95, 96);
+    assert.equal(latency.p99, 100);
+    assert.deepEqual(latency.buckets, [
+      {le: 10, count: 10},
+      {le: 100, count: 100},
+      {le: '+Inf', count: 101}
+    ]);
+  });
+
+  it('should compute the percentiles over the recent calls', function() {
+    var stats = new soap.Stats({sampleSize: 10});
+    for (var i = 0; i < 10; i++) {
+      stats.record('GetDocument', 'ok', 1000);
+    }
+    for (i = 0; i < 10; i++) {
+      stats.record('GetDocument', 'ok', 1);
+    }
+    var latency = stats.snapshot().GetDocument.latency;
+    assert.equal(latency.p99, 1);
+    assert.equal(latency.max, 1000);
+    assert.equal(latency.count, 20);
+  });
+
+  it('should export the server metrics in the Prometheus format', function(done) {
+    createClient(function(err, client) {
+      assert.ifError(err);
+      settle(client.GetDocument({id: 'missing'})).then(function() {
+        http.get(endpoint + '?metrics', function(res) {
+          var body = '';
+          res.setEncoding('utf8');
+          res.on('data', function(chunk) {
+            body += chunk;
+          });
+          res.on('end', function() {
+            assert.equal(res.headers['content-type'],
+              'text/plain; version=0.0.4; charset=utf-8');
+            var lines = body.split('\n');
+            assert.ok(lines.indexOf('# TYPE soap_server_calls_total counter') !== -1);
+            assert.ok(lines.indexOf('soap_server_calls_total{operation="GetDocument"} 1') !== -1);
+            assert.ok(lines.indexOf('soap_server_faults_total{operation="GetDocument"} 1') !== -1);
+            assert.ok(lines.indexOf('# TYPE soap_server_duration_seconds histogram') !== -1);
+            assert.ok(lines.indexOf(
+              'soap_server_duration_seconds_bucket{operation="GetDocument",le="+Inf"} 1') !== -1);
+            assert.ok(lines.indexOf(
+              'soap_server_duration_seconds_count{operation="GetDocument"} 1') !== -1);
+            done();
+          });
+        });
+      }).catch(done);
+    });
+  });
+
+  it('should escape the label values', function() {
+    var stats = new soap.Stats();
+    stats.record('a"b\\c', 'ok', 1);
+    assert.ok(stats.toPrometheus('soap_client')
+      .indexOf('soap_client_calls_total{operation="a\\"b\\\\c"} 1') !== -1);
+  });
+});
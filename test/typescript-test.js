@@ -0,0 +1,212 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var fs = require('fs'),
+  os = require('os'),
+  path = require('path'),
+  ts = require('typescript'),
+  soap = require('..').soap,
+  assert = require('assert');
+
+describe('TypeScript declarations', function() {
+  var orderWsdl = __dirname + '/wsdl/typescript_order.wsdl';
+  var httpWsdl = __dirname + '/wsdl/http_binding_quote.wsdl';
+
+  function generate(wsdl, options, cb) {
+    soap.createClient(wsdl, {}, function(err, client) {
+      assert.ifError(err);
+      cb(soap.generateTypeScript(client.wsdl, options));
+    });
+  }
+
+  /**
+   * Compile declarations and the sources using them with `tsc --strict`
+   * @param {String} declarations The content of `client.d.ts`
+   * @param {String} [usage] The content of `usage.ts`
+   * @returns {String[]} The error messages
+   */
+  function compile(declarations, usage) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'strong-soap-ts-'));
+    var files = [path.join(dir, 'client.d.ts')];
+    fs.writeFileSync(files[0], declarations);
+    if (usage) {
+      files.push(path.join(dir, 'usage.ts'));
+      fs.writeFileSync(files[1], usage);
+    }
+    try {
+      var program = ts.createProgram(files,
+        {strict: true, noEmit: true, types: []});
+      return ts.getPreEmitDiagnostics(program).map(function(diagnostic) {
+        return ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n');
+      });
+    } finally {
+      files.forEach(function(file) {
+        fs.unlinkSync(file);
+      });
+      fs.rmdirSync(dir);
+    }
+  }
+
+  function assertContains(declarations, expected) {
+    assert.ok(declarations.indexOf(expected.join('\n')) !== -1,
+      'Missing declaration:\n' + expected.join('\n'));
+  }
+
+  it('should declare the complex types', function(done) {
+    generate(orderWsdl, {}, function(declarations) {
+      assertContains(declarations, [
+        'export interface Line {',
+        '  sku: string;',
+        '  quantity: Quantity;',
+        '  price: Amount;',
+        '  note?: string | null;',
+        '  $attributes?: {',
+        '    "line-id"?: number;',
+        '  };',
+        '}'
+      ]);
+      assertContains(declarations, [
+        'export interface Order {',
+        '  id: string;',
+        '  created: Date | string;',
+        '  line: Line[];',
+        '  card?: string;',
+        '  invoice?: boolean;',
+        '  shipping?: {',
+        '    method: "ground" | "air";',
+        '  };',
+        '}'
+      ]);
+      assertContains(declarations, [
+        'export interface Amount {',
+        '  $value?: number;',
+        '  $attributes?: {',
+        '    currency?: Currency;',
+        '  };',
+        '}'
+      ]);
+      assertContains(declarations, [
+        'export interface PlaceOrder {',
+        '  order: Order;',
+        '}'
+      ]);
+      done();
+    });
+  });
+
+  it('should declare the simple types', function(done) {
+    generate(orderWsdl, {}, function(declarations) {
+      assertContains(declarations, ['export type Currency = "USD" | "EUR";']);
+      assertContains(declarations, ['export type Quantity = number | string;']);
+      done();
+    });
+  });
+
+  it('should declare the methods of the ports', function(done) {
+    generate(orderWsdl, {}, function(declarations) {
+      assertContains(declarations, [
+        'export type GetOrderInput = {',
+        '  OrderId: string;',
+        '};'
+      ]);
+      assertContains(declarations, [
+        'export interface OrderServiceOrderPort {',
+        '  PlaceOrder(args: PlaceOrder, callback: SoapCallback<PlaceOrderResponse>, ' +
+          'options?: SoapCallOptions, extraHeaders?: SoapHeaders): void;'
+      ]);
+      assertContains(declarations, [
+        '  GetOrder(args?: GetOrderInput, options?: SoapCallOptions, ' +
+          'extraHeaders?: SoapHeaders): Promise<SoapResponse<Order>>;',
+        '}'
+      ]);
+      assertContains(declarations, [
+        'export interface OrderService {',
+        '  OrderPort: OrderServiceOrderPort;',
+        '}'
+      ]);
+      assertContains(declarations, [
+        'export interface Client {',
+        '  OrderService: OrderService;',
+        '  PlaceOrder: OrderServiceOrderPort["PlaceOrder"];',
+        '  GetOrder: OrderServiceOrderPort["GetOrder"];',
+        '  [member: string]: any;',
+        '}'
+      ]);
+      done();
+    });
+  });
+
+  it('should declare the parts of HTTP bindings', function(done) {
+    generate(httpWsdl, {clientName: 'QuoteClient'}, function(declarations) {
+      assertContains(declarations, [
+        'export type GetQuoteInput = {',
+        '  symbol: string;',
+        '  currency: string;',
+        '};'
+      ]);
+      assertContains(declarations, [
+        '  GetQuote(args?: GetQuoteInput, options?: SoapCallOptions, ' +
+          'extraHeaders?: SoapHeaders): Promise<SoapResponse<Quote>>;'
+      ]);
+      assertContains(declarations, ['  GetChart: QuoteServiceQuoteHttpGet["GetChart"];']);
+      assertContains(declarations, ['export interface QuoteClient {']);
+      done();
+    });
+  });
+
+  it('should compile with tsc --strict', function(done) {
+    this.timeout(60000);
+    generate(orderWsdl, {}, function(declarations) {
+      assert.deepEqual(compile(declarations, [
+        'import {Client} from \'./client\';',
+        'declare const client: Client;',
+        'client.OrderService.OrderPort.PlaceOrder({order: {',
+        '  id: \'1\', created: new Date(), card: \'4111\',',
+        '  line: [{sku: \'A\', quantity: 2, price: {$value: 3}}]',
+        '}}, function(err, result) {',
+        '  const total: number | undefined = result.total.$value;',
+        '});',
+        'client.GetOrder({OrderId: \'1\'}).then(function(response) {',
+        '  const lines: string[] = response.result.line.map(line => line.sku);',
+        '});'
+      ].join('\n')), []);
+      generate(httpWsdl, {}, function(declarations) {
+        assert.deepEqual(compile(declarations), []);
+        done();
+      });
+    });
+  });
+
+  it('should compile the declarations of the strict test WSDLs', function(done) {
+    this.timeout(60000);
+    var strict = __dirname + '/wsdl/strict/';
+    generate(strict + 'ip2tele.wsdl', {}, function(declarations) {
+      // The service hides the operation of the same name
+      assert.ok(declarations.indexOf('  QueryUserInfoServiceApply: ' +
+        'QueryUserInfoServiceApply;') !== -1);
+      assert.ok(declarations.indexOf('QueryUserInfoServiceApply: ' +
+        'QueryUserInfoServiceApplyQueryUserInfoServiceApplyHttpPortPort[') === -1);
+      assert.deepEqual(compile(declarations), []);
+      generate(strict + 'Netsuite.wsdl', {}, function(declarations) {
+        // Elements that refer to unknown global elements have no name
+        assert.equal(declarations.indexOf('"":'), -1);
+        assert.deepEqual(compile(declarations), []);
+        done();
+      });
+    });
+  });
+
+  it('should give unique names to the declarations', function(done) {
+    soap.createClient(orderWsdl, {}, function(err, client) {
+      assert.ifError(err);
+      var declarations = soap.generateTypeScript(client.wsdl, {clientName: 'Order'});
+      assertContains(declarations, ['export interface Order {']);
+      assertContains(declarations, ['export interface Order2 {']);
+      done();
+    });
+  });
+});
@@ -0,0 +1,178 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var soap = require('..').soap,
+  http = require('http'),
+  assert = require('assert');
+
+describe('WS-Addressing asynchronous replies', function() {
+  var quoteWsdl = __dirname + '/wsdl/addressing_quote.wsdl';
+  var server = null;
+  var baseUrl;
+  var client;
+  // How the partner answers a request: with the reply envelope to call back,
+  // or null to send no reply
+  var reply;
+  var callbackStatus;
+
+  function header(xml, name) {
+    var match = new RegExp('<wsa:' + name + '[^>]*>([\\s\\S]*?)</wsa:' + name + '>')
+      .exec(xml);
+    return match && match[1].trim();
+  }
+
+  function envelope(relatesTo, body) {
+    return '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">' +
+      '<soap:Header>' +
+      '<wsa:Action xmlns:wsa="http://www.w3.org/2005/08/addressing">' +
+      'http://example.com/quote/GetQuoteResponse</wsa:Action>' +
+      '<wsa:RelatesTo xmlns:wsa="http://www.w3.org/2005/08/addressing">' +
+      relatesTo + '</wsa:RelatesTo>' +
+      '</soap:Header><soap:Body>' + body + '</soap:Body></soap:Envelope>';
+  }
+
+  function quoteResponse(symbol) {
+    return '<QuoteResponse xmlns="http://example.com/quote">' +
+      '<symbol>' + symbol + '</symbol><price>19.5</price>' +
+      '<delayed>true</delayed></QuoteResponse>';
+  }
+
+  before(function(done) {
+    // A partner accepting the requests and calling back their wsa:ReplyTo
+    server = http.createServer(function(req, res) {
+      var chunks = [];
+      req.on('data', function(chunk) {
+        chunks.push(chunk);
+      });
+      req.on('end', function() {
+        var request = Buffer.concat(chunks).toString();
+        res.statusCode = 202;
+        res.end();
+        var body = reply && reply(header(request, 'MessageID'));
+        if (!body) return;
+        var replyTo = header(request, 'Address');
+        var callback = http.request(replyTo, {
+          method: 'POST',
+          headers: {'Content-Type': 'text/xml; charset=utf-8'}
+        }, function(res) {
+          callbackStatus = res.statusCode;
+          res.resume();
+        });
+        callback.end(body);
+      });
+    });
+    server.listen(0, '127.0.0.1', function() {
+      baseUrl = 'http://127.0.0.1:' + server.address().port;
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  beforeEach(function(done) {
+    reply = null;
+    callbackStatus = undefined;
+    soap.createClient(quoteWsdl, {}, function(err, result) {
+      assert.ifError(err);
+      client = result;
+      client.startReplyListener({timeout: 200}, function(err, listener) {
+        assert.ifError(err);
+        assert.ok(listener instanceof soap.ReplyListener);
+        done();
+      });
+    }, baseUrl + '/quote');
+  });
+
+  afterEach(function(done) {
+    client.stopReplyListener(done);
+  });
+
+  it('should resolve the call with the reply sent to the listener', function() {
+    reply = function(messageID) {
+      return envelope(messageID, quoteResponse('IBM'));
+    };
+    return client.GetQuote({QuoteRequest: {symbol: 'IBM'}}).then(function(response) {
+      assert.deepEqual(response.result, {symbol: 'IBM', price: 19.5, delayed: true});
+      assert.equal(header(client.lastRequest, 'Address'),
+        client.replyListener.address);
+      assert.ok(/^http:\/\/127\.0\.0\.1:\d+\/replies$/.test(client.replyListener.address));
+      assert.equal(response.soapHeader.RelatesTo, client.lastMessageID);
+      assert.equal(header(client.lastResponse, 'RelatesTo'), client.lastMessageID);
+    });
+  });
+
+  it('should report a fault sent to the listener', function(done) {
+    reply = function(messageID) {
+      return envelope(messageID, '<soap:Fault><faultcode>soap:Client</faultcode>' +
+        '<faultstring>Unknown symbol</faultstring></soap:Fault>');
+    };
+    client.GetQuote({QuoteRequest: {symbol: 'NONE'}}, function(err) {
+      assert.ok(err instanceof soap.SOAPFault);
+      assert.equal(err.reason, 'Unknown symbol');
+      done();
+    });
+  });
+
+  it('should fail the call when no reply comes in time', function(done) {
+    client.GetQuote({QuoteRequest: {symbol: 'IBM'}}, function(err) {
+      assert.ok(err instanceof soap.ReplyTimeoutError);
+      assert.equal(err.code, 'EREPLYTIMEOUT');
+      assert.equal(err.messageID, client.lastMessageID);
+      assert.equal(err.timeout, 50);
+      assert.equal(client.replyListener.pending.size, 0);
+      done();
+    }, {replyTimeout: 50});
+  });
+
+  it('should reject replies not related to a pending call', function(done) {
+    reply = function() {
+      return envelope('urn:uuid:unknown', quoteResponse('IBM'));
+    };
+    client.GetQuote({QuoteRequest: {symbol: 'IBM'}}, function(err) {
+      assert.ok(err instanceof soap.ReplyTimeoutError);
+      assert.equal(callbackStatus, 404);
+      done();
+    });
+  });
+
+  it('should process the replies sent on the connection of the request', function(done) {
+    var syncServer = http.createServer(function(req, res) {
+      var chunks = [];
+      req.on('data', function(chunk) {
+        chunks.push(chunk);
+      });
+      req.on('end', function() {
+        var request = Buffer.concat(chunks).toString();
+        res.setHeader('Content-Type', 'text/xml; charset=utf-8');
+        res.end(envelope(header(request, 'MessageID'), quoteResponse('SYNC')));
+      });
+    });
+    syncServer.listen(0, '127.0.0.1', function() {
+      var location = 'http://127.0.0.1:' + syncServer.address().port + '/quote';
+      client.setEndpoint(location);
+      client.GetQuote({QuoteRequest: {symbol: 'SYNC'}}, function(err, result) {
+        assert.ifError(err);
+        assert.equal(result.symbol, 'SYNC');
+        assert.equal(client.replyListener.pending.size, 0);
+        syncServer.close(done);
+      });
+    });
+  });
+
+  it('should fail the pending calls when the listener stops', function(done) {
+    client.GetQuote({QuoteRequest: {symbol: 'IBM'}}, function(err) {
+      assert.ok(err);
+      assert.equal(err.message, 'The reply listener is closed');
+      done();
+    });
+    setTimeout(function() {
+      client.stopReplyListener();
+    }, 20);
+  });
+});
@@ -0,0 +1,183 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var fs = require('fs'),
+  soap = require('..').soap,
+  http = require('http'),
+  assert = require('assert');
+
+describe('WS-Addressing', function() {
+  var quoteWsdl = __dirname + '/wsdl/addressing_quote.wsdl';
+  var documentWsdl = __dirname + '/wsdl/mtom_document.wsdl';
+  var server = null;
+  var baseUrl;
+  var requestHeaders;
+
+  function quote(delayed) {
+    return function(args, cb, headers) {
+      requestHeaders = headers;
+      if (args.symbol === 'NONE') {
+        throw {
+          Fault: {
+            faultcode: 'soap:Client',
+            faultstring: 'Unknown symbol'
+          }
+        };
+      }
+      return {QuoteResponse: {symbol: args.symbol, price: 19.5, delayed: delayed}};
+    };
+  }
+
+  before(function(done) {
+    server = http.createServer(function(req, res) {
+      res.statusCode = 404;
+      res.end();
+    });
+    server.listen(0, '127.0.0.1', function() {
+      baseUrl = 'http://127.0.0.1:' + server.address().port;
+      soap.listen(server, {
+        path: '/quote',
+        services: {
+          QuoteService: {
+            QuotePort: {
+              GetQuote: quote(false),
+              GetDelayedQuote: quote(true)
+            }
+          }
+        },
+        xml: fs.readFileSync(quoteWsdl, 'utf8')
+      });
+      soap.listen(server, {
+        path: '/document',
+        services: {
+          DocumentService: {
+            DocumentPort: {
+              GetDocument: function(args, cb, headers) {
+                requestHeaders = headers;
+                return {name: args.id, content: Buffer.from('content')};
+              }
+            }
+          }
+        },
+        xml: fs.readFileSync(documentWsdl, 'utf8')
+      });
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  beforeEach(function() {
+    requestHeaders = null;
+  });
+
+  function header(xml, name) {
+    var match = new RegExp('<wsa:' + name + '[^>]*>([\\s\\S]*?)</wsa:' + name + '>')
+      .exec(xml);
+    return match && match[1].trim();
+  }
+
+  it('should add the headers when the binding uses addressing', function(done) {
+    soap.createClient(quoteWsdl, {}, function(err, client) {
+      assert.ifError(err);
+      client.GetQuote({QuoteRequest: {symbol: 'IBM'}}, function(err, result, envelope, soapHeader) {
+        assert.ifError(err);
+        assert.strictEqual(result.delayed, false);
+        var request = client.lastRequest;
+        assert.ok(request.indexOf('xmlns:wsa="http://www.w3.org/2005/08/addressing"') !== -1);
+        assert.equal(header(request, 'Action'), 'http://example.com/quote/GetQuote');
+        assert.equal(header(request, 'To'), baseUrl + '/quote');
+        assert.ok(/^urn:uuid:[0-9a-f-]{36}$/.test(header(request, 'MessageID')));
+        assert.equal(header(request, 'MessageID'), client.lastMessageID);
+        assert.equal(header(request, 'Address'),
+          'http://www.w3.org/2005/08/addressing/anonymous');
+        assert.equal(header(request, 'RelatesTo'), null);
+
+        assert.equal(requestHeaders.MessageID, client.lastMessageID);
+        assert.equal(soapHeader.Action, 'http://example.com/quote/GetQuoteResponse');
+        assert.equal(soapHeader.RelatesTo, client.lastMessageID);
+        assert.ok(/^urn:uuid:/.test(soapHeader.MessageID));
+        assert.notEqual(soapHeader.MessageID, client.lastMessageID);
+        done();
+      });
+    }, baseUrl + '/quote');
+  });
+
+  it('should dispatch on the action', function(done) {
+    soap.createClient(quoteWsdl, {}, function(err, client) {
+      assert.ifError(err);
+      client.GetDelayedQuote({QuoteRequest: {symbol: 'IBM'}}, function(err, result, envelope, soapHeader) {
+        assert.ifError(err);
+        // Both operations have the same input element
+        assert.strictEqual(result.delayed, true);
+        assert.equal(requestHeaders.Action, 'http://example.com/quote/GetDelayedQuote');
+        assert.equal(soapHeader.Action, 'http://example.com/quote/GetDelayedQuoteResponse');
+        assert.equal(soapHeader.RelatesTo, client.lastMessageID);
+        done();
+      });
+    }, baseUrl + '/quote');
+  });
+
+  it('should relate faults to the request', function(done) {
+    soap.createClient(quoteWsdl, {}, function(err, client) {
+      assert.ifError(err);
+      client.GetQuote({QuoteRequest: {symbol: 'NONE'}}, function(err) {
+        assert.ok(err instanceof soap.SOAPFault);
+        assert.equal(header(client.lastResponse, 'Action'),
+          'http://www.w3.org/2005/08/addressing/fault');
+        assert.equal(header(client.lastResponse, 'RelatesTo'), client.lastMessageID);
+        done();
+      });
+    }, baseUrl + '/quote');
+  });
+
+  it('should not add the headers when the option disables addressing', function(done) {
+    soap.createClient(quoteWsdl, {wsAddressing: false}, function(err, client) {
+      assert.ifError(err);
+      client.GetDelayedQuote({QuoteRequest: {symbol: 'IBM'}}, function(err, result, envelope, soapHeader) {
+        assert.ifError(err);
+        assert.equal(client.lastRequest.indexOf('wsa:'), -1);
+        assert.equal(client.lastMessageID, undefined);
+        // Without an action the input element selects the first operation
+        assert.strictEqual(result.delayed, false);
+        assert.ok(!soapHeader || soapHeader.RelatesTo === undefined);
+        done();
+      });
+    }, baseUrl + '/quote');
+  });
+
+  it('should fall back to the soapAction when the option enables addressing', function(done) {
+    soap.createClient(documentWsdl, {wsAddressing: {replyTo: 'http://example.com/replies'}},
+      function(err, client) {
+        assert.ifError(err);
+        client.GetDocument({id: 'spec'}, function(err, result, envelope, soapHeader) {
+          assert.ifError(err);
+          assert.equal(header(client.lastRequest, 'Action'), 'GetDocument');
+          assert.equal(requestHeaders.ReplyTo.Address, 'http://example.com/replies');
+          assert.equal(soapHeader.Action, 'GetDocumentResponse');
+          assert.equal(soapHeader.RelatesTo, client.lastMessageID);
+          done();
+        });
+      }, baseUrl + '/document');
+  });
+
+  it('should take the headers of the call options', function(done) {
+    soap.createClient(quoteWsdl, {}, function(err, client) {
+      assert.ifError(err);
+      client.GetQuote({QuoteRequest: {symbol: 'IBM'}}, function(err) {
+        assert.ifError(err);
+        assert.equal(requestHeaders.MessageID, 'urn:uuid:1');
+        assert.equal(requestHeaders.RelatesTo, 'urn:uuid:0');
+        assert.equal(requestHeaders.FaultTo.Address, 'http://example.com/faults');
+        done();
+      }, {addressing: {messageID: 'urn:uuid:1', relatesTo: 'urn:uuid:0',
+        faultTo: 'http://example.com/faults'}});
+    }, baseUrl + '/quote');
+  });
+});
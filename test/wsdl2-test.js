@@ -0,0 +1,181 @@
+// Copyright IBM Corp. 2016,2019. All Rights Reserved.
+// Node module: strong-soap
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict';
+
+var fs = require('fs'),
+  soap = require('..').soap,
+  http = require('http'),
+  assert = require('assert');
+
+describe('WSDL 2.0', function() {
+  var wsdl = __dirname + '/wsdl/wsdl2_quote.wsdl';
+  var xml = fs.readFileSync(wsdl, 'utf8');
+  var server = null;
+  var baseUrl;
+  var requestHeaders;
+  var pinged;
+
+  var services = {
+    QuoteService: {
+      Soap12Endpoint: {
+        GetQuote: function(args, cb, headers, req) {
+          requestHeaders = req.headers;
+          if (args.symbol === 'NONE') {
+            throw {
+              Fault: {
+                Code: {Value: 'soap:Sender'},
+                Reason: {Text: 'Unknown symbol'},
+                statusCode: 500
+              }
+            };
+          }
+          return {symbol: args.symbol, price: 19.5};
+        },
+        Ping: function(args) {
+          pinged = args;
+        }
+      },
+      Soap11Endpoint: {
+        GetQuote: function(args, cb, headers, req) {
+          requestHeaders = req.headers;
+          return {symbol: args.symbol, price: 20.5};
+        }
+      }
+    }
+  };
+
+  before(function(done) {
+    server = http.createServer(function(req, res) {
+      res.statusCode = 404;
+      res.end();
+    });
+    server.listen(0, '127.0.0.1', function() {
+      baseUrl = 'http://127.0.0.1:' + server.address().port;
+      soap.listen(server, '/quotes', services, xml);
+      soap.listen(server, '/quotes11', services, xml);
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  beforeEach(function() {
+    requestHeaders = null;
+    pinged = null;
+  });
+
+  it('should describe the SOAP bindings of the interfaces', function(done) {
+    soap.createClient(wsdl, {}, function(err, client) {
+      assert.ifError(err);
+      var ports = client.describe().QuoteService;
+      assert.deepEqual(Object.keys(ports), ['Soap12Endpoint', 'Soap11Endpoint']);
+      assert.deepEqual(Object.keys(ports.Soap12Endpoint), ['GetQuote', 'Ping']);
+      var getQuote = ports.Soap12Endpoint.GetQuote;
+      assert.equal(getQuote.style, 'documentLiteralWrapped');
+      assert.equal(getQuote.soapAction, 'urn:GetQuote');
+      assert.equal(getQuote.soapVersion, '1.2');
+      assert.equal(getQuote.output.body.qname.name, 'GetQuoteResponse');
+      assert.equal(getQuote.faults.body.Fault.faults[0].qname.name,
+        'UnknownSymbol');
+      assert.equal(ports.Soap11Endpoint.GetQuote.soapVersion, '1.1');
+      assert.equal(ports.Soap12Endpoint.Ping.output.body.elements.length, 0);
+      assert.equal(client.wsdl.services.QuoteService.ports.Soap12Endpoint.location,
+        'http://localhost/quotes');
+      done();
+    });
+  });
+
+  it('should call the operations of a SOAP 1.2 endpoint', function(done) {
+    soap.createClient(wsdl, {}, function(err, client) {
+      assert.ifError(err);
+      client.QuoteService.Soap12Endpoint.GetQuote({symbol: 'IBM'}, function(err, result) {
+        assert.ifError(err);
+        assert.deepEqual(result, {symbol: 'IBM', price: 19.5});
+        assert.ok(/^application\/soap\+xml/.test(requestHeaders['content-type']));
+        assert.ok(/<soap:Envelope xmlns:soap="http:\/\/www.w3.org\/2003\/05\/soap-envelope"/
+          .test(client.lastRequest));
+        done();
+      });
+    }, baseUrl + '/quotes');
+  });
+
+  it('should call the operations of a SOAP 1.1 endpoint', function(done) {
+    soap.createClient(wsdl, {}, function(err, client) {
+      assert.ifError(err);
+      client.QuoteService.Soap11Endpoint.GetQuote({symbol: 'IBM'}, function(err, result) {
+        assert.ifError(err);
+        assert.deepEqual(result, {symbol: 'IBM', price: 20.5});
+        assert.equal(requestHeaders.soapaction, '"urn:GetQuote"');
+        assert.ok(/^text\/xml/.test(requestHeaders['content-type']));
+        done();
+      });
+    }, baseUrl + '/quotes11');
+  });
+
+  it('should call the operations of extended interfaces', function(done) {
+    soap.createClient(wsdl, {}, function(err, client) {
+      assert.ifError(err);
+      client.QuoteService.Soap12Endpoint.Ping({Ping: 'hello'}, function(err) {
+        assert.ifError(err);
+        assert.equal(pinged, 'hello');
+        done();
+      });
+    }, baseUrl + '/quotes');
+  });
+
+  it('should report SOAP faults', function(done) {
+    soap.createClient(wsdl, {}, function(err, client) {
+      assert.ifError(err);
+      client.QuoteService.Soap12Endpoint.GetQuote({symbol: 'NONE'}, function(err) {
+        assert.ok(err instanceof soap.SOAPFault);
+        assert.equal(err.soapVersion, '1.2');
+        assert.equal(err.reason, 'Unknown symbol');
+        done();
+      });
+    }, baseUrl + '/quotes');
+  });
+
+  it('should take the WS-Addressing action of the interface', function(done) {
+    soap.createClient(wsdl, {}, function(err, client) {
+      assert.ifError(err);
+      client.QuoteService.Soap12Endpoint.GetQuote({symbol: 'IBM'}, function(err) {
+        assert.ifError(err);
+        assert.ok(client.lastRequest.indexOf(
+          '>http://example.com/quote2/GetQuote</wsa:Action>') !== -1);
+        done();
+      }, {addressing: {}});
+    }, baseUrl + '/quotes');
+  });
+
+  it('should parse WSDL 2.0 documents synchronously', function() {
+    var definitions = new soap.WSDL(xml, wsdl, {}).loadSync().definitions;
+    assert.deepEqual(Object.keys(definitions.portTypes), ['Monitored', 'Quotes']);
+    assert.deepEqual(Object.keys(definitions.bindings), ['QuotesSoap12', 'QuotesSoap11']);
+    assert.equal(definitions.bindings.QuotesSoap12.transport,
+      'http://www.w3.org/2003/05/soap/bindings/HTTP/');
+    assert.equal(definitions.bindings.QuotesSoap11.transport,
+      'http://schemas.xmlsoap.org/soap/http');
+  });
+
+  it('should reject imports and includes', function(done) {
+    var imported = xml.replace('<types>',
+      '<import namespace="http://example.com/common" location="common.wsdl"/><types>');
+    new soap.WSDL(imported, wsdl, {}).load(function(err) {
+      assert.ok(err);
+      assert.equal(err.message,
+        'WSDL 2.0 import elements are not supported: common.wsdl');
+      var included = xml.replace('<types>', '<include location="parts.wsdl"/><types>');
+      new soap.WSDL(included, wsdl, {}).load(function(err) {
+        assert.ok(err);
+        assert.equal(err.message,
+          'WSDL 2.0 include elements are not supported: parts.wsdl');
+        done();
+      });
+    });
+  });
+});